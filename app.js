@@ -1,4 +1,5 @@
 import express from 'express';
+import cookieParser from 'cookie-parser';
 import mainRoutes from './src/routes/main.routes.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -15,6 +16,7 @@ const publicPath = path.join(__dirname, 'public');
 // Configurar middleware
 app.use(express.json()); // Para parsear JSON en el body de las peticiones
 app.use(express.urlencoded({ extended: true })); // Para parsear formularios URL-encoded
+app.use(cookieParser(process.env.COOKIE_SECRET || 'clave-cookies-cambiala-en-produccion')); // Cookies firmadas de sesión
 app.use(express.static(publicPath));
 app.set('view engine', 'pug');
 app.set('views', `${publicPath}/views`);
@@ -1,8 +1,12 @@
 import app from './app.js';
 import { inicializarSistema } from './src/helper.js';
+import mensajeriaService from './src/services/mensajeria.service.js';
 
 const port = process.env.PORT || 3000;
 
+// Configuración obligatoria: sin ella el servidor no arranca
+mensajeriaService.verificarConfiguracion();
+
 app.listen(port, async () => {
     console.log(`App running at http://localhost:${port}`);
     
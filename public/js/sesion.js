@@ -0,0 +1,49 @@
+// Renovación automática de la sesión del navegador.
+// El access token dura poco, así que antes de que expire se pide un nuevo
+// par de tokens a /auth/refresh (las cookies HttpOnly viajan solas).
+(function () {
+  // Margen antes de la expiración para renovar el token
+  const MARGEN_RENOVACION_MS = 60 * 1000;
+
+  function programarRenovacion(expiresAt) {
+    const espera = new Date(expiresAt).getTime() - Date.now() - MARGEN_RENOVACION_MS;
+    setTimeout(renovarSesion, Math.max(espera, 0));
+  }
+
+  async function renovarSesion() {
+    try {
+      const response = await fetch('/auth/refresh', {
+        method: 'POST',
+        credentials: 'same-origin'
+      });
+
+      if (!response.ok) {
+        // La sesión fue revocada o expiró: volver al login
+        window.location.href = '/';
+        return;
+      }
+
+      const { data } = await response.json();
+      programarRenovacion(data.expiresAt);
+    } catch (error) {
+      console.error('Error renovando la sesión:', error);
+    }
+  }
+
+  async function iniciar() {
+    try {
+      const response = await fetch('/me', { credentials: 'same-origin' });
+      if (!response.ok) {
+        // El access token ya expiró: intentar renovarlo de inmediato
+        await renovarSesion();
+        return;
+      }
+      const { data } = await response.json();
+      programarRenovacion(data.tokenInfo.expiresAt);
+    } catch (error) {
+      console.error('Error consultando la sesión:', error);
+    }
+  }
+
+  iniciar();
+})();
@@ -0,0 +1,233 @@
+/**
+ * Esquemas de las tablas de la base de datos
+ *
+ * DatabaseService valida cada alta y modificación contra el esquema de su tabla
+ * y aplica la política de borrado de cada referencia.
+ *
+ * Cada campo declara:
+ *   tipo: 'texto' | 'entero' | 'numero' | 'booleano' | 'fecha' (ISO) | 'lista' | 'objeto'
+ *   requerido: no puede faltar ni ser null (los demás campos admiten null)
+ *   valores: lista cerrada de valores permitidos
+ *   unico: ningún otro registro de la tabla puede tener el mismo valor (null no cuenta)
+ *   indexado: se mantiene un índice del campo para las búsquedas por igualdad
+ *     (los campos únicos y las referencias se indexan siempre)
+ *   referencia: { tabla, alBorrar } — el valor es el ID de un registro de `tabla`; al
+ *     borrar ese registro: 'restringir' (no se permite), 'cascada' (se borra también
+ *     este registro) o 'anular' (el campo queda en null)
+ *
+ * Los IDs que solo registran quién hizo algo (autor, usuario de un movimiento, etc.)
+ * no son referencias: el registro histórico se conserva aunque la persona ya no exista.
+ */
+
+// Efecto de cada tipo de movimiento de stock (el ajuste lleva su propio signo)
+export const TIPOS_MOVIMIENTO_INSUMO = {
+    entrada: 1,
+    salida: -1,
+    merma: -1,
+    ajuste: 1
+};
+
+// Ciclo de vida de una tarea: estado actual → estados a los que puede pasar
+export const TRANSICIONES_TAREA = {
+    pendiente: ['en_progreso', 'cancelada'],
+    en_progreso: ['completada', 'cancelada'],
+    completada: ['reabierta'],
+    cancelada: ['reabierta'],
+    reabierta: ['en_progreso', 'cancelada']
+};
+
+// Tipos de entrada de la historia clínica y cómo se muestran
+export const TIPOS_ENTRADA_HISTORIA = {
+    diagnostico: 'Diagnóstico',
+    evolucion: 'Evolución',
+    alergia: 'Alergia',
+    medicacion: 'Medicación'
+};
+
+// Estados del stock, de menor a mayor gravedad
+export const NIVELES_STOCK = ['normal', 'reponer', 'bajo', 'agotado'];
+
+// Estados de una cita
+export const ESTADOS_CITA = ['programada', 'reprogramada', 'cancelada'];
+
+export const ESQUEMAS = {
+    roles: {
+        nombre: { tipo: 'texto', requerido: true, unico: true },
+        descripcion: { tipo: 'texto' },
+        permisos: { tipo: 'lista', requerido: true }
+    },
+    usuarios: {
+        usuario: { tipo: 'texto', requerido: true, unico: true },
+        password: { tipo: 'texto' }, // null: bloqueado hasta restablecer la contraseña
+        rolId: { tipo: 'entero', requerido: true, referencia: { tabla: 'roles', alBorrar: 'restringir' } },
+        perfilId: { tipo: 'entero', requerido: true, unico: true, referencia: { tabla: 'perfiles', alBorrar: 'restringir' } },
+        tipoPerfilId: { tipo: 'entero' },
+        activo: { tipo: 'booleano' },
+        debeCambiarPassword: { tipo: 'booleano' },
+        passwordActualizadaEn: { tipo: 'fecha' },
+        historialPasswords: { tipo: 'lista' },
+        mfa: { tipo: 'objeto' }
+    },
+    perfiles: {
+        tipo: { tipo: 'texto', requerido: true, valores: ['empleado', 'paciente'] },
+        empleadoId: { tipo: 'entero', unico: true, referencia: { tabla: 'empleados', alBorrar: 'restringir' } },
+        pacienteId: { tipo: 'entero', unico: true, referencia: { tabla: 'pacientes', alBorrar: 'restringir' } }
+    },
+    areas: {
+        nombre: { tipo: 'texto', requerido: true, unico: true },
+        descripcion: { tipo: 'texto' },
+        jefeId: { tipo: 'entero', referencia: { tabla: 'empleados', alBorrar: 'anular' } }
+    },
+    empleados: {
+        nombre: { tipo: 'texto', requerido: true },
+        puesto: { tipo: 'texto', requerido: true },
+        areaId: { tipo: 'entero', referencia: { tabla: 'areas', alBorrar: 'restringir' } },
+        especialidad: { tipo: 'texto' }
+    },
+    pacientes: {
+        nombre: { tipo: 'texto', requerido: true },
+        dni: { tipo: 'texto', requerido: true, unico: true }
+    },
+    entradasHistoria: {
+        pacienteId: { tipo: 'entero', requerido: true, referencia: { tabla: 'pacientes', alBorrar: 'restringir' } },
+        tipo: { tipo: 'texto', requerido: true, valores: Object.keys(TIPOS_ENTRADA_HISTORIA) },
+        texto: { tipo: 'texto', requerido: true },
+        autorId: { tipo: 'entero' },
+        autor: { tipo: 'texto', requerido: true },
+        usuarioId: { tipo: 'entero' },
+        fecha: { tipo: 'fecha', requerido: true },
+        enmiendaDe: { tipo: 'entero', referencia: { tabla: 'entradasHistoria', alBorrar: 'restringir' } },
+        motivo: { tipo: 'texto' }
+    },
+    categorias: {
+        nombre: { tipo: 'texto', requerido: true, unico: true },
+        descripcion: { tipo: 'texto' }
+    },
+    insumos: {
+        nombre: { tipo: 'texto', requerido: true },
+        stock: { tipo: 'numero', requerido: true },
+        unidad: { tipo: 'texto', requerido: true },
+        categoriaId: { tipo: 'entero', referencia: { tabla: 'categorias', alBorrar: 'restringir' } },
+        descripcion: { tipo: 'texto' },
+        stockMinimo: { tipo: 'numero' },
+        puntoReposicion: { tipo: 'numero' },
+        stockActualizadoEn: { tipo: 'fecha' }
+    },
+    movimientosInsumos: {
+        insumoId: { tipo: 'entero', requerido: true, referencia: { tabla: 'insumos', alBorrar: 'cascada' } },
+        tipo: { tipo: 'texto', requerido: true, valores: Object.keys(TIPOS_MOVIMIENTO_INSUMO) },
+        cantidad: { tipo: 'numero', requerido: true },
+        stockAnterior: { tipo: 'numero', requerido: true },
+        stockResultante: { tipo: 'numero', requerido: true },
+        motivo: { tipo: 'texto' },
+        usuarioId: { tipo: 'entero' },
+        usuario: { tipo: 'texto', requerido: true },
+        areaId: { tipo: 'entero', referencia: { tabla: 'areas', alBorrar: 'anular' } },
+        fecha: { tipo: 'fecha', requerido: true }
+    },
+    suscripcionesAlertas: {
+        destinatario: { tipo: 'texto', requerido: true },
+        insumoId: { tipo: 'entero', referencia: { tabla: 'insumos', alBorrar: 'cascada' } }, // null: todos los insumos
+        nivelMinimo: { tipo: 'texto', requerido: true, valores: NIVELES_STOCK },
+        creadaEn: { tipo: 'fecha', requerido: true }
+    },
+    alertasStock: {
+        insumoId: { tipo: 'entero', requerido: true, referencia: { tabla: 'insumos', alBorrar: 'cascada' } },
+        nivel: { tipo: 'texto', requerido: true, valores: NIVELES_STOCK },
+        stockAnterior: { tipo: 'numero' },
+        stockResultante: { tipo: 'numero' },
+        movimientoId: { tipo: 'entero', referencia: { tabla: 'movimientosInsumos', alBorrar: 'anular' } },
+        notificados: { tipo: 'lista', requerido: true },
+        fecha: { tipo: 'fecha', requerido: true }
+    },
+    tareas: {
+        descripcion: { tipo: 'texto', requerido: true },
+        empleadoId: { tipo: 'entero', requerido: true, referencia: { tabla: 'empleados', alBorrar: 'restringir' } },
+        pacienteId: { tipo: 'entero', referencia: { tabla: 'pacientes', alBorrar: 'restringir' } },
+        estado: { tipo: 'texto', requerido: true, valores: Object.keys(TRANSICIONES_TAREA), indexado: true },
+        fecha: { tipo: 'fecha', requerido: true },
+        creadaPor: { tipo: 'entero', referencia: { tabla: 'usuarios', alBorrar: 'anular' } },
+        estadoActualizadoEn: { tipo: 'fecha' }
+    },
+    transicionesTareas: {
+        tareaId: { tipo: 'entero', requerido: true, referencia: { tabla: 'tareas', alBorrar: 'cascada' } },
+        estadoAnterior: { tipo: 'texto', valores: Object.keys(TRANSICIONES_TAREA) },
+        estadoNuevo: { tipo: 'texto', requerido: true, valores: Object.keys(TRANSICIONES_TAREA) },
+        comentario: { tipo: 'texto' },
+        usuarioId: { tipo: 'entero' },
+        usuario: { tipo: 'texto', requerido: true },
+        fecha: { tipo: 'fecha', requerido: true }
+    },
+    citas: {
+        pacienteId: { tipo: 'entero', requerido: true, referencia: { tabla: 'pacientes', alBorrar: 'restringir' } },
+        medicoId: { tipo: 'entero', requerido: true, referencia: { tabla: 'empleados', alBorrar: 'restringir' } },
+        inicio: { tipo: 'fecha', requerido: true },
+        fin: { tipo: 'fecha', requerido: true },
+        motivo: { tipo: 'texto', requerido: true },
+        estado: { tipo: 'texto', requerido: true, valores: ESTADOS_CITA },
+        creadaPor: { tipo: 'texto' },
+        creadaEn: { tipo: 'fecha', requerido: true },
+        actualizadaEn: { tipo: 'fecha' },
+        reprogramaciones: { tipo: 'lista' },
+        motivoCancelacion: { tipo: 'texto' },
+        canceladaPor: { tipo: 'texto' },
+        canceladaEn: { tipo: 'fecha' }
+    },
+    tokensRevocados: {
+        jti: { tipo: 'texto', indexado: true },
+        familia: { tipo: 'texto', indexado: true },
+        usuarioId: { tipo: 'entero', requerido: true, indexado: true },
+        motivo: { tipo: 'texto' },
+        revocadoEn: { tipo: 'fecha', requerido: true },
+        expiraEn: { tipo: 'fecha', requerido: true }
+    },
+    refreshTokens: {
+        tokenHash: { tipo: 'texto', requerido: true, unico: true },
+        usuarioId: { tipo: 'entero', requerido: true, referencia: { tabla: 'usuarios', alBorrar: 'cascada' } },
+        familia: { tipo: 'texto', requerido: true, indexado: true },
+        ip: { tipo: 'texto' },
+        userAgent: { tipo: 'texto' },
+        sesionIniciadaEn: { tipo: 'fecha', requerido: true },
+        creadoEn: { tipo: 'fecha', requerido: true },
+        expiraEn: { tipo: 'fecha', requerido: true },
+        usadoEn: { tipo: 'fecha' },
+        revocado: { tipo: 'booleano', requerido: true }
+    },
+    resetTokens: {
+        usuarioId: { tipo: 'entero', requerido: true, referencia: { tabla: 'usuarios', alBorrar: 'cascada' } },
+        tokenHash: { tipo: 'texto', requerido: true, unico: true },
+        creadoEn: { tipo: 'fecha', requerido: true },
+        expiraEn: { tipo: 'fecha', requerido: true },
+        usadoEn: { tipo: 'fecha' }
+    },
+    cuentasServicio: {
+        nombre: { tipo: 'texto', requerido: true, unico: true },
+        descripcion: { tipo: 'texto' },
+        activa: { tipo: 'booleano', requerido: true },
+        creadaEn: { tipo: 'fecha', requerido: true }
+    },
+    apiKeys: {
+        cuentaServicioId: { tipo: 'entero', requerido: true, referencia: { tabla: 'cuentasServicio', alBorrar: 'cascada' } },
+        prefijo: { tipo: 'texto', requerido: true },
+        keyHash: { tipo: 'texto', requerido: true, unico: true },
+        permisos: { tipo: 'lista', requerido: true },
+        creadaEn: { tipo: 'fecha', requerido: true },
+        expiraEn: { tipo: 'fecha' },
+        ultimoUsoEn: { tipo: 'fecha' },
+        revocada: { tipo: 'booleano', requerido: true },
+        revocadaEn: { tipo: 'fecha' }
+    }
+};
+
+/**
+ * Referencias que apuntan a una tabla: { tabla, campo, alBorrar } por cada
+ * campo de otra tabla (o de la misma) cuyo valor es un ID de `tabla`
+ * @param {string} tabla - Tabla referenciada
+ * @returns {Array<Object>} Referencias entrantes
+ */
+export function referenciasA(tabla) {
+    return Object.entries(ESQUEMAS).flatMap(([origen, campos]) =>
+        Object.entries(campos)
+            .filter(([, definicion]) => definicion.referencia?.tabla === tabla)
+            .map(([campo, definicion]) => ({ tabla: origen, campo, alBorrar: definicion.referencia.alBorrar })));
+}
@@ -0,0 +1,208 @@
+/**
+ * Definición de la política de autorización
+ *
+ * roles (db.json) → permisos (catálogo) → acciones sobre rutas y recursos (políticas)
+ *
+ * Cada acción se concede si el rol del usuario tiene alguno de los `permisos`,
+ * o bien alguno de los permisos de `propias` y la regla `esPropietario`
+ * confirma que el recurso pedido le pertenece. Las acciones con `soloPersonas`
+ * se niegan a las cuentas de servicio aunque su key tenga el permiso.
+ */
+
+/**
+ * Catálogo de permisos conocidos por el sistema
+ */
+export const PERMISOS = {
+    gestionar_usuarios: 'Administrar usuarios, sesiones y bloqueos',
+    gestionar_tareas: 'Crear, reasignar y eliminar cualquier tarea',
+    gestionar_insumos: 'Dar de alta y modificar insumos',
+    ver_insumos: 'Consultar el inventario de insumos',
+    ver_pacientes: 'Consultar los datos de cualquier paciente',
+    gestionar_pacientes: 'Atender pacientes y modificar sus datos',
+    crear_tareas: 'Crear tareas para pacientes',
+    ver_tareas: 'Consultar todas las tareas',
+    actualizar_tareas: 'Actualizar el estado de las tareas',
+    ver_historia: 'Consultar la historia clínica propia',
+    ver_tareas_asignadas: 'Consultar las tareas propias'
+};
+
+/**
+ * Permisos que solo pueden tener personas: nunca se asignan a una API key
+ */
+export const PERMISOS_SOLO_PERSONAS = ['gestionar_usuarios'];
+
+/**
+ * Regla de propiedad: el usuario es el paciente indicado en `req.params.id`
+ * @param {Object} usuario - Usuario completo
+ * @param {Object} req - Request de Express
+ * @returns {boolean} True si el paciente de la ruta es el del usuario
+ */
+export function esPacienteDeLaRuta(usuario, req) {
+    const pacienteId = usuario.perfil?.pacienteId;
+    return Boolean(pacienteId) && pacienteId === parseInt(req.params.id);
+}
+
+/**
+ * Regla de propiedad: el usuario es el empleado asignado a `req.tarea`
+ * @param {Object} usuario - Usuario completo
+ * @param {Object} req - Request (o contexto) con la tarea evaluada
+ * @returns {boolean} True si la tarea está asignada al usuario
+ */
+export function esEmpleadoAsignado(usuario, req) {
+    const empleadoId = usuario.perfil?.empleadoId;
+    return Boolean(empleadoId) && empleadoId === req.tarea?.empleadoId;
+}
+
+/**
+ * Regla de propiedad: el usuario creó `req.tarea`
+ * @param {Object} usuario - Usuario completo
+ * @param {Object} req - Request (o contexto) con la tarea evaluada
+ * @returns {boolean} True si la tarea fue creada por el usuario
+ */
+export function esCreadorDeLaTarea(usuario, req) {
+    return Boolean(usuario.id) && usuario.id === req.tarea?.creadaPor;
+}
+
+/**
+ * Regla de propiedad: el usuario es el paciente de `req.cita`
+ * @param {Object} usuario - Usuario completo
+ * @param {Object} req - Request (o contexto) con la cita evaluada
+ * @returns {boolean} True si la cita es del usuario
+ */
+export function esPacienteDeLaCita(usuario, req) {
+    const pacienteId = usuario.perfil?.pacienteId;
+    return Boolean(pacienteId) && pacienteId === req.cita?.pacienteId;
+}
+
+/**
+ * Acciones protegidas y qué permisos las habilitan
+ */
+export const POLITICAS = {
+    'usuarios:administrar': {
+        descripcion: 'Panel de administración y gestión de usuarios, sesiones y bloqueos',
+        permisos: ['gestionar_usuarios'],
+        soloPersonas: true
+    },
+    'roles:administrar': {
+        descripcion: 'Gestión de roles y de los permisos que otorgan',
+        permisos: ['gestionar_usuarios'],
+        soloPersonas: true
+    },
+    'cuentas_servicio:administrar': {
+        descripcion: 'Gestión de cuentas de servicio y API keys',
+        permisos: ['gestionar_usuarios'],
+        soloPersonas: true
+    },
+    'medico:panel': {
+        descripcion: 'Panel médico',
+        permisos: ['gestionar_pacientes']
+    },
+    'paciente:portal': {
+        descripcion: 'Portal del paciente',
+        permisos: ['ver_historia']
+    },
+    'pacientes:ver': {
+        descripcion: 'Consultar los datos de un paciente',
+        permisos: ['ver_pacientes', 'gestionar_pacientes'],
+        propias: {
+            permisos: ['ver_historia'],
+            esPropietario: esPacienteDeLaRuta
+        }
+    },
+    'pacientes:listar': {
+        descripcion: 'Buscar y listar pacientes',
+        permisos: ['ver_pacientes', 'gestionar_pacientes']
+    },
+    'pacientes:gestionar': {
+        descripcion: 'Alta, modificación y baja de pacientes',
+        permisos: ['gestionar_pacientes']
+    },
+    'insumos:ver': {
+        descripcion: 'Consultar el inventario de insumos',
+        permisos: ['ver_insumos', 'gestionar_insumos']
+    },
+    'insumos:editar': {
+        descripcion: 'Modificar el inventario de insumos',
+        permisos: ['gestionar_insumos']
+    },
+    'insumos:alertas': {
+        descripcion: 'Configurar quién recibe las alertas de stock',
+        permisos: ['gestionar_insumos']
+    },
+    'tareas:leer': {
+        descripcion: 'Consultar las tareas de un paciente',
+        permisos: ['ver_tareas', 'gestionar_tareas', 'crear_tareas'],
+        propias: {
+            permisos: ['ver_tareas_asignadas'],
+            esPropietario: esPacienteDeLaRuta
+        }
+    },
+    'tareas:listar': {
+        descripcion: 'Consultar las tareas',
+        permisos: ['ver_tareas', 'gestionar_tareas', 'crear_tareas']
+    },
+    'tareas:crear': {
+        descripcion: 'Crear tareas',
+        permisos: ['crear_tareas', 'gestionar_tareas']
+    },
+    'tareas:transicionar': {
+        descripcion: 'Cambiar el estado de las tareas',
+        permisos: ['actualizar_tareas', 'crear_tareas', 'gestionar_tareas']
+    },
+    'tareas:ejecutar': {
+        descripcion: 'Iniciar o completar una tarea',
+        permisos: ['gestionar_tareas'],
+        propias: {
+            permisos: ['actualizar_tareas', 'crear_tareas'],
+            esPropietario: esEmpleadoAsignado
+        }
+    },
+    'tareas:supervisar': {
+        descripcion: 'Cancelar o reabrir una tarea',
+        permisos: ['gestionar_tareas'],
+        propias: {
+            permisos: ['crear_tareas'],
+            esPropietario: esCreadorDeLaTarea
+        }
+    },
+    'citas:acceder': {
+        descripcion: 'Consultar y solicitar citas',
+        permisos: ['ver_pacientes', 'gestionar_pacientes', 'ver_historia']
+    },
+    'citas:ver': {
+        descripcion: 'Consultar una cita',
+        permisos: ['ver_pacientes', 'gestionar_pacientes'],
+        propias: {
+            permisos: ['ver_historia'],
+            esPropietario: esPacienteDeLaCita
+        }
+    },
+    'citas:gestionar': {
+        descripcion: 'Reservar, reprogramar o cancelar una cita',
+        permisos: ['gestionar_pacientes'],
+        propias: {
+            permisos: ['ver_historia'],
+            esPropietario: esPacienteDeLaCita
+        }
+    },
+    'areas:ver': {
+        descripcion: 'Consultar las áreas del hospital y su actividad',
+        permisos: ['gestionar_usuarios', 'gestionar_tareas', 'ver_tareas', 'ver_pacientes', 'ver_insumos']
+    },
+    'areas:administrar': {
+        descripcion: 'Gestión de áreas y asignación de empleados',
+        permisos: ['gestionar_usuarios']
+    },
+    'historia:leer': {
+        descripcion: 'Consultar la historia clínica de un paciente',
+        permisos: ['ver_pacientes', 'gestionar_pacientes'],
+        propias: {
+            permisos: ['ver_historia'],
+            esPropietario: esPacienteDeLaRuta
+        }
+    },
+    'historia:registrar': {
+        descripcion: 'Registrar entradas y enmiendas en la historia clínica',
+        permisos: ['gestionar_pacientes']
+    }
+};
@@ -0,0 +1,169 @@
+import ApiKeyService from '../services/apikey.service.js';
+
+/**
+ * Controlador de Cuentas de Servicio
+ * Maneja la administración de cuentas de servicio y sus API keys (solo admin)
+ * Solo contiene lógica de HTTP, la lógica de negocio está en ApiKeyService
+ */
+class ApiKeysController {
+
+    /**
+     * Convierte un resultado fallido de ApiKeyService en una respuesta HTTP
+     * @param {Object} res - Response de Express
+     * @param {Object} resultado - Resultado fallido
+     */
+    static responderError(res, resultado) {
+        const statusCode = resultado.code === 'DUPLICATE_NAME' ? 409 : 400;
+        return res.status(statusCode).json({
+            success: false,
+            message: resultado.message,
+            code: resultado.code,
+            errores: resultado.errores
+        });
+    }
+
+    /**
+     * Responde 404 si el error es de un registro inexistente; 409 si otros registros lo usan (IN_USE); si no, 500
+     * @param {Object} res - Response de Express
+     * @param {Error} error - Error capturado
+     * @param {string} contexto - Descripción para el log
+     */
+    static responderExcepcion(res, error, contexto) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                message: 'Cuenta de servicio no encontrada'
+            });
+        }
+        if (error.code === 'IN_USE') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        console.error(`Error ${contexto}:`, error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+
+    /**
+     * Lista las cuentas de servicio con sus keys
+     */
+    static async listar(req, res) {
+        try {
+            return res.status(200).json({
+                success: true,
+                data: await ApiKeyService.listarCuentas()
+            });
+        } catch (error) {
+            return ApiKeysController.responderExcepcion(res, error, 'listando cuentas de servicio');
+        }
+    }
+
+    /**
+     * Crea una cuenta de servicio
+     */
+    static async crear(req, res) {
+        try {
+            const { nombre, descripcion } = req.body || {};
+            const resultado = await ApiKeyService.crearCuenta({ nombre, descripcion });
+            if (!resultado.success) {
+                return ApiKeysController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return ApiKeysController.responderExcepcion(res, error, 'creando cuenta de servicio');
+        }
+    }
+
+    /**
+     * Activa o desactiva una cuenta de servicio
+     */
+    static async cambiarEstado(req, res) {
+        try {
+            const { activa } = req.body || {};
+            if (typeof activa !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    message: "El campo 'activa' debe ser true o false"
+                });
+            }
+
+            const cuenta = await ApiKeyService.cambiarEstadoCuenta(req.params.id, activa);
+
+            return res.status(200).json({
+                success: true,
+                message: activa ? 'Cuenta de servicio activada' : 'Cuenta de servicio desactivada',
+                data: cuenta
+            });
+
+        } catch (error) {
+            return ApiKeysController.responderExcepcion(res, error, 'cambiando estado de cuenta de servicio');
+        }
+    }
+
+    /**
+     * Elimina una cuenta de servicio y sus keys
+     */
+    static async eliminar(req, res) {
+        try {
+            await ApiKeyService.eliminarCuenta(req.params.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Cuenta de servicio eliminada'
+            });
+
+        } catch (error) {
+            return ApiKeysController.responderExcepcion(res, error, 'eliminando cuenta de servicio');
+        }
+    }
+
+    /**
+     * Emite una API key para la cuenta (se muestra una sola vez)
+     */
+    static async emitirKey(req, res) {
+        try {
+            const { permisos, expiraEn } = req.body || {};
+            const resultado = await ApiKeyService.emitirApiKey(req.params.id, { permisos, expiraEn });
+            if (!resultado.success) {
+                return ApiKeysController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return ApiKeysController.responderExcepcion(res, error, 'emitiendo API key');
+        }
+    }
+
+    /**
+     * Revoca una API key de la cuenta
+     */
+    static async revocarKey(req, res) {
+        try {
+            const revocada = await ApiKeyService.revocarApiKey(req.params.id, req.params.keyId);
+            if (!revocada) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'API key no encontrada'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'API key revocada'
+            });
+
+        } catch (error) {
+            return ApiKeysController.responderExcepcion(res, error, 'revocando API key');
+        }
+    }
+}
+
+export default ApiKeysController;
@@ -0,0 +1,174 @@
+import AreaService from '../services/area.service.js';
+
+/**
+ * Controlador de Áreas
+ * API de áreas del hospital, asignación de empleados y resumen de actividad por área.
+ * Solo contiene lógica de HTTP, la lógica de negocio está en AreaService
+ */
+class AreasController {
+
+    /**
+     * Convierte un resultado fallido de AreaService en una respuesta HTTP
+     * @param {Object} res - Response de Express
+     * @param {Object} resultado - Resultado fallido
+     */
+    static responderError(res, resultado) {
+        const statusCode = ['DUPLICATE_AREA', 'AREA_EN_USO', 'JEFE_DE_AREA'].includes(resultado.code) ? 409 : 400;
+        return res.status(statusCode).json({
+            success: false,
+            message: resultado.message,
+            code: resultado.code,
+            errores: resultado.errores
+        });
+    }
+
+    /**
+     * Responde 404 si el área o el empleado no existe; 409 si otros registros lo usan (IN_USE); si no, 500
+     * @param {Object} res - Response de Express
+     * @param {Error} error - Error capturado
+     * @param {string} contexto - Descripción para el log
+     */
+    static responderExcepcion(res, error, contexto) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                message: error.tabla === 'empleados' ? 'Empleado no encontrado' : 'Área no encontrada'
+            });
+        }
+        if (error.code === 'IN_USE') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        console.error(`Error ${contexto}:`, error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+
+    /**
+     * Lista las áreas con su jefe y cantidad de empleados
+     */
+    static async listar(req, res) {
+        try {
+            const areas = await AreaService.listar();
+
+            return res.status(200).json({
+                success: true,
+                data: areas
+            });
+
+        } catch (error) {
+            return AreasController.responderExcepcion(res, error, 'listando áreas');
+        }
+    }
+
+    /**
+     * Obtiene un área con sus empleados
+     */
+    static async obtener(req, res) {
+        try {
+            const area = await AreaService.obtener(req.params.id);
+
+            return res.status(200).json({
+                success: true,
+                data: area
+            });
+
+        } catch (error) {
+            return AreasController.responderExcepcion(res, error, 'obteniendo área');
+        }
+    }
+
+    /**
+     * Da de alta un área
+     */
+    static async crear(req, res) {
+        try {
+            const resultado = await AreaService.crear(req.body || {});
+            if (!resultado.success) {
+                return AreasController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return AreasController.responderExcepcion(res, error, 'creando área');
+        }
+    }
+
+    /**
+     * Modifica nombre, descripción o jefe de un área
+     */
+    static async actualizar(req, res) {
+        try {
+            const resultado = await AreaService.actualizar(req.params.id, req.body || {});
+            if (!resultado.success) {
+                return AreasController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return AreasController.responderExcepcion(res, error, 'actualizando área');
+        }
+    }
+
+    /**
+     * Elimina un área sin empleados
+     */
+    static async eliminar(req, res) {
+        try {
+            const resultado = await AreaService.eliminar(req.params.id);
+            if (!resultado.success) {
+                return AreasController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return AreasController.responderExcepcion(res, error, 'eliminando área');
+        }
+    }
+
+    /**
+     * Asigna un empleado a un área y, si es médico, su especialidad ({ areaId, especialidad })
+     */
+    static async asignarEmpleado(req, res) {
+        try {
+            const { areaId, especialidad } = req.body || {};
+            const resultado = await AreaService.asignarEmpleado(req.params.id, { areaId, especialidad });
+            if (!resultado.success) {
+                return AreasController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return AreasController.responderExcepcion(res, error, 'asignando empleado a un área');
+        }
+    }
+
+    /**
+     * Resumen de actividad por área (?areaId=&desde=AAAA-MM-DD&hasta=AAAA-MM-DD)
+     */
+    static async reporte(req, res) {
+        try {
+            const { areaId, desde, hasta } = req.query;
+            const resultado = await AreaService.reporte({ areaId, desde, hasta });
+            if (!resultado.success) {
+                return AreasController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return AreasController.responderExcepcion(res, error, 'generando reporte por área');
+        }
+    }
+}
+
+export default AreasController;
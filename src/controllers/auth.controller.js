@@ -1,4 +1,14 @@
 import AuthService from '../services/auth.service.js';
+import DatabaseService from '../services/database.service.js';
+import PoliticaService from '../services/politica.service.js';
+import ApiKeyService from '../services/apikey.service.js';
+
+// Nombres de las cookies de sesión usadas por el navegador
+const COOKIE_SESION = 'sessionId';
+const COOKIE_REFRESH = 'refreshToken';
+
+// Header con el que las cuentas de servicio envían su API key
+const HEADER_API_KEY = 'x-api-key';
 
 /**
  * Controlador de Autenticación
@@ -6,7 +16,121 @@ import AuthService from '../services/auth.service.js';
  * Solo contiene lógica de HTTP, la lógica de negocio está en AuthService
  */
 class AuthController {
+
+    /**
+     * Obtiene el token JWT del request (header Authorization, X-Session-Id o cookie firmada)
+     * @param {Object} req - Request de Express
+     * @returns {string|undefined} Token JWT
+     */
+    static obtenerToken(req) {
+        return req.headers['authorization']?.replace('Bearer ', '') ||
+               req.headers['x-session-id'] ||
+               req.signedCookies?.[COOKIE_SESION];
+    }
+
+    /**
+     * Datos del cliente que se guardan junto a la sesión
+     * @param {Object} req - Request de Express
+     * @returns {Object} Contexto con IP y user agent
+     */
+    static contextoCliente(req) {
+        return {
+            ip: req.ip,
+            userAgent: req.get('user-agent') || null
+        };
+    }
+
+    /**
+     * Opciones de las cookies de sesión (firmadas, HttpOnly y SameSite)
+     * @param {string} path - Ruta a la que se envía la cookie
+     * @returns {Object} Opciones para res.cookie / res.clearCookie
+     */
+    static opcionesCookieSesion(path = '/') {
+        return {
+            httpOnly: true,
+            signed: true,
+            sameSite: 'lax',
+            secure: process.env.NODE_ENV === 'production',
+            path
+        };
+    }
+
+    /**
+     * Emite las cookies de sesión: el access token (para todo el sitio) y
+     * el refresh token (solo para /auth), cada una con su expiración
+     * @param {Object} res - Response de Express
+     * @param {Object} sesion - Sesión creada por AuthService.crearSesion
+     */
+    static emitirCookieSesion(res, sesion) {
+        res.cookie(COOKIE_SESION, sesion.token, {
+            ...AuthController.opcionesCookieSesion(),
+            expires: sesion.expiraEn
+        });
+        res.cookie(COOKIE_REFRESH, sesion.refreshToken, {
+            ...AuthController.opcionesCookieSesion('/auth'),
+            expires: sesion.refreshExpiraEn
+        });
+    }
+
+    /**
+     * Elimina las cookies de sesión del navegador
+     * @param {Object} res - Response de Express
+     */
+    static limpiarCookieSesion(res) {
+        res.clearCookie(COOKIE_SESION, AuthController.opcionesCookieSesion());
+        res.clearCookie(COOKIE_REFRESH, AuthController.opcionesCookieSesion('/auth'));
+    }
+
+    /**
+     * Arma los datos de sesión que se devuelven al cliente
+     * @param {Object} resultado - Resultado exitoso de AuthService
+     * @returns {Object} Datos de la respuesta
+     */
+    static datosSesion(resultado) {
+        return {
+            usuario: AuthService.datosPublicos(resultado.data.usuario),
+            token: resultado.data.sesion.token,
+            sessionId: resultado.data.sesion.sessionId, // Mantener compatibilidad
+            permisos: resultado.data.permisos,
+            expiresIn: resultado.data.sesion.expiresIn,
+            expiresAt: resultado.data.sesion.expiraEn,
+            refreshToken: resultado.data.sesion.refreshToken,
+            refreshExpiresIn: resultado.data.sesion.refreshExpiresIn,
+            refreshExpiresAt: resultado.data.sesion.refreshExpiraEn,
+            debeCambiarPassword: Boolean(resultado.data.usuario.debeCambiarPassword)
+        };
+    }
     
+    /**
+     * Código HTTP para un login fallido: todas las credenciales rechazadas
+     * responden 401 sin distinguir el motivo
+     * @param {string} code - Código de error de AuthService
+     * @returns {number} Código HTTP
+     */
+    static statusErrorLogin(code) {
+        if (code === 'INSUFFICIENT_PERMISSIONS') {
+            return 403;
+        }
+        return code === 'INTERNAL_ERROR' ? 500 : 401;
+    }
+
+    /**
+     * Respuesta del primer paso del login cuando falta el segundo factor
+     * @param {Object} res - Response de Express
+     * @param {Object} resultado - Resultado de AuthService con el ticket pendiente
+     */
+    static responderMfaPendiente(res, resultado) {
+        return res.status(200).json({
+            success: true,
+            message: resultado.message,
+            data: {
+                mfaRequerido: true,
+                ticket: resultado.data.ticket,
+                enrolamientoRequerido: resultado.data.enrolamientoRequerido
+            }
+        });
+    }
+
     /**
      * Login específico para administradores
      */
@@ -23,28 +147,30 @@ class AuthController {
             }
 
             // Usar el servicio de autenticación
-            const resultado = await AuthService.autenticarAdmin(usuario, password);
+            const resultado = await AuthService.autenticarAdmin(usuario, password, AuthController.contextoCliente(req));
 
             // Manejar resultado del servicio
             if (!resultado.success) {
-                const statusCode = resultado.code === 'INSUFFICIENT_PERMISSIONS' ? 403 : 401;
+                const statusCode = AuthController.statusErrorLogin(resultado.code);
                 return res.status(statusCode).json({
                     success: false,
                     message: resultado.message
                 });
             }
 
+            // Primer paso completo: falta el segundo factor
+            if (resultado.data.mfaPendiente) {
+                return AuthController.responderMfaPendiente(res, resultado);
+            }
+
+            // Cookie de sesión para navegación en el navegador
+            AuthController.emitirCookieSesion(res, resultado.data.sesion);
+
             // Respuesta exitosa con JWT token
             return res.status(200).json({
                 success: true,
                 message: resultado.message,
-                data: {
-                    usuario: resultado.data.usuario,
-                    token: resultado.data.sesion.token,
-                    sessionId: resultado.data.sesion.sessionId, // Mantener compatibilidad
-                    permisos: resultado.data.permisos,
-                    expiresIn: resultado.data.sesion.expiresIn
-                }
+                data: AuthController.datosSesion(resultado)
             });
 
         } catch (error) {
@@ -72,27 +198,29 @@ class AuthController {
             }
 
             // Usar el servicio de autenticación
-            const resultado = await AuthService.autenticarUsuario(usuario, password);
+            const resultado = await AuthService.autenticarUsuario(usuario, password, AuthController.contextoCliente(req));
 
             // Manejar resultado del servicio
             if (!resultado.success) {
-                return res.status(401).json({
+                return res.status(AuthController.statusErrorLogin(resultado.code)).json({
                     success: false,
                     message: resultado.message
                 });
             }
 
+            // Primer paso completo: falta el segundo factor
+            if (resultado.data.mfaPendiente) {
+                return AuthController.responderMfaPendiente(res, resultado);
+            }
+
+            // Cookie de sesión para navegación en el navegador
+            AuthController.emitirCookieSesion(res, resultado.data.sesion);
+
             // Respuesta exitosa con JWT token
             return res.status(200).json({
                 success: true,
                 message: resultado.message,
-                data: {
-                    usuario: resultado.data.usuario,
-                    token: resultado.data.sesion.token,
-                    sessionId: resultado.data.sesion.sessionId, // Mantener compatibilidad
-                    permisos: resultado.data.permisos,
-                    expiresIn: resultado.data.sesion.expiresIn
-                }
+                data: AuthController.datosSesion(resultado)
             });
 
         } catch (error) {
@@ -105,48 +233,40 @@ class AuthController {
     }
 
     /**
-     * Middleware para verificar que el usuario sea administrador usando JWT
+     * Renueva la sesión intercambiando un refresh token por un nuevo par de tokens
      */
-    static async requireAdmin(req, res, next) {
+    static async refresh(req, res) {
         try {
-            // Obtener token JWT desde headers o cookies
-            const token = req.headers['authorization']?.replace('Bearer ', '') || 
-                         req.headers['x-session-id'] || 
-                         req.cookies?.sessionId;
-            
-            if (!token) {
-                return res.status(401).json({
+            // Obtener refresh token desde el body o la cookie
+            const refreshToken = req.body?.refreshToken || req.signedCookies?.[COOKIE_REFRESH];
+
+            if (!refreshToken) {
+                return res.status(400).json({
                     success: false,
-                    message: 'No autenticado: Token JWT requerido'
+                    message: 'Refresh token requerido'
                 });
             }
 
-            // Validar token JWT
-            const payload = AuthService.validarToken(token);
-            if (!payload) {
+            const resultado = await AuthService.refrescarSesion(refreshToken, AuthController.contextoCliente(req));
+
+            if (!resultado.success) {
+                AuthController.limpiarCookieSesion(res);
                 return res.status(401).json({
                     success: false,
-                    message: 'Token JWT inválido o expirado'
+                    message: resultado.message
                 });
             }
 
-            // Obtener usuario actual
-            const usuario = await AuthService.obtenerUsuarioActual(token);
-            
-            if (!usuario || !AuthService.esAdministrador(usuario)) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Acceso denegado: Se requieren permisos de administrador'
-                });
-            }
-            
-            req.user = usuario;
-            req.sessionId = token;
-            req.jwtPayload = payload;
-            next();
+            AuthController.emitirCookieSesion(res, resultado.data.sesion);
+
+            return res.status(200).json({
+                success: true,
+                message: resultado.message,
+                data: AuthController.datosSesion(resultado)
+            });
 
         } catch (error) {
-            console.error('Error en middleware requireAdmin:', error);
+            console.error('Error renovando sesión:', error);
             return res.status(500).json({
                 success: false,
                 message: 'Error interno del servidor'
@@ -155,111 +275,157 @@ class AuthController {
     }
 
     /**
-     * Middleware para verificar permisos específicos usando JWT
+     * Indica si el request es la navegación de una página (no una llamada a la API)
+     * @param {Object} req - Request de Express
+     * @returns {boolean} True si el navegador espera HTML
      */
-    static requirePermission(permiso) {
-        return async (req, res, next) => {
-            try {
-                // Obtener token JWT desde headers o cookies
-                const token = req.headers['authorization']?.replace('Bearer ', '') || 
-                             req.headers['x-session-id'] || 
-                             req.cookies?.sessionId;
-                
-                if (!token) {
-                    return res.status(401).json({
-                        success: false,
-                        message: 'No autenticado: Token JWT requerido'
-                    });
-                }
-
-                // Validar token JWT
-                const payload = AuthService.validarToken(token);
-                if (!payload) {
-                    return res.status(401).json({
-                        success: false,
-                        message: 'Token JWT inválido o expirado'
-                    });
-                }
-
-                // Obtener usuario actual
-                const usuario = await AuthService.obtenerUsuarioActual(token);
-                
-                if (!usuario || !AuthService.tienePermiso(usuario, permiso)) {
-                    return res.status(403).json({
-                        success: false,
-                        message: `Acceso denegado: Se requiere el permiso '${permiso}'`
-                    });
-                }
-                
-                req.user = usuario;
-                req.sessionId = token;
-                req.jwtPayload = payload;
-                next();
+    static esNavegacion(req) {
+        return req.method === 'GET' && req.accepts(['json', 'html']) === 'html';
+    }
 
-            } catch (error) {
-                console.error('Error en middleware requirePermission:', error);
-                return res.status(500).json({
-                    success: false,
-                    message: 'Error interno del servidor'
-                });
-            }
-        };
+    /**
+     * Ruta local a la que volver después de renovar la sesión (nunca otro sitio)
+     * @param {*} volver - Ruta pedida
+     * @returns {string} Ruta segura
+     */
+    static destinoLocal(volver) {
+        const esLocal = typeof volver === 'string' && /^\/(?![\/\\])/.test(volver);
+        return esLocal && !volver.startsWith('/auth/') ? volver : '/';
     }
 
     /**
-     * Middleware para requerir que el usuario sea un paciente
+     * Renueva la sesión del navegador con la cookie del refresh token y vuelve a la
+     * página pedida; si no se puede, vuelve al login
      */
-    static async requirePaciente(req, res, next) {
+    static async renovarNavegacion(req, res) {
         try {
-            // Obtener token JWT desde headers o cookies
-            const token = req.headers['authorization']?.replace('Bearer ', '') || 
-                         req.headers['x-session-id'] || 
-                         req.cookies?.sessionId;
-            
-            if (!token) {
-                return res.status(401).json({
-                    success: false,
-                    message: 'No autenticado: Token JWT requerido'
-                });
+            const refreshToken = req.signedCookies?.[COOKIE_REFRESH];
+            const resultado = refreshToken
+                ? await AuthService.refrescarSesion(refreshToken, AuthController.contextoCliente(req))
+                : null;
+
+            if (!resultado?.success) {
+                AuthController.limpiarCookieSesion(res);
+                return res.redirect('/');
             }
 
-            // Validar token JWT
-            const payload = AuthService.validarToken(token);
-            if (!payload) {
-                return res.status(401).json({
+            AuthController.emitirCookieSesion(res, resultado.data.sesion);
+            return res.redirect(AuthController.destinoLocal(req.query.volver));
+
+        } catch (error) {
+            console.error('Error renovando sesión:', error);
+            AuthController.limpiarCookieSesion(res);
+            return res.redirect('/');
+        }
+    }
+
+    /**
+     * Respuesta para usuarios que deben cambiar su contraseña antes de continuar
+     * @param {Object} res - Response de Express
+     */
+    static responderCambioPasswordPendiente(res) {
+        return res.status(403).json({
+            success: false,
+            message: 'Debe cambiar su contraseña antes de continuar',
+            code: 'PASSWORD_CHANGE_REQUIRED'
+        });
+    }
+
+    /**
+     * Autentica el request: con API key (header X-API-Key) o con JWT.
+     * Si falla, responde con 401 y devuelve null.
+     * @param {Object} req - Request de Express
+     * @param {Object} res - Response de Express
+     * @returns {Promise<Object|null>} Usuario completo (o principal de la cuenta de servicio) o null si ya se respondió
+     */
+    static async autenticar(req, res) {
+        // Cuentas de servicio: API key en lugar de JWT
+        const apiKey = req.headers[HEADER_API_KEY];
+        if (apiKey) {
+            const principal = await ApiKeyService.autenticar(apiKey);
+            if (!principal) {
+                res.status(401).json({
                     success: false,
-                    message: 'Token JWT inválido o expirado'
+                    message: 'API key inválida, revocada o expirada'
                 });
+                return null;
             }
 
-            // Obtener usuario completo
-            const usuario = await AuthService.obtenerUsuarioActual(token);
-            
+            req.user = principal;
+            req.cuentaServicio = principal.cuentaServicio;
+            req.payload = null;
+            return principal;
+        }
+
+        // Obtener token JWT desde headers o cookies
+        const token = AuthController.obtenerToken(req);
+
+        // Al navegar con el access token vencido (o sin él), renovar con el refresh token:
+        // la cookie solo viaja a /auth, así que se pasa por /auth/renovar y se vuelve
+        const payload = token ? await AuthService.validarToken(token) : null;
+        if (!payload && AuthController.esNavegacion(req)) {
+            res.redirect(`/auth/renovar?volver=${encodeURIComponent(req.originalUrl)}`);
+            return null;
+        }
+
+        if (!token) {
+            res.status(401).json({
+                success: false,
+                message: 'No autenticado: Token JWT requerido'
+            });
+            return null;
+        }
+
+        if (!payload) {
+            res.status(401).json({
+                success: false,
+                message: 'Token JWT inválido o expirado'
+            });
+            return null;
+        }
+
+        // Obtener usuario completo
+        const usuario = await AuthService.obtenerUsuarioActual(token);
+
+        if (!usuario) {
+            res.status(401).json({
+                success: false,
+                message: 'Usuario no encontrado'
+            });
+            return null;
+        }
+
+        // Agregar información del usuario al request
+        req.user = usuario;
+        req.token = token;
+        req.sessionId = token; // Mantener compatibilidad
+        req.payload = payload;
+
+        return usuario;
+    }
+
+    /**
+     * Middleware para requerir un usuario autenticado (cualquier rol).
+     * No bloquea a quienes deben cambiar la contraseña, para que puedan hacerlo.
+     * Las rutas que usa son de la cuenta propia, por eso no admite API keys.
+     */
+    static async requireAuth(req, res, next) {
+        try {
+            const usuario = await AuthController.autenticar(req, res);
             if (!usuario) {
-                return res.status(401).json({
-                    success: false,
-                    message: 'Usuario no encontrado'
-                });
+                return;
             }
 
-            // Verificar que sea paciente
-            if (usuario.rol?.nombre !== 'paciente') {
+            if (usuario.tipo === 'servicio') {
                 return res.status(403).json({
                     success: false,
-                    message: 'Acceso denegado: Solo pacientes pueden acceder a esta página'
+                    message: 'Acceso denegado: las cuentas de servicio no pueden usar esta ruta'
                 });
             }
 
-            // Agregar información del usuario al request
-            req.user = usuario;
-            req.token = token;
-            req.sessionId = token; // Mantener compatibilidad
-            req.payload = payload;
-            
             next();
-
         } catch (error) {
-            console.error('Error en middleware requirePaciente:', error);
+            console.error('Error en middleware requireAuth:', error);
             return res.status(500).json({
                 success: false,
                 message: 'Error interno del servidor'
@@ -268,60 +434,38 @@ class AuthController {
     }
 
     /**
-     * Middleware para requerir múltiples roles (médicos, empleados, admin)
+     * Middleware de autorización según la política declarada en config/politicas.js.
+     * La acción se verifica al definir la ruta: si no existe, el servidor no arranca.
+     * @param {string} accion - Acción protegida (ej: 'tareas:leer')
+     * @returns {Function} Middleware de Express
      */
-    static requireMultipleRoles(rolesPermitidos) {
+    static autorizar(accion) {
+        const politica = PoliticaService.obtenerPolitica(accion);
+
         return async (req, res, next) => {
             try {
-                // Obtener token JWT desde headers o cookies
-                const token = req.headers['authorization']?.replace('Bearer ', '') || 
-                             req.headers['x-session-id'] || 
-                             req.cookies?.sessionId;
-                
-                if (!token) {
-                    return res.status(401).json({
-                        success: false,
-                        message: 'No autenticado: Token JWT requerido'
-                    });
-                }
-
-                // Validar token JWT
-                const payload = AuthService.validarToken(token);
-                if (!payload) {
-                    return res.status(401).json({
-                        success: false,
-                        message: 'Token JWT inválido o expirado'
-                    });
+                const usuario = await AuthController.autenticar(req, res);
+                if (!usuario) {
+                    return;
                 }
 
-                // Obtener usuario completo
-                const usuario = await AuthService.obtenerUsuarioActual(token);
-                
-                if (!usuario) {
-                    return res.status(401).json({
-                        success: false,
-                        message: 'Usuario no encontrado'
-                    });
+                // Bloquear el acceso hasta que cambie la contraseña
+                if (usuario.debeCambiarPassword) {
+                    return AuthController.responderCambioPasswordPendiente(res);
                 }
 
-                // Verificar que el rol esté en la lista de roles permitidos
-                if (!rolesPermitidos.includes(usuario.rol?.nombre)) {
+                if (!PoliticaService.puede(usuario, accion, req)) {
                     return res.status(403).json({
                         success: false,
-                        message: `Acceso denegado: Solo ${rolesPermitidos.join(', ')} pueden acceder a esta página`
+                        message: `Acceso denegado: ${politica.descripcion}`,
+                        code: 'FORBIDDEN'
                     });
                 }
 
-                // Agregar información del usuario al request
-                req.user = usuario;
-                req.token = token;
-                req.sessionId = token; // Mantener compatibilidad
-                req.payload = payload;
-                
                 next();
 
             } catch (error) {
-                console.error('Error en middleware requireMultipleRoles:', error);
+                console.error(`Error autorizando '${accion}':`, error);
                 return res.status(500).json({
                     success: false,
                     message: 'Error interno del servidor'
@@ -336,9 +480,7 @@ class AuthController {
     static async getCurrentUser(req, res) {
         try {
             // Obtener token JWT desde headers o cookies
-            const token = req.headers['authorization']?.replace('Bearer ', '') || 
-                         req.headers['x-session-id'] || 
-                         req.cookies?.sessionId;
+            const token = AuthController.obtenerToken(req);
             
             if (!token) {
                 return res.status(401).json({
@@ -348,7 +490,7 @@ class AuthController {
             }
 
             // Validar token JWT
-            const payload = AuthService.validarToken(token);
+            const payload = await AuthService.validarToken(token);
             if (!payload) {
                 return res.status(401).json({
                     success: false,
@@ -379,7 +521,8 @@ class AuthController {
                     tokenInfo: {
                         issuedAt: new Date(payload.iat * 1000),
                         expiresAt: new Date(payload.exp * 1000),
-                        issuer: payload.iss
+                        issuer: payload.iss,
+                        refreshToken: await AuthService.obtenerInfoRefreshToken(payload.fam)
                     }
                 }
             });
@@ -394,24 +537,102 @@ class AuthController {
     }
 
     /**
-     * Logout usando JWT
+     * Revoca todas las sesiones de un usuario (por ejemplo, al dar de baja a un empleado)
+     */
+    static async revocarSesionesUsuario(req, res) {
+        try {
+            const { id } = req.params;
+            const { motivo } = req.body || {};
+
+            // Verificar que el usuario exista
+            try {
+                await DatabaseService.getUsuarioById(id);
+            } catch (error) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuario no encontrado'
+                });
+            }
+
+            const sesionesCerradas = await AuthService.revocarSesionesUsuario(id, motivo);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Todas las sesiones del usuario fueron revocadas',
+                data: {
+                    usuarioId: parseInt(id),
+                    sesionesCerradas
+                }
+            });
+
+        } catch (error) {
+            console.error('Error revocando sesiones de usuario:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Lista los intentos fallidos de login y bloqueos vigentes (solo admin)
+     */
+    static listarBloqueos(req, res) {
+        return res.status(200).json({
+            success: true,
+            data: AuthService.bloqueoService.listarBloqueos()
+        });
+    }
+
+    /**
+     * Elimina el bloqueo de un usuario o IP (solo admin)
+     */
+    static desbloquear(req, res) {
+        const { tipo, valor } = req.params;
+
+        if (!['usuario', 'ip'].includes(tipo)) {
+            return res.status(400).json({
+                success: false,
+                message: "El tipo de bloqueo debe ser 'usuario' o 'ip'"
+            });
+        }
+
+        const eliminado = AuthService.bloqueoService.desbloquear(tipo, valor);
+        if (!eliminado) {
+            return res.status(404).json({
+                success: false,
+                message: 'No hay intentos fallidos registrados para ese valor'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Bloqueo eliminado'
+        });
+    }
+
+    /**
+     * Logout: cierra la sesión del access token (aunque haya expirado) y la del refresh
+     * token (body o cookie, que el navegador solo envía a /auth/logout)
      */
     static async logout(req, res) {
         try {
             // Obtener token JWT desde headers o cookies
-            const token = req.headers['authorization']?.replace('Bearer ', '') || 
-                         req.headers['x-session-id'] || 
-                         req.cookies?.sessionId;
+            const token = AuthController.obtenerToken(req);
+            const refreshToken = req.body?.refreshToken || req.signedCookies?.[COOKIE_REFRESH];
+
+            // Limpiar la cookie de sesión aunque el token ya no sea válido
+            AuthController.limpiarCookieSesion(res);
             
-            if (!token) {
+            if (!token && !refreshToken) {
                 return res.status(400).json({
                     success: false,
-                    message: 'No hay token JWT activo'
+                    message: 'No hay sesión activa'
                 });
             }
 
-            // Cerrar sesión (remover de memoria)
-            const resultado = AuthService.cerrarSesion(token);
+            // Cerrar sesión (revocar la familia de tokens)
+            const resultado = await AuthService.cerrarSesion(token, refreshToken);
             
             if (!resultado) {
                 return res.status(400).json({
@@ -420,13 +641,9 @@ class AuthController {
                 });
             }
 
-            // Limpiar cookie si existe
-            res.clearCookie('sessionId');
-
             return res.status(200).json({
                 success: true,
-                message: 'Logout exitoso',
-                note: 'El token JWT seguirá siendo válido hasta su expiración natural. Para invalidación inmediata, considere implementar una blacklist.'
+                message: 'Logout exitoso'
             });
 
         } catch (error) {
@@ -0,0 +1,142 @@
+import CategoriaService from '../services/categoria.service.js';
+import PoliticaService from '../services/politica.service.js';
+
+/**
+ * Controlador de Categorías de Insumos
+ * Solo contiene lógica de HTTP, la lógica de negocio está en CategoriaService
+ */
+class CategoriasController {
+
+    /**
+     * Convierte un resultado fallido de CategoriaService en una respuesta HTTP
+     * @param {Object} res - Response de Express
+     * @param {Object} resultado - Resultado fallido
+     */
+    static responderError(res, resultado) {
+        const statusCode = ['DUPLICATE_CATEGORIA', 'CATEGORIA_EN_USO'].includes(resultado.code) ? 409 : 400;
+        return res.status(statusCode).json({
+            success: false,
+            message: resultado.message,
+            code: resultado.code,
+            errores: resultado.errores
+        });
+    }
+
+    /**
+     * Responde 404 si la categoría no existe; 409 si otros registros lo usan (IN_USE); si no, 500
+     * @param {Object} res - Response de Express
+     * @param {Error} error - Error capturado
+     * @param {string} contexto - Descripción para el log
+     */
+    static responderExcepcion(res, error, contexto) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                message: 'Categoría no encontrada'
+            });
+        }
+        if (error.code === 'IN_USE') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        console.error(`Error ${contexto}:`, error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+
+    /**
+     * Lista las categorías con la cantidad de insumos de cada una
+     */
+    static async listar(req, res) {
+        try {
+            const categorias = await CategoriaService.listar();
+
+            return res.status(200).json({
+                success: true,
+                data: categorias
+            });
+
+        } catch (error) {
+            return CategoriasController.responderExcepcion(res, error, 'listando categorías');
+        }
+    }
+
+    /**
+     * Da de alta una categoría
+     */
+    static async crear(req, res) {
+        try {
+            const resultado = await CategoriaService.crear(req.body || {});
+            if (!resultado.success) {
+                return CategoriasController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return CategoriasController.responderExcepcion(res, error, 'creando categoría');
+        }
+    }
+
+    /**
+     * Modifica el nombre o la descripción de una categoría
+     */
+    static async actualizar(req, res) {
+        try {
+            const resultado = await CategoriaService.actualizar(req.params.id, req.body || {});
+            if (!resultado.success) {
+                return CategoriasController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return CategoriasController.responderExcepcion(res, error, 'actualizando categoría');
+        }
+    }
+
+    /**
+     * Elimina una categoría sin insumos asignados
+     */
+    static async eliminar(req, res) {
+        try {
+            const resultado = await CategoriaService.eliminar(req.params.id);
+            if (!resultado.success) {
+                return CategoriasController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return CategoriasController.responderExcepcion(res, error, 'eliminando categoría');
+        }
+    }
+
+    /**
+     * Página de gestión de categorías
+     */
+    static async pagina(req, res) {
+        try {
+            res.render('insumos-categorias', {
+                title: 'Categorías de Insumos',
+                usuario: req.user,
+                categorias: await CategoriaService.listar(),
+                puedeEditar: PoliticaService.puede(req.user, 'insumos:editar')
+            });
+
+        } catch (error) {
+            console.error('Error al cargar categorías de insumos:', error);
+            res.status(500).render('error', {
+                title: 'Error',
+                message: 'Error al cargar las categorías de insumos'
+            });
+        }
+    }
+}
+
+export default CategoriasController;
@@ -0,0 +1,142 @@
+import CitaService from '../services/cita.service.js';
+
+/**
+ * Controlador de Citas
+ * API de reserva, reprogramación y cancelación de citas.
+ * La validación de horarios y la regla de quién puede modificar cada cita están en CitaService.
+ */
+class CitasController {
+
+    /**
+     * Convierte un resultado fallido de CitaService en una respuesta HTTP
+     * @param {Object} res - Response de Express
+     * @param {Object} resultado - Resultado fallido
+     */
+    static responderError(res, resultado) {
+        const codigos = { FORBIDDEN: 403, SLOT_CONFLICT: 409, INVALID_STATE: 409 };
+        return res.status(codigos[resultado.code] || 400).json({
+            success: false,
+            message: resultado.message,
+            code: resultado.code,
+            errores: resultado.errores
+        });
+    }
+
+    /**
+     * Responde 404 si la cita no existe; 409 si otros registros lo usan (IN_USE); si no, 500
+     * @param {Object} res - Response de Express
+     * @param {Error} error - Error capturado
+     * @param {string} contexto - Descripción para el log
+     */
+    static responderExcepcion(res, error, contexto) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                message: 'Cita no encontrada'
+            });
+        }
+        if (error.code === 'IN_USE') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        console.error(`Error ${contexto}:`, error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+
+    /**
+     * Lista citas (?medicoId=&pacienteId=&estado=&desde=AAAA-MM-DD&hasta=AAAA-MM-DD)
+     */
+    static async listar(req, res) {
+        try {
+            const { medicoId, pacienteId, estado, desde, hasta } = req.query;
+            const resultado = await CitaService.listar({ medicoId, pacienteId, estado, desde, hasta }, req.user);
+            if (!resultado.success) {
+                return CitasController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return CitasController.responderExcepcion(res, error, 'listando citas');
+        }
+    }
+
+    /**
+     * Obtiene una cita
+     */
+    static async obtener(req, res) {
+        try {
+            const resultado = await CitaService.obtener(req.params.id, req.user);
+            if (!resultado.success) {
+                return CitasController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return CitasController.responderExcepcion(res, error, 'obteniendo cita');
+        }
+    }
+
+    /**
+     * Reserva una cita ({ pacienteId, medicoId, inicio, fin, motivo })
+     */
+    static async reservar(req, res) {
+        try {
+            const { pacienteId, medicoId, inicio, fin, motivo } = req.body || {};
+            const resultado = await CitaService.reservar({ pacienteId, medicoId, inicio, fin, motivo }, req.user);
+            if (!resultado.success) {
+                return CitasController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return CitasController.responderExcepcion(res, error, 'reservando cita');
+        }
+    }
+
+    /**
+     * Mueve una cita a otro horario ({ inicio, fin })
+     */
+    static async reprogramar(req, res) {
+        try {
+            const { inicio, fin } = req.body || {};
+            const resultado = await CitaService.reprogramar(req.params.id, { inicio, fin }, req.user);
+            if (!resultado.success) {
+                return CitasController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return CitasController.responderExcepcion(res, error, 'reprogramando cita');
+        }
+    }
+
+    /**
+     * Cancela una cita ({ motivo } opcional)
+     */
+    static async cancelar(req, res) {
+        try {
+            const { motivo } = req.body || {};
+            const resultado = await CitaService.cancelar(req.params.id, { motivo }, req.user);
+            if (!resultado.success) {
+                return CitasController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return CitasController.responderExcepcion(res, error, 'cancelando cita');
+        }
+    }
+}
+
+export default CitasController;
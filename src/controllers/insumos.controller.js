@@ -0,0 +1,324 @@
+import DatabaseService from '../services/database.service.js';
+import InsumoService from '../services/insumo.service.js';
+
+/**
+ * Controlador de Insumos
+ * Maneja los movimientos de stock, su historial, los umbrales y las alertas de stock bajo
+ * Solo contiene lógica de HTTP, la lógica de negocio está en InsumoService
+ */
+class InsumosController {
+
+    /**
+     * Convierte un resultado fallido de InsumoService en una respuesta HTTP
+     * @param {Object} res - Response de Express
+     * @param {Object} resultado - Resultado fallido
+     */
+    static responderError(res, resultado) {
+        const statusCode = ['INSUFFICIENT_STOCK', 'DUPLICATE_SUBSCRIPTION'].includes(resultado.code) ? 409 : 400;
+        return res.status(statusCode).json({
+            success: false,
+            message: resultado.message,
+            code: resultado.code,
+            errores: resultado.errores
+        });
+    }
+
+    /**
+     * Responde 404 si el insumo no existe; 409 si otros registros lo usan (IN_USE); si no, 500
+     * @param {Object} res - Response de Express
+     * @param {Error} error - Error capturado
+     * @param {string} contexto - Descripción para el log
+     */
+    static responderExcepcion(res, error, contexto) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                message: 'Insumo no encontrado'
+            });
+        }
+        if (error.code === 'IN_USE') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        console.error(`Error ${contexto}:`, error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+
+    /**
+     * Da de alta un insumo
+     */
+    static async crear(req, res) {
+        try {
+            const resultado = await InsumoService.crear(req.body || {}, req.user);
+            if (!resultado.success) {
+                return InsumosController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return InsumosController.responderExcepcion(res, error, 'creando insumo');
+        }
+    }
+
+    /**
+     * Modifica nombre, unidad, categoría o descripción de un insumo
+     */
+    static async actualizar(req, res) {
+        try {
+            const resultado = await InsumoService.actualizar(req.params.id, req.body || {});
+            if (!resultado.success) {
+                return InsumosController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return InsumosController.responderExcepcion(res, error, 'actualizando insumo');
+        }
+    }
+
+    /**
+     * Movimientos de stock de un insumo (?tipo=&areaId=&desde=AAAA-MM-DD&hasta=AAAA-MM-DD)
+     */
+    static async movimientos(req, res) {
+        try {
+            const insumo = await DatabaseService.getInsumoById(req.params.id);
+            const { tipo, areaId, desde, hasta } = req.query;
+
+            const resultado = await InsumoService.listarMovimientos({ insumoId: insumo.id, tipo, areaId, desde, hasta });
+            if (!resultado.success) {
+                return InsumosController.responderError(res, resultado);
+            }
+
+            return res.status(200).json({
+                success: true,
+                insumo: {
+                    id: insumo.id,
+                    nombre: insumo.nombre,
+                    unidad: insumo.unidad,
+                    stock: insumo.stock
+                },
+                data: resultado.data
+            });
+
+        } catch (error) {
+            return InsumosController.responderExcepcion(res, error, 'obteniendo movimientos de insumo');
+        }
+    }
+
+    /**
+     * Registra una entrada, salida, ajuste o merma de stock
+     */
+    static async registrarMovimiento(req, res) {
+        try {
+            const { tipo, cantidad, motivo, areaId } = req.body || {};
+            const resultado = await InsumoService.registrarMovimiento(req.params.id, { tipo, cantidad, motivo, areaId }, req.user);
+            if (!resultado.success) {
+                return InsumosController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return InsumosController.responderExcepcion(res, error, 'registrando movimiento de insumo');
+        }
+    }
+
+    /**
+     * Configura el stock mínimo y el punto de reposición de un insumo
+     */
+    static async umbrales(req, res) {
+        try {
+            const { stockMinimo, puntoReposicion } = req.body || {};
+            const resultado = await InsumoService.actualizarUmbrales(req.params.id, { stockMinimo, puntoReposicion });
+            if (!resultado.success) {
+                return InsumosController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return InsumosController.responderExcepcion(res, error, 'actualizando umbrales de insumo');
+        }
+    }
+
+    /**
+     * Insumos que llegaron a su punto de reposición
+     */
+    static async stockBajo(req, res) {
+        try {
+            const insumos = await InsumoService.listarStockBajo();
+
+            return res.status(200).json({
+                success: true,
+                data: insumos
+            });
+
+        } catch (error) {
+            return InsumosController.responderExcepcion(res, error, 'obteniendo insumos con stock bajo');
+        }
+    }
+
+    /**
+     * Suscripciones a las alertas de stock
+     */
+    static async listarSuscripciones(req, res) {
+        try {
+            const suscripciones = await InsumoService.listarSuscripciones();
+
+            return res.status(200).json({
+                success: true,
+                data: suscripciones
+            });
+
+        } catch (error) {
+            return InsumosController.responderExcepcion(res, error, 'listando suscripciones a alertas');
+        }
+    }
+
+    /**
+     * Suscribe un destinatario a las alertas de stock (de un insumo o de todos)
+     */
+    static async crearSuscripcion(req, res) {
+        try {
+            const { destinatario, insumoId, nivelMinimo } = req.body || {};
+            const resultado = await InsumoService.crearSuscripcion({ destinatario, insumoId, nivelMinimo });
+            if (!resultado.success) {
+                return InsumosController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return InsumosController.responderExcepcion(res, error, 'creando suscripción a alertas');
+        }
+    }
+
+    /**
+     * Elimina una suscripción a las alertas de stock
+     */
+    static async eliminarSuscripcion(req, res) {
+        try {
+            const resultado = await InsumoService.eliminarSuscripcion(req.params.id);
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Suscripción no encontrada'
+                });
+            }
+            return InsumosController.responderExcepcion(res, error, 'eliminando suscripción a alertas');
+        }
+    }
+
+    /**
+     * Página de insumos con stock bajo
+     */
+    static async paginaStockBajo(req, res) {
+        try {
+            res.render('insumos-stock-bajo', {
+                title: 'Insumos con Stock Bajo',
+                usuario: req.user,
+                insumos: await InsumoService.listarStockBajo()
+            });
+
+        } catch (error) {
+            console.error('Error al cargar insumos con stock bajo:', error);
+            res.status(500).render('error', {
+                title: 'Error',
+                message: 'Error al cargar los insumos con stock bajo'
+            });
+        }
+    }
+
+    /**
+     * Página de configuración de alertas: suscripciones y alertas recientes
+     */
+    static async paginaAlertas(req, res) {
+        try {
+            const insumos = await DatabaseService.getAllInsumos();
+            const nombres = new Map(insumos.map(insumo => [insumo.id, insumo.nombre]));
+            const nombreInsumo = id => id === null ? 'Todos los insumos' : nombres.get(id) || `Insumo #${id}`;
+
+            const suscripciones = await InsumoService.listarSuscripciones();
+            const alertas = await InsumoService.listarAlertas();
+
+            res.render('insumos-alertas', {
+                title: 'Alertas de Stock',
+                usuario: req.user,
+                insumos,
+                niveles: InsumoService.nivelesStock.filter(nivel => nivel !== 'normal'),
+                suscripciones: suscripciones.map(s => ({ ...s, insumo: nombreInsumo(s.insumoId) })),
+                alertas: alertas.map(a => ({ ...a, insumo: nombreInsumo(a.insumoId) }))
+            });
+
+        } catch (error) {
+            console.error('Error al cargar alertas de stock:', error);
+            res.status(500).render('error', {
+                title: 'Error',
+                message: 'Error al cargar las alertas de stock'
+            });
+        }
+    }
+
+    /**
+     * Página de historial de movimientos con filtros por insumo, tipo, área y fechas
+     */
+    static async paginaHistorial(req, res) {
+        try {
+            const filtros = {
+                insumoId: req.query.insumoId || '',
+                tipo: req.query.tipo || '',
+                areaId: req.query.areaId || '',
+                desde: req.query.desde || '',
+                hasta: req.query.hasta || ''
+            };
+
+            const insumos = await DatabaseService.getAllInsumos();
+            const areas = await DatabaseService.getAllAreas();
+            const resultado = await InsumoService.listarMovimientos({
+                insumoId: filtros.insumoId ? parseInt(filtros.insumoId) : null,
+                tipo: filtros.tipo || null,
+                areaId: filtros.areaId || null,
+                desde: filtros.desde || null,
+                hasta: filtros.hasta || null
+            });
+
+            const nombres = new Map(insumos.map(insumo => [insumo.id, insumo]));
+            const nombresAreas = new Map(areas.map(area => [area.id, area.nombre]));
+
+            res.render('insumos-historial', {
+                title: 'Historial de Movimientos',
+                usuario: req.user,
+                insumos,
+                areas,
+                tipos: InsumoService.tiposMovimiento,
+                filtros,
+                errores: resultado.errores || [],
+                movimientos: (resultado.data || []).map(movimiento => ({
+                    ...movimiento,
+                    insumo: nombres.get(movimiento.insumoId) || null,
+                    area: nombresAreas.get(movimiento.areaId) || null
+                }))
+            });
+
+        } catch (error) {
+            console.error('Error al cargar historial de insumos:', error);
+            res.status(500).render('error', {
+                title: 'Error',
+                message: 'Error al cargar el historial de insumos'
+            });
+        }
+    }
+}
+
+export default InsumosController;
@@ -1,9 +1,10 @@
 
 import loginService from '../services/login.service.js';
+import { esModoDesarrollo } from '../helper.js';
 
 async function home(req, res) {
     const nameApp = loginService.getNameApp();
-    res.render('index', { nameApp });   
+    res.render('index', { nameApp, cuentasDemo: esModoDesarrollo() });   
 }
 
 export default {
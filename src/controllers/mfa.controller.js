@@ -0,0 +1,289 @@
+import AuthService from '../services/auth.service.js';
+import MfaService from '../services/mfa.service.js';
+import AuthController from './auth.controller.js';
+import bcrypt from 'bcrypt';
+
+/**
+ * Controlador de Autenticación de Dos Factores
+ * Maneja el segundo paso del login y la gestión del TOTP de cada usuario
+ * Solo contiene lógica de HTTP, la lógica de negocio está en AuthService y MfaService
+ */
+class MfaController {
+
+    /**
+     * Segundo paso del login: canjea el ticket y el código por la sesión
+     */
+    static async loginMfa(req, res) {
+        try {
+            const { ticket, codigo } = req.body || {};
+
+            if (!ticket || !codigo) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ticket y código son requeridos'
+                });
+            }
+
+            const resultado = await AuthService.completarLoginMfa(ticket, codigo, AuthController.contextoCliente(req));
+
+            if (!resultado.success) {
+                return res.status(401).json({
+                    success: false,
+                    message: resultado.message,
+                    code: resultado.code
+                });
+            }
+
+            AuthController.emitirCookieSesion(res, resultado.data.sesion);
+
+            return res.status(200).json({
+                success: true,
+                message: resultado.message,
+                data: {
+                    ...AuthController.datosSesion(resultado),
+                    codigosRecuperacion: resultado.data.codigosRecuperacion || undefined
+                }
+            });
+
+        } catch (error) {
+            console.error('Error en login MFA:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Enrolamiento durante el login (usuarios con segundo factor obligatorio aún no enrolados)
+     */
+    static async enrolarConTicket(req, res) {
+        try {
+            const { ticket } = req.body || {};
+
+            if (!ticket) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ticket requerido'
+                });
+            }
+
+            const resultado = await AuthService.iniciarEnrolamientoMfa(ticket);
+
+            if (!resultado.success) {
+                const statusCode = resultado.code === 'INVALID_MFA_TICKET' ? 401 : 409;
+                return res.status(statusCode).json({
+                    success: false,
+                    message: resultado.message,
+                    code: resultado.code
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: resultado.message,
+                data: resultado.data
+            });
+
+        } catch (error) {
+            console.error('Error en enrolamiento MFA:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Estado del segundo factor del usuario autenticado
+     */
+    static estado(req, res) {
+        return res.status(200).json({
+            success: true,
+            data: MfaService.obtenerEstado(req.user)
+        });
+    }
+
+    /**
+     * Inicia el enrolamiento TOTP del usuario autenticado
+     */
+    static async enrolar(req, res) {
+        try {
+            if (req.user.mfa?.activo) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'El segundo factor ya está activo'
+                });
+            }
+
+            const datos = await MfaService.iniciarEnrolamiento(req.user.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Escanee el secreto con su aplicación autenticadora y confirme con un código',
+                data: datos
+            });
+
+        } catch (error) {
+            console.error('Error iniciando enrolamiento MFA:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Confirma el enrolamiento con un código y devuelve los códigos de recuperación
+     */
+    static async activar(req, res) {
+        try {
+            const { codigo } = req.body || {};
+
+            if (!codigo) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Código requerido'
+                });
+            }
+
+            const codigosRecuperacion = await MfaService.activar(req.user.id, codigo);
+            if (!codigosRecuperacion) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Código inválido o no hay un enrolamiento pendiente'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Segundo factor activado. Guarde los códigos de recuperación, no se volverán a mostrar',
+                data: { codigosRecuperacion }
+            });
+
+        } catch (error) {
+            console.error('Error activando MFA:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Desactiva el segundo factor (requiere contraseña y código; no permitido si es obligatorio)
+     */
+    static async desactivar(req, res) {
+        try {
+            const { password, codigo } = req.body || {};
+
+            // La contraseña va a bcrypt, que falla con cualquier otro tipo
+            if (typeof password !== 'string' || !password || !codigo) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Contraseña (como texto) y código son requeridos'
+                });
+            }
+
+            if (MfaService.esObligatorio(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'El segundo factor es obligatorio para su rol'
+                });
+            }
+
+            const passwordValida = AuthService.esHashBcrypt(req.user.password) &&
+                await bcrypt.compare(password, req.user.password);
+            const codigoValido = passwordValida && await MfaService.verificarSegundoFactor(req.user.id, codigo) !== null;
+            if (!codigoValido) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Contraseña o código inválidos'
+                });
+            }
+
+            await MfaService.desactivar(req.user.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Segundo factor desactivado'
+            });
+
+        } catch (error) {
+            console.error('Error desactivando MFA:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Regenera los códigos de recuperación (requiere un código TOTP válido)
+     */
+    static async regenerarCodigos(req, res) {
+        try {
+            const { codigo } = req.body || {};
+
+            if (!req.user.mfa?.activo) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'El segundo factor no está activo'
+                });
+            }
+
+            if (!codigo || await MfaService.verificarSegundoFactor(req.user.id, codigo) === null) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Código inválido'
+                });
+            }
+
+            const codigosRecuperacion = await MfaService.regenerarCodigosRecuperacion(req.user.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'Códigos de recuperación regenerados. Los anteriores dejaron de ser válidos',
+                data: { codigosRecuperacion }
+            });
+
+        } catch (error) {
+            console.error('Error regenerando códigos de recuperación:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Restablece el segundo factor de un usuario que perdió su dispositivo (solo admin).
+     * Si su rol lo exige, deberá enrolarse de nuevo en el próximo login.
+     */
+    static async restablecer(req, res) {
+        try {
+            await MfaService.desactivar(req.params.id);
+            await AuthService.revocarSesionesUsuario(req.params.id, 'mfa_restablecido');
+
+            return res.status(200).json({
+                success: true,
+                message: 'Segundo factor restablecido'
+            });
+
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuario no encontrado'
+                });
+            }
+            console.error('Error restableciendo MFA:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+export default MfaController;
@@ -0,0 +1,264 @@
+import DatabaseService from '../services/database.service.js';
+import PacienteService from '../services/paciente.service.js';
+import HistoriaService from '../services/historia.service.js';
+
+/**
+ * Controlador de Pacientes
+ * API REST de pacientes y sus datos clínicos. La autorización (incluida la
+ * regla de que un paciente solo ve lo propio) la resuelve la política de la ruta.
+ * La validación y la lógica de negocio están en PacienteService.
+ */
+class PacientesController {
+
+    /**
+     * Busca el paciente de la ruta; responde 404 si no existe
+     * @param {Object} req - Request de Express
+     * @param {Object} res - Response de Express
+     * @returns {Promise<Object|null>} Paciente o null si ya se respondió
+     */
+    static async obtenerPaciente(req, res) {
+        try {
+            return await DatabaseService.getPacienteById(req.params.id);
+        } catch (error) {
+            if (error.code !== 'NOT_FOUND') {
+                throw error;
+            }
+            res.status(404).json({
+                success: false,
+                message: 'Paciente no encontrado'
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Convierte un resultado fallido de PacienteService en una respuesta HTTP
+     * @param {Object} res - Response de Express
+     * @param {Object} resultado - Resultado fallido
+     */
+    static responderError(res, resultado) {
+        if (resultado.code === 'FORBIDDEN') {
+            return res.status(403).json({
+                success: false,
+                message: resultado.message,
+                code: resultado.code
+            });
+        }
+        const statusCode = ['DUPLICATE_DNI', 'PACIENTE_EN_USO'].includes(resultado.code) ? 409 : 400;
+        return res.status(statusCode).json({
+            success: false,
+            message: resultado.message,
+            code: resultado.code,
+            errores: resultado.errores
+        });
+    }
+
+    /**
+     * Responde 404 si el paciente no existe; 409 si otros registros lo usan (IN_USE); si no, 500
+     * @param {Object} res - Response de Express
+     * @param {Error} error - Error capturado
+     * @param {string} contexto - Descripción para el log
+     */
+    static responderExcepcion(res, error, contexto) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                message: error.tabla === 'entradasHistoria' ? 'Entrada de historia clínica no encontrada' : 'Paciente no encontrado'
+            });
+        }
+        if (error.code === 'IN_USE') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        console.error(`Error ${contexto}:`, error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+
+    /**
+     * Lista pacientes paginados (?q=texto&pagina=1&limite=20)
+     */
+    static async listar(req, res) {
+        try {
+            const { q, pagina, limite } = req.query;
+            const { pacientes, paginacion } = await PacienteService.listar({ q, pagina, limite });
+
+            return res.status(200).json({
+                success: true,
+                data: pacientes,
+                paginacion
+            });
+
+        } catch (error) {
+            return PacientesController.responderExcepcion(res, error, 'listando pacientes');
+        }
+    }
+
+    /**
+     * Obtiene un paciente por ID
+     */
+    static async obtener(req, res) {
+        try {
+            const paciente = await PacientesController.obtenerPaciente(req, res);
+            if (!paciente) {
+                return;
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: paciente
+            });
+
+        } catch (error) {
+            return PacientesController.responderExcepcion(res, error, 'obteniendo paciente');
+        }
+    }
+
+    /**
+     * Da de alta un paciente
+     */
+    static async crear(req, res) {
+        try {
+            const resultado = await PacienteService.crear(req.body || {});
+            if (!resultado.success) {
+                return PacientesController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return PacientesController.responderExcepcion(res, error, 'creando paciente');
+        }
+    }
+
+    /**
+     * Modifica los datos de un paciente
+     */
+    static async actualizar(req, res) {
+        try {
+            const resultado = await PacienteService.actualizar(req.params.id, req.body || {});
+            if (!resultado.success) {
+                return PacientesController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return PacientesController.responderExcepcion(res, error, 'actualizando paciente');
+        }
+    }
+
+    /**
+     * Elimina un paciente sin usuario ni tareas asociadas
+     */
+    static async eliminar(req, res) {
+        try {
+            const resultado = await PacienteService.eliminar(req.params.id);
+            if (!resultado.success) {
+                return PacientesController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return PacientesController.responderExcepcion(res, error, 'eliminando paciente');
+        }
+    }
+
+    /**
+     * Historia clínica de un paciente (entradas con sus enmiendas)
+     */
+    static async historia(req, res) {
+        try {
+            const paciente = await PacientesController.obtenerPaciente(req, res);
+            if (!paciente) {
+                return;
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    pacienteId: paciente.id,
+                    nombre: paciente.nombre,
+                    entradas: await HistoriaService.listar(paciente.id)
+                }
+            });
+
+        } catch (error) {
+            console.error('Error obteniendo historia clínica:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Registra una entrada en la historia clínica ({ tipo, texto })
+     */
+    static async registrarEntradaHistoria(req, res) {
+        try {
+            const { tipo, texto } = req.body || {};
+            const resultado = await HistoriaService.registrar(req.params.id, { tipo, texto }, req.user);
+            if (!resultado.success) {
+                return PacientesController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return PacientesController.responderExcepcion(res, error, 'registrando entrada de historia clínica');
+        }
+    }
+
+    /**
+     * Corrige una entrada de la historia clínica sin modificarla ({ texto, motivo })
+     */
+    static async enmendarEntradaHistoria(req, res) {
+        try {
+            const { texto, motivo } = req.body || {};
+            const resultado = await HistoriaService.enmendar(req.params.id, req.params.entradaId, { texto, motivo }, req.user);
+            if (!resultado.success) {
+                return PacientesController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return PacientesController.responderExcepcion(res, error, 'enmendando entrada de historia clínica');
+        }
+    }
+
+    /**
+     * Tareas asociadas a un paciente
+     */
+    static async tareas(req, res) {
+        try {
+            const paciente = await PacientesController.obtenerPaciente(req, res);
+            if (!paciente) {
+                return;
+            }
+
+            const tareas = await DatabaseService.getTareasByPaciente(paciente.id);
+
+            return res.status(200).json({
+                success: true,
+                data: tareas
+            });
+
+        } catch (error) {
+            console.error('Error obteniendo tareas del paciente:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+export default PacientesController;
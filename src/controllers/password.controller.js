@@ -0,0 +1,206 @@
+import PasswordService from '../services/password.service.js';
+import AuthService from '../services/auth.service.js';
+import AuthController from './auth.controller.js';
+
+/**
+ * Controlador de Contraseñas
+ * Maneja las rutas de cambio, cambio forzado y recuperación de contraseñas
+ * Solo contiene lógica de HTTP, la lógica de negocio está en PasswordService
+ */
+class PasswordController {
+
+    /**
+     * Convierte un resultado fallido de PasswordService en una respuesta HTTP
+     * @param {Object} res - Response de Express
+     * @param {Object} resultado - Resultado fallido
+     */
+    static responderError(res, resultado) {
+        const statusCode = resultado.code === 'INVALID_PASSWORD' ? 401 : 400;
+        return res.status(statusCode).json({
+            success: false,
+            message: resultado.message,
+            code: resultado.code,
+            errores: resultado.errores
+        });
+    }
+
+    /**
+     * Renderiza la página de cambio de contraseña
+     */
+    static paginaCambiar(req, res) {
+        res.render('password', {
+            title: 'Cambiar Contraseña',
+            modo: 'cambiar',
+            politica: PasswordService.politica
+        });
+    }
+
+    /**
+     * Renderiza la página de "olvidé mi contraseña" o, si trae token, la de restablecimiento
+     */
+    static paginaRecuperar(req, res) {
+        const token = req.query.token;
+        res.render('password', {
+            title: token ? 'Restablecer Contraseña' : 'Recuperar Contraseña',
+            modo: token ? 'reset' : 'olvido',
+            token,
+            politica: PasswordService.politica
+        });
+    }
+
+    /**
+     * Cambia la contraseña del usuario autenticado (requiere la actual)
+     */
+    static async cambiarPassword(req, res) {
+        try {
+            const { passwordActual, passwordNueva } = req.body || {};
+
+            // Solo texto: otro tipo haría fallar a bcrypt y terminaría en un 500
+            if (typeof passwordActual !== 'string' || typeof passwordNueva !== 'string' ||
+                !passwordActual || !passwordNueva) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La contraseña actual y la nueva son requeridas (como texto)'
+                });
+            }
+
+            const resultado = await PasswordService.cambiarPassword(req.user.id, passwordActual, passwordNueva);
+            if (!resultado.success) {
+                return PasswordController.responderError(res, resultado);
+            }
+
+            // El cambio revoca todas las sesiones: abrir una nueva para este dispositivo
+            const usuarioCompleto = await AuthService.databaseService.getUsuarioCompleto(req.user.id);
+            const sesion = await AuthService.crearSesion(usuarioCompleto, null, AuthController.contextoCliente(req));
+            AuthController.emitirCookieSesion(res, sesion);
+
+            return res.status(200).json({
+                success: true,
+                message: resultado.message,
+                data: {
+                    token: sesion.token,
+                    expiresIn: sesion.expiresIn,
+                    expiresAt: sesion.expiraEn,
+                    refreshToken: sesion.refreshToken,
+                    refreshExpiresIn: sesion.refreshExpiresIn,
+                    refreshExpiresAt: sesion.refreshExpiraEn
+                }
+            });
+
+        } catch (error) {
+            console.error('Error cambiando contraseña:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Obliga a un usuario a cambiar su contraseña en el próximo login (solo admin)
+     */
+    static async forzarCambio(req, res) {
+        try {
+            const usuario = await PasswordService.forzarCambioPassword(req.params.id);
+
+            return res.status(200).json({
+                success: true,
+                message: 'El usuario deberá cambiar su contraseña en el próximo inicio de sesión',
+                data: {
+                    usuarioId: usuario.id,
+                    debeCambiarPassword: true
+                }
+            });
+
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuario no encontrado'
+                });
+            }
+            console.error('Error forzando cambio de contraseña:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Solicita un enlace de recuperación de contraseña.
+     * Siempre responde lo mismo para no revelar qué usuarios existen.
+     */
+    static async solicitarRecuperacion(req, res) {
+        try {
+            const { usuario } = req.body || {};
+
+            if (typeof usuario !== 'string' || !usuario) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El usuario es requerido (como texto)'
+                });
+            }
+
+            // El enlace se arma solo con la URL configurada: el header Host lo elige el cliente
+            // y un enlace hacia otro sitio filtraría el token
+            const urlBase = process.env.APP_URL;
+            if (!urlBase) {
+                console.error('Recuperación de contraseña deshabilitada: falta configurar APP_URL');
+                return res.status(503).json({
+                    success: false,
+                    message: 'La recuperación de contraseña no está disponible'
+                });
+            }
+            await PasswordService.solicitarRecuperacion(usuario, urlBase.replace(/\/+$/, ''));
+
+            return res.status(200).json({
+                success: true,
+                message: 'Si el usuario existe, recibirá un enlace para restablecer su contraseña'
+            });
+
+        } catch (error) {
+            console.error('Error solicitando recuperación de contraseña:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Restablece la contraseña con un token de recuperación de un solo uso
+     */
+    static async restablecerPassword(req, res) {
+        try {
+            const { token, passwordNueva } = req.body || {};
+
+            // Solo texto: otro tipo haría fallar al hash del token y terminaría en un 500
+            if (typeof token !== 'string' || typeof passwordNueva !== 'string' || !token || !passwordNueva) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El token y la nueva contraseña son requeridos (como texto)'
+                });
+            }
+
+            const resultado = await PasswordService.restablecerPassword(token, passwordNueva);
+            if (!resultado.success) {
+                return PasswordController.responderError(res, resultado);
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: resultado.message
+            });
+
+        } catch (error) {
+            console.error('Error restableciendo contraseña:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+export default PasswordController;
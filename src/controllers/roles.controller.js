@@ -0,0 +1,162 @@
+import RolService from '../services/rol.service.js';
+
+/**
+ * Controlador de Roles
+ * Administración de roles y consulta del catálogo de permisos.
+ * Solo contiene lógica de HTTP, la lógica de negocio está en RolService
+ */
+class RolesController {
+
+    /**
+     * Convierte un resultado fallido de RolService en una respuesta HTTP
+     * @param {Object} res - Response de Express
+     * @param {Object} resultado - Resultado fallido
+     */
+    static responderError(res, resultado) {
+        const statusCode = ['DUPLICATE_ROL', 'ROL_EN_USO', 'ULTIMO_ADMINISTRADOR'].includes(resultado.code) ? 409 : 400;
+        return res.status(statusCode).json({
+            success: false,
+            message: resultado.message,
+            code: resultado.code,
+            errores: resultado.errores
+        });
+    }
+
+    /**
+     * Responde 404 si el rol no existe; 409 si otros registros lo usan (IN_USE); si no, 500
+     * @param {Object} res - Response de Express
+     * @param {Error} error - Error capturado
+     * @param {string} contexto - Descripción para el log
+     */
+    static responderExcepcion(res, error, contexto) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                message: 'Rol no encontrado'
+            });
+        }
+        if (error.code === 'IN_USE') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        console.error(`Error ${contexto}:`, error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+
+    /**
+     * Lista los roles; página de administración o JSON según el encabezado Accept
+     */
+    static async listar(req, res) {
+        try {
+            const roles = await RolService.listar();
+            const catalogo = await RolService.catalogo();
+
+            return res.format({
+                html: () => res.render('admin-roles', {
+                    title: 'Gestión de Roles',
+                    usuario: req.user,
+                    roles,
+                    catalogo
+                }),
+                json: () => res.status(200).json({
+                    success: true,
+                    data: roles
+                })
+            });
+
+        } catch (error) {
+            return RolesController.responderExcepcion(res, error, 'listando roles');
+        }
+    }
+
+    /**
+     * Catálogo de permisos: descripción, acciones que habilita y roles que lo otorgan
+     */
+    static async catalogo(req, res) {
+        try {
+            return res.status(200).json({
+                success: true,
+                data: await RolService.catalogo()
+            });
+
+        } catch (error) {
+            return RolesController.responderExcepcion(res, error, 'obteniendo catálogo de permisos');
+        }
+    }
+
+    /**
+     * Obtiene un rol con sus usuarios
+     */
+    static async obtener(req, res) {
+        try {
+            const rol = await RolService.obtener(req.params.id);
+
+            return res.status(200).json({
+                success: true,
+                data: rol
+            });
+
+        } catch (error) {
+            return RolesController.responderExcepcion(res, error, 'obteniendo rol');
+        }
+    }
+
+    /**
+     * Da de alta un rol
+     */
+    static async crear(req, res) {
+        try {
+            const resultado = await RolService.crear(req.body || {});
+            if (!resultado.success) {
+                return RolesController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return RolesController.responderExcepcion(res, error, 'creando rol');
+        }
+    }
+
+    /**
+     * Modifica nombre, descripción o permisos de un rol
+     */
+    static async actualizar(req, res) {
+        try {
+            const resultado = await RolService.actualizar(req.params.id, req.body || {});
+            if (!resultado.success) {
+                return RolesController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return RolesController.responderExcepcion(res, error, 'actualizando rol');
+        }
+    }
+
+    /**
+     * Elimina un rol sin usuarios
+     */
+    static async eliminar(req, res) {
+        try {
+            const resultado = await RolService.eliminar(req.params.id);
+            if (!resultado.success) {
+                return RolesController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return RolesController.responderExcepcion(res, error, 'eliminando rol');
+        }
+    }
+}
+
+export default RolesController;
@@ -0,0 +1,166 @@
+import AuthService from '../services/auth.service.js';
+
+/**
+ * Controlador de Sesiones
+ * Permite a cada usuario ver y cerrar sus sesiones abiertas, y a los
+ * administradores supervisar y revocar las sesiones de cualquier usuario
+ * Solo contiene lógica de HTTP, la lógica de negocio está en AuthService
+ */
+class SesionesController {
+
+    /**
+     * Marca la sesión desde la que se hace el request
+     * @param {Array<Object>} sesiones - Sesiones listadas por AuthService
+     * @param {Object} payload - Payload del JWT del request
+     * @returns {Array<Object>} Sesiones con el campo `actual`
+     */
+    static marcarActual(sesiones, payload) {
+        return sesiones.map(sesion => ({
+            ...sesion,
+            actual: sesion.id === payload?.fam
+        }));
+    }
+
+    /**
+     * Lista las sesiones abiertas del usuario autenticado
+     */
+    static async listarPropias(req, res) {
+        try {
+            const sesiones = await AuthService.listarSesiones({ usuarioId: req.user.id });
+
+            return res.status(200).json({
+                success: true,
+                data: SesionesController.marcarActual(sesiones, req.payload)
+            });
+
+        } catch (error) {
+            console.error('Error listando sesiones del usuario:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Cierra una sesión propia (por ejemplo, la de un dispositivo perdido)
+     */
+    static async revocarPropia(req, res) {
+        try {
+            const revocada = await AuthService.revocarSesion(req.params.id, req.user.id, 'revocada_por_usuario');
+
+            if (!revocada) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Sesión no encontrada'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Sesión cerrada',
+                data: { actual: req.params.id === req.payload.fam }
+            });
+
+        } catch (error) {
+            console.error('Error cerrando sesión del usuario:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Cierra todas las sesiones del usuario excepto la actual
+     */
+    static async revocarOtras(req, res) {
+        try {
+            const sesiones = await AuthService.listarSesiones({ usuarioId: req.user.id });
+            const otras = sesiones.filter(sesion => sesion.id !== req.payload.fam);
+
+            for (const sesion of otras) {
+                await AuthService.revocarSesion(sesion.id, req.user.id, 'revocada_por_usuario');
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Se cerraron las demás sesiones',
+                data: { sesionesCerradas: otras.length }
+            });
+
+        } catch (error) {
+            console.error('Error cerrando las demás sesiones del usuario:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Lista todas las sesiones abiertas con estadísticas por rol (solo admin).
+     * Renderiza la pantalla de sesiones o devuelve JSON según el Accept del request.
+     */
+    static async listarTodas(req, res) {
+        try {
+            const { usuarioId } = req.query;
+            const sesiones = SesionesController.marcarActual(
+                await AuthService.listarSesiones({ usuarioId }),
+                req.payload
+            );
+            const estadisticas = await AuthService.obtenerEstadisticasSesiones();
+
+            return res.format({
+                html: () => res.render('admin-sesiones', {
+                    title: 'Sesiones Activas',
+                    usuario: req.user,
+                    sesiones,
+                    estadisticas
+                }),
+                json: () => res.status(200).json({
+                    success: true,
+                    data: { sesiones, estadisticas }
+                })
+            });
+
+        } catch (error) {
+            console.error('Error listando sesiones:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    /**
+     * Revoca una sesión de cualquier usuario (solo admin)
+     */
+    static async revocar(req, res) {
+        try {
+            const { motivo } = req.body || {};
+            const revocada = await AuthService.revocarSesion(req.params.id, null, motivo || 'revocada_por_admin');
+
+            if (!revocada) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Sesión no encontrada'
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Sesión revocada'
+            });
+
+        } catch (error) {
+            console.error('Error revocando sesión:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+export default SesionesController;
@@ -0,0 +1,140 @@
+import TareaService from '../services/tarea.service.js';
+
+/**
+ * Controlador de Tareas
+ * API REST de tareas y sus cambios de estado. La regla de quién puede
+ * iniciar, completar, cancelar o reabrir cada tarea está en TareaService.
+ */
+class TareasController {
+
+    /**
+     * Convierte un resultado fallido de TareaService en una respuesta HTTP
+     * @param {Object} res - Response de Express
+     * @param {Object} resultado - Resultado fallido
+     */
+    static responderError(res, resultado) {
+        const codigos = { FORBIDDEN: 403, INVALID_TRANSITION: 409 };
+        return res.status(codigos[resultado.code] || 400).json({
+            success: false,
+            message: resultado.message,
+            code: resultado.code,
+            errores: resultado.errores
+        });
+    }
+
+    /**
+     * Responde 404 si la tarea no existe; 409 si otros registros lo usan (IN_USE); si no, 500
+     * @param {Object} res - Response de Express
+     * @param {Error} error - Error capturado
+     * @param {string} contexto - Descripción para el log
+     */
+    static responderExcepcion(res, error, contexto) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({
+                success: false,
+                message: 'Tarea no encontrada'
+            });
+        }
+        if (error.code === 'IN_USE') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        console.error(`Error ${contexto}:`, error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+
+    /**
+     * Lista tareas (?empleadoId=&pacienteId=&areaId=&estado=&desde=AAAA-MM-DD&hasta=AAAA-MM-DD)
+     */
+    static async listar(req, res) {
+        try {
+            const { empleadoId, pacienteId, areaId, estado, desde, hasta } = req.query;
+            const resultado = await TareaService.listar({ empleadoId, pacienteId, areaId, estado, desde, hasta });
+            if (!resultado.success) {
+                return TareasController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return TareasController.responderExcepcion(res, error, 'listando tareas');
+        }
+    }
+
+    /**
+     * Obtiene una tarea con su historial y los estados a los que el usuario puede llevarla
+     */
+    static async obtener(req, res) {
+        try {
+            const tarea = await TareaService.obtener(req.params.id, req.user);
+
+            return res.status(200).json({
+                success: true,
+                data: tarea
+            });
+
+        } catch (error) {
+            return TareasController.responderExcepcion(res, error, 'obteniendo tarea');
+        }
+    }
+
+    /**
+     * Historial de cambios de estado de una tarea
+     */
+    static async historial(req, res) {
+        try {
+            const tarea = await TareaService.obtener(req.params.id, req.user);
+
+            return res.status(200).json({
+                success: true,
+                data: tarea.historial
+            });
+
+        } catch (error) {
+            return TareasController.responderExcepcion(res, error, 'obteniendo historial de tarea');
+        }
+    }
+
+    /**
+     * Crea una tarea pendiente
+     */
+    static async crear(req, res) {
+        try {
+            const resultado = await TareaService.crear(req.body || {}, req.user);
+            if (!resultado.success) {
+                return TareasController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return TareasController.responderExcepcion(res, error, 'creando tarea');
+        }
+    }
+
+    /**
+     * Cambia el estado de una tarea ({ estado, comentario })
+     */
+    static async transicionar(req, res) {
+        try {
+            const { estado, comentario } = req.body || {};
+            const resultado = await TareaService.transicionar(req.params.id, { estado, comentario }, req.user);
+            if (!resultado.success) {
+                return TareasController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return TareasController.responderExcepcion(res, error, 'cambiando estado de tarea');
+        }
+    }
+}
+
+export default TareasController;
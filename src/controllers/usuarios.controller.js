@@ -0,0 +1,191 @@
+import DatabaseService from '../services/database.service.js';
+import UsuarioService from '../services/usuario.service.js';
+
+/**
+ * Controlador de Usuarios
+ * Administración de cuentas: alta con perfil completo, edición, rol, habilitación y baja.
+ * Solo contiene lógica de HTTP, la lógica de negocio está en UsuarioService
+ */
+class UsuariosController {
+
+    /**
+     * Convierte un resultado fallido de UsuarioService en una respuesta HTTP
+     * @param {Object} res - Response de Express
+     * @param {Object} resultado - Resultado fallido
+     */
+    static responderError(res, resultado) {
+        const conflictos = ['DUPLICATE_USUARIO', 'DUPLICATE_DNI', 'USUARIO_CON_REGISTROS', 'ULTIMO_ADMINISTRADOR', 'CUENTA_PROPIA'];
+        const statusCode = conflictos.includes(resultado.code) ? 409 : 400;
+        return res.status(statusCode).json({
+            success: false,
+            message: resultado.message,
+            code: resultado.code,
+            errores: resultado.errores
+        });
+    }
+
+    /**
+     * Responde 404 si el usuario no existe; 409 si otros registros lo usan (IN_USE); si no, 500
+     * @param {Object} res - Response de Express
+     * @param {Error} error - Error capturado
+     * @param {string} contexto - Descripción para el log
+     */
+    static responderExcepcion(res, error, contexto) {
+        if (error.code === 'NOT_FOUND' && error.tabla === 'usuarios') {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado'
+            });
+        }
+        if (error.code === 'IN_USE') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        console.error(`Error ${contexto}:`, error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+
+    /**
+     * Lista las cuentas (?rolId=&tipo=empleado|paciente&activo=true|false)
+     * Página de administración o JSON según el encabezado Accept
+     */
+    static async listar(req, res) {
+        try {
+            const { rolId, tipo, activo } = req.query;
+            const resultado = await UsuarioService.listar({ rolId, tipo, activo });
+            if (!resultado.success) {
+                return UsuariosController.responderError(res, resultado);
+            }
+
+            const roles = await DatabaseService.getAllRoles();
+            const areas = await DatabaseService.getAllAreas();
+
+            return res.format({
+                html: () => res.render('admin-usuarios', {
+                    title: 'Gestión de Usuarios',
+                    usuario: req.user,
+                    cuentas: resultado.data,
+                    roles,
+                    areas,
+                    filtros: { rolId: rolId || '', tipo: tipo || '', activo: activo || '' }
+                }),
+                json: () => res.status(200).json(resultado)
+            });
+
+        } catch (error) {
+            return UsuariosController.responderExcepcion(res, error, 'listando usuarios');
+        }
+    }
+
+    /**
+     * Obtiene una cuenta
+     */
+    static async obtener(req, res) {
+        try {
+            const cuenta = await UsuarioService.obtener(req.params.id);
+
+            return res.status(200).json({
+                success: true,
+                data: cuenta
+            });
+
+        } catch (error) {
+            return UsuariosController.responderExcepcion(res, error, 'obteniendo usuario');
+        }
+    }
+
+    /**
+     * Da de alta una cuenta con su empleado o paciente y su perfil
+     */
+    static async crear(req, res) {
+        try {
+            const resultado = await UsuarioService.crear(req.body || {});
+            if (!resultado.success) {
+                return UsuariosController.responderError(res, resultado);
+            }
+
+            return res.status(201).json(resultado);
+
+        } catch (error) {
+            return UsuariosController.responderExcepcion(res, error, 'creando usuario');
+        }
+    }
+
+    /**
+     * Modifica el nombre de usuario y los datos de la persona
+     */
+    static async actualizar(req, res) {
+        try {
+            const resultado = await UsuarioService.actualizar(req.params.id, req.body || {});
+            if (!resultado.success) {
+                return UsuariosController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return UsuariosController.responderExcepcion(res, error, 'actualizando usuario');
+        }
+    }
+
+    /**
+     * Cambia el rol de una cuenta ({ rolId })
+     */
+    static async cambiarRol(req, res) {
+        try {
+            const { rolId } = req.body || {};
+            const resultado = await UsuarioService.cambiarRol(req.params.id, rolId, req.user);
+            if (!resultado.success) {
+                return UsuariosController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return UsuariosController.responderExcepcion(res, error, 'cambiando rol de usuario');
+        }
+    }
+
+    /**
+     * Habilita o deshabilita una cuenta ({ activo })
+     */
+    static async cambiarEstado(req, res) {
+        try {
+            const { activo } = req.body || {};
+            const resultado = await UsuarioService.cambiarEstado(req.params.id, activo, req.user);
+            if (!resultado.success) {
+                return UsuariosController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return UsuariosController.responderExcepcion(res, error, 'cambiando estado de usuario');
+        }
+    }
+
+    /**
+     * Elimina una cuenta con su perfil y su empleado o paciente
+     */
+    static async eliminar(req, res) {
+        try {
+            const resultado = await UsuarioService.eliminar(req.params.id, req.user);
+            if (!resultado.success) {
+                return UsuariosController.responderError(res, resultado);
+            }
+
+            return res.status(200).json(resultado);
+
+        } catch (error) {
+            return UsuariosController.responderExcepcion(res, error, 'eliminando usuario');
+        }
+    }
+}
+
+export default UsuariosController;
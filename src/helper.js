@@ -1,4 +1,8 @@
 import databaseService from './services/database.service.js';
+import authService from './services/auth.service.js';
+import passwordService from './services/password.service.js';
+import politicaService from './services/politica.service.js';
+import insumoService from './services/insumo.service.js';
 
 /**
  * Función para crear un usuario administrador por defecto
@@ -18,27 +22,15 @@ export async function crearUsuarioAdmin() {
             console.log('Creando usuario administrador...');
         }
 
-        // 1. Crear empleado administrador
-        const empleadoAdmin = await databaseService.createEmpleado({
-            nombre: 'Administrador del Sistema',
-            puesto: 'Administrador'
-        });
-        console.log('Empleado administrador creado:', empleadoAdmin);
-
-        // 2. Crear perfil de empleado
-        const perfilAdmin = await databaseService.createPerfil({
-            tipo: 'empleado',
-            empleadoId: empleadoAdmin.id,
-            pacienteId: null
-        });
-        console.log('Perfil administrador creado:', perfilAdmin);
-
-        // 3. Crear usuario con rol de admin (rolId: 1)
-        const usuarioAdmin = await databaseService.createUsuario({
+        // Crear empleado, perfil y usuario con rol de admin (rolId: 1) en una sola operación
+        const { usuario: usuarioAdmin } = await databaseService.provisionarUsuario({
             usuario: 'admin',
             password: 'admin123',
             rolId: 1, // Rol de administrador
-            perfilId: perfilAdmin.id
+            empleado: {
+                nombre: 'Administrador del Sistema',
+                puesto: 'Administrador'
+            }
         });
         console.log('Usuario administrador creado exitosamente:', {
             id: usuarioAdmin.id,
@@ -55,9 +47,253 @@ export async function crearUsuarioAdmin() {
     }
 }
 
+/**
+ * Indica si el sistema corre en modo desarrollo. Tiene que declararse explícitamente
+ * (NODE_ENV=development, como hace npm run dev): sin NODE_ENV no se crean las cuentas
+ * de demostración, que tienen contraseñas públicas
+ * @returns {boolean} True en desarrollo
+ */
+export function esModoDesarrollo() {
+    return process.env.NODE_ENV === 'development';
+}
+
+/**
+ * Cuentas de demostración que se muestran en la página de login
+ * Solo se crean en modo desarrollo
+ */
+const CUENTAS_DEMO = [
+    {
+        usuario: 'medico1',
+        password: 'medico123',
+        rol: 'medico',
+        empleado: { nombre: 'Dra. Ana Demo', puesto: 'Médica Clínica', area: 'Clínica Médica', especialidad: 'Clínica Médica' }
+    },
+    {
+        usuario: 'empleado1',
+        password: 'emp123',
+        rol: 'empleado',
+        empleado: { nombre: 'Pedro Demo', puesto: 'Enfermero', area: 'Enfermería' }
+    },
+    {
+        usuario: 'paciente1',
+        password: 'pac123',
+        rol: 'paciente',
+        paciente: { nombre: 'Lucía Demo', dni: '40111222' }
+    }
+];
+
+/**
+ * Función para detectar usuarios cuya contraseña no es un hash bcrypt
+ * (datos de ejemplo o contraseñas guardadas en claro). Se descarta el valor
+ * guardado y la cuenta queda bloqueada hasta restablecer la contraseña
+ * con un enlace de recuperación.
+ * @returns {Promise<Object>} Usuarios migrados en esta ejecución y pendientes de restablecer
+ */
+export async function migrarCredencialesLegadas() {
+    const usuarios = await databaseService.getAllUsuarios();
+    const migrados = [];
+    const pendientes = [];
+
+    for (const usuario of usuarios) {
+        if (authService.esHashBcrypt(usuario.password)) {
+            continue;
+        }
+
+        if (usuario.password !== null) {
+            await databaseService.updateUsuario(usuario.id, {
+                password: null,
+                debeCambiarPassword: true,
+                passwordActualizadaEn: new Date().toISOString()
+            });
+            await authService.revocarSesionesUsuario(usuario.id, 'credenciales_invalidas');
+            migrados.push(usuario.usuario);
+        }
+        pendientes.push(usuario.usuario);
+    }
+
+    if (migrados.length > 0) {
+        console.warn(`Usuarios con contraseña inválida bloqueados hasta restablecerla: ${migrados.join(', ')}`);
+    }
+    if (pendientes.length > 0) {
+        console.warn(`Usuarios pendientes de restablecer su contraseña (usar /password/olvido): ${pendientes.join(', ')}`);
+    }
+
+    return { migrados, pendientes };
+}
+
+/**
+ * Función para copiar todas las tablas de un almacenamiento a otro (por ejemplo,
+ * de db.json a SQLite) conservando los IDs. No escribe sobre un destino con datos.
+ * @param {string} origen - Adaptador de origen
+ * @param {string} destino - Adaptador de destino
+ * @returns {Promise<Object>} Cantidad de registros copiados por tabla
+ */
+export async function migrarAlmacenamiento(origen = 'json', destino = 'sqlite') {
+    if (origen === destino) {
+        throw new Error('El origen y el destino de la migración deben ser distintos');
+    }
+    const adaptadorOrigen = databaseService.obtenerAdaptador(origen);
+    const adaptadorDestino = databaseService.obtenerAdaptador(destino);
+
+    await adaptadorOrigen.abrir();
+    await adaptadorDestino.abrir();
+    try {
+        for (const tabla of await adaptadorDestino.tablas()) {
+            if ((await adaptadorDestino.listar(tabla)).length > 0) {
+                throw new Error(`El almacenamiento '${destino}' ya tiene datos en la tabla '${tabla}'`);
+            }
+        }
+
+        const copiados = {};
+        await adaptadorDestino.lote(async () => {
+            for (const tabla of await adaptadorOrigen.tablas()) {
+                const registros = await adaptadorOrigen.listar(tabla);
+                await adaptadorDestino.importar(tabla, registros);
+                copiados[tabla] = registros.length;
+            }
+        });
+        return copiados;
+    } finally {
+        await adaptadorOrigen.cerrar();
+        await adaptadorDestino.cerrar();
+    }
+}
+
+/**
+ * Función para convertir la historia clínica guardada como texto en el paciente
+ * (formato anterior) en una entrada de diagnóstico de su historia
+ * @returns {Promise<number>} Cantidad de pacientes migrados
+ */
+export async function migrarHistoriasClinicas() {
+    const pacientes = await databaseService.getAllPacientes();
+    let migrados = 0;
+
+    for (const { id } of pacientes) {
+        // La entrada y el borrado del texto anterior van juntos: un corte entre los dos
+        // dejaría el texto y el próximo arranque duplicaría la entrada
+        const migrado = await databaseService.transaction(async (tx) => {
+            const paciente = await tx.getPacienteById(id);
+            if (paciente.historiaClinica === undefined) {
+                return false;
+            }
+            if (typeof paciente.historiaClinica === 'string' && paciente.historiaClinica.trim()) {
+                await tx.createEntradaHistoria({
+                    pacienteId: paciente.id,
+                    tipo: 'diagnostico',
+                    texto: paciente.historiaClinica.trim(),
+                    autor: 'Registro previo'
+                });
+            }
+            await tx.updatePaciente(paciente.id, { historiaClinica: undefined });
+            return true;
+        });
+        if (migrado) {
+            migrados++;
+        }
+    }
+
+    if (migrados > 0) {
+        console.log(`Historias clínicas migradas a entradas: ${migrados}`);
+    }
+    return migrados;
+}
+
+/**
+ * Función para crear las cuentas de demostración con sus perfiles completos
+ * Solo en modo desarrollo; las cuentas existentes no se modifican
+ * @returns {Promise<Array<string>>} Usuarios creados
+ */
+export async function crearCuentasDemo() {
+    if (!esModoDesarrollo()) {
+        return [];
+    }
+
+    const roles = await databaseService.getAllRoles();
+    const areas = await databaseService.getAllAreas();
+    const creadas = [];
+
+    for (const cuenta of CUENTAS_DEMO) {
+        try {
+            await databaseService.getUsuarioByUsername(cuenta.usuario);
+            continue;
+        } catch (error) {
+            // Si no existe, continuamos con la creación
+        }
+
+        const rol = roles.find(r => r.nombre === cuenta.rol);
+        if (!rol) {
+            console.warn(`No se creó la cuenta demo "${cuenta.usuario}": no existe el rol "${cuenta.rol}"`);
+            continue;
+        }
+
+        // Crear el empleado o paciente, su perfil y el usuario en una sola operación
+        let empleado = null;
+        if (cuenta.empleado) {
+            const { area, ...datosEmpleado } = cuenta.empleado;
+            empleado = { ...datosEmpleado, areaId: areas.find(a => a.nombre === area)?.id ?? null };
+        }
+        await databaseService.provisionarUsuario({
+            usuario: cuenta.usuario,
+            password: cuenta.password,
+            rolId: rol.id,
+            empleado,
+            paciente: cuenta.paciente || null
+        });
+        creadas.push(cuenta.usuario);
+    }
+
+    if (creadas.length > 0) {
+        console.log(`Cuentas de demostración creadas: ${creadas.join(', ')}`);
+    }
+    return creadas;
+}
+
+/**
+ * Función para descartar sesiones inactivas, revocaciones de tokens ya expiradas,
+ * refresh tokens expirados y tokens de recuperación de contraseña vencidos
+ */
+export async function limpiarSesionesYTokens() {
+    const sesionesEliminadas = await authService.limpiarSesionesExpiradas();
+    if (sesionesEliminadas > 0) {
+        console.log(`Sesiones expiradas eliminadas: ${sesionesEliminadas}`);
+    }
+
+    const revocacionesEliminadas = await authService.limpiarRevocacionesExpiradas();
+    if (revocacionesEliminadas > 0) {
+        console.log(`Revocaciones expiradas eliminadas: ${revocacionesEliminadas}`);
+    }
+
+    const refreshTokensEliminados = await authService.limpiarRefreshTokensExpirados();
+    if (refreshTokensEliminados > 0) {
+        console.log(`Refresh tokens expirados eliminados: ${refreshTokensEliminados}`);
+    }
+
+    const resetTokensEliminados = await passwordService.limpiarResetTokensExpirados();
+    if (resetTokensEliminados > 0) {
+        console.log(`Tokens de recuperación vencidos eliminados: ${resetTokensEliminados}`);
+    }
+}
+
+/**
+ * Función para programar la limpieza periódica de sesiones y tokens
+ * Intervalo configurable con SESIONES_LIMPIEZA_MINUTOS (default: 15)
+ * El timer no impide que el proceso termine
+ */
+export function programarLimpiezas() {
+    const minutos = parseInt(process.env.SESIONES_LIMPIEZA_MINUTOS) || 15;
+    const timer = setInterval(() => {
+        limpiarSesionesYTokens().catch(error => {
+            console.error('Error en la limpieza periódica de sesiones:', error.message);
+        });
+    }, minutos * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
 /**
  * Función para inicializar datos por defecto del sistema
- * Incluye la creación del usuario administrador
+ * Incluye la creación del usuario administrador, la migración de credenciales
+ * inválidas y de historias clínicas en texto, y las cuentas de demostración
  */
 export async function inicializarSistema() {
     try {
@@ -65,6 +301,36 @@ export async function inicializarSistema() {
         
         // Crear usuario administrador
         await crearUsuarioAdmin();
+
+        // Bloquear usuarios con contraseñas que no son hashes válidos
+        await migrarCredencialesLegadas();
+
+        // Pasar la historia clínica en texto libre a entradas
+        await migrarHistoriasClinicas();
+
+        // Crear las cuentas de demostración (solo en desarrollo)
+        await crearCuentasDemo();
+
+        // Conciliar el stock de insumos con sus movimientos
+        const ajustesStock = await insumoService.conciliarStock();
+        if (ajustesStock.length > 0) {
+            console.log(`Ajustes de conciliación de stock registrados: ${ajustesStock.length}`);
+        }
+
+        // Advertir sobre datos guardados que no cumplen los esquemas (p. ej. referencias rotas)
+        for (const advertencia of await databaseService.revisarIntegridad()) {
+            console.warn(`Integridad: ${advertencia}`);
+        }
+
+        // Advertir si algún rol usa permisos que la política no conoce
+        const roles = await databaseService.getAllRoles();
+        for (const advertencia of politicaService.revisarRoles(roles)) {
+            console.warn(advertencia);
+        }
+
+        // Descartar sesiones y tokens vencidos, y repetirlo periódicamente
+        await limpiarSesionesYTokens();
+        programarLimpiezas();
         
         console.log('Sistema inicializado correctamente');
         return true;
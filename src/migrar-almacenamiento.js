@@ -0,0 +1,19 @@
+import { migrarAlmacenamiento } from './helper.js';
+
+// Copiar la base de un almacenamiento a otro: node src/migrar-almacenamiento.js [origen] [destino]
+async function migrar() {
+    const [origen = 'json', destino = 'sqlite'] = process.argv.slice(2);
+    try {
+        console.log(`=== Migrando la base de datos de '${origen}' a '${destino}' ===`);
+        const copiados = await migrarAlmacenamiento(origen, destino);
+        for (const [tabla, cantidad] of Object.entries(copiados)) {
+            console.log(`   ${tabla}: ${cantidad}`);
+        }
+        console.log(`=== Migración completada: usar DB_ADAPTADOR=${destino} ===`);
+    } catch (error) {
+        console.error('Error en la migración:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+migrar();
@@ -1,6 +1,21 @@
 import { Router } from 'express';
 import loginController from '../controllers/login.controller.js';
 import AuthController from '../controllers/auth.controller.js';
+import PasswordController from '../controllers/password.controller.js';
+import MfaController from '../controllers/mfa.controller.js';
+import SesionesController from '../controllers/sesiones.controller.js';
+import PacientesController from '../controllers/pacientes.controller.js';
+import ApiKeysController from '../controllers/apikeys.controller.js';
+import InsumosController from '../controllers/insumos.controller.js';
+import CategoriasController from '../controllers/categorias.controller.js';
+import TareasController from '../controllers/tareas.controller.js';
+import CitasController from '../controllers/citas.controller.js';
+import AreasController from '../controllers/areas.controller.js';
+import UsuariosController from '../controllers/usuarios.controller.js';
+import RolesController from '../controllers/roles.controller.js';
+import CitaService from '../services/cita.service.js';
+import HistoriaService from '../services/historia.service.js';
+import PoliticaService from '../services/politica.service.js';
 
 const router = Router();
 
@@ -10,14 +25,49 @@ router.get('/', loginController.home);
 // Ruta para inicio de sesión general
 router.post('/login', AuthController.login);
 
-// Ruta para logout
+// Rutas del segundo paso del login (segundo factor TOTP)
+router.post('/login/mfa', MfaController.loginMfa);
+router.post('/login/mfa/enrolar', MfaController.enrolarConTicket);
+
+// Rutas para renovar la sesión con un refresh token (GET: navegación de páginas)
+router.post('/auth/refresh', AuthController.refresh);
+router.get('/auth/renovar', AuthController.renovarNavegacion);
+
+// Rutas para logout (/auth/logout también recibe la cookie del refresh token)
+router.post('/auth/logout', AuthController.logout);
 router.post('/logout', AuthController.logout);
 
 // Ruta para obtener usuario actual
 router.get('/me', AuthController.getCurrentUser);
 
+// Rutas para ver y cerrar las sesiones abiertas del usuario actual
+router.get('/me/sesiones', AuthController.requireAuth, SesionesController.listarPropias);
+router.delete('/me/sesiones', AuthController.requireAuth, SesionesController.revocarOtras);
+router.delete('/me/sesiones/:id', AuthController.requireAuth, SesionesController.revocarPropia);
+
+// Rutas de contraseñas: cambio propio, recuperación y restablecimiento
+router.get('/password/cambiar', PasswordController.paginaCambiar);
+router.post('/me/password', AuthController.requireAuth, PasswordController.cambiarPassword);
+router.get('/password/olvido', PasswordController.paginaRecuperar);
+router.post('/password/olvido', PasswordController.solicitarRecuperacion);
+router.get('/password/reset', PasswordController.paginaRecuperar);
+router.post('/password/reset', PasswordController.restablecerPassword);
+
+// Rutas de gestión del segundo factor del usuario actual
+router.get('/me/mfa', AuthController.requireAuth, MfaController.estado);
+router.post('/me/mfa/enrolar', AuthController.requireAuth, MfaController.enrolar);
+router.post('/me/mfa/activar', AuthController.requireAuth, MfaController.activar);
+router.post('/me/mfa/desactivar', AuthController.requireAuth, MfaController.desactivar);
+router.post('/me/mfa/codigos-recuperacion', AuthController.requireAuth, MfaController.regenerarCodigos);
+
+// Ruta para restablecer el segundo factor de un usuario (requiere permisos de admin)
+router.post('/admin/usuarios/:id/mfa/restablecer', AuthController.autorizar('usuarios:administrar'), MfaController.restablecer);
+
+// Ruta para obligar a un usuario a cambiar su contraseña (requiere permisos de admin)
+router.post('/admin/usuarios/:id/forzar-cambio-password', AuthController.autorizar('usuarios:administrar'), PasswordController.forzarCambio);
+
 // Ruta para página home de administradores (requiere permisos de admin)
-router.get('/admin/home', AuthController.requireAdmin, (req, res) => {
+router.get('/admin/home', AuthController.autorizar('usuarios:administrar'), (req, res) => {
     res.render('admin-home', {
         title: 'Panel de Administración',
         usuario: req.user,
@@ -25,37 +75,138 @@ router.get('/admin/home', AuthController.requireAdmin, (req, res) => {
     });
 });
 
-// Ruta para página home de médicos (requiere permiso específico de médico)
-router.get('/medico/home', AuthController.requirePermission('acceso_medico'), (req, res) => {
-    res.render('medico-home', {
-        title: 'Panel Médico',
-        usuario: req.user,
-        pacientes: req.user.perfil?.empleado || null
-    });
+// Rutas de gestión de usuarios: alta con perfil completo, edición, rol, habilitación y baja (requieren permisos de admin)
+router.get('/admin/usuarios', AuthController.autorizar('usuarios:administrar'), UsuariosController.listar);
+router.post('/admin/usuarios', AuthController.autorizar('usuarios:administrar'), UsuariosController.crear);
+router.get('/admin/usuarios/:id', AuthController.autorizar('usuarios:administrar'), UsuariosController.obtener);
+router.patch('/admin/usuarios/:id', AuthController.autorizar('usuarios:administrar'), UsuariosController.actualizar);
+router.delete('/admin/usuarios/:id', AuthController.autorizar('usuarios:administrar'), UsuariosController.eliminar);
+router.put('/admin/usuarios/:id/rol', AuthController.autorizar('usuarios:administrar'), UsuariosController.cambiarRol);
+router.put('/admin/usuarios/:id/estado', AuthController.autorizar('usuarios:administrar'), UsuariosController.cambiarEstado);
+
+// Rutas de roles y catálogo de permisos (requieren permisos de admin)
+router.get('/admin/roles', AuthController.autorizar('roles:administrar'), RolesController.listar);
+router.post('/admin/roles', AuthController.autorizar('roles:administrar'), RolesController.crear);
+router.get('/admin/permisos', AuthController.autorizar('roles:administrar'), RolesController.catalogo);
+router.get('/admin/roles/:id', AuthController.autorizar('roles:administrar'), RolesController.obtener);
+router.put('/admin/roles/:id', AuthController.autorizar('roles:administrar'), RolesController.actualizar);
+router.delete('/admin/roles/:id', AuthController.autorizar('roles:administrar'), RolesController.eliminar);
+
+// Ruta para revocar todas las sesiones de un usuario (requiere permisos de admin)
+router.post('/admin/usuarios/:id/revocar-sesiones', AuthController.autorizar('usuarios:administrar'), AuthController.revocarSesionesUsuario);
+
+// Rutas para supervisar y revocar sesiones de cualquier usuario (requieren permisos de admin)
+router.get('/admin/sesiones', AuthController.autorizar('usuarios:administrar'), SesionesController.listarTodas);
+router.delete('/admin/sesiones/:id', AuthController.autorizar('usuarios:administrar'), SesionesController.revocar);
+
+// Rutas para ver y limpiar bloqueos de inicio de sesión (requieren permisos de admin)
+router.get('/admin/bloqueos', AuthController.autorizar('usuarios:administrar'), AuthController.listarBloqueos);
+router.delete('/admin/bloqueos/:tipo/:valor', AuthController.autorizar('usuarios:administrar'), AuthController.desbloquear);
+
+// Rutas de cuentas de servicio y API keys para integraciones (requieren permisos de admin)
+router.get('/admin/cuentas-servicio', AuthController.autorizar('cuentas_servicio:administrar'), ApiKeysController.listar);
+router.post('/admin/cuentas-servicio', AuthController.autorizar('cuentas_servicio:administrar'), ApiKeysController.crear);
+router.patch('/admin/cuentas-servicio/:id', AuthController.autorizar('cuentas_servicio:administrar'), ApiKeysController.cambiarEstado);
+router.delete('/admin/cuentas-servicio/:id', AuthController.autorizar('cuentas_servicio:administrar'), ApiKeysController.eliminar);
+router.post('/admin/cuentas-servicio/:id/api-keys', AuthController.autorizar('cuentas_servicio:administrar'), ApiKeysController.emitirKey);
+router.delete('/admin/cuentas-servicio/:id/api-keys/:keyId', AuthController.autorizar('cuentas_servicio:administrar'), ApiKeysController.revocarKey);
+
+// Ruta para página home de médicos (requiere permiso para atender pacientes)
+router.get('/medico/home', AuthController.autorizar('medico:panel'), async (req, res) => {
+    try {
+        const medicoId = req.user.perfil?.empleadoId;
+        res.render('medico-home', {
+            title: 'Panel Médico',
+            usuario: req.user,
+            pacientes: req.user.perfil?.empleado || null,
+            proximasCitas: medicoId ? await CitaService.proximas({ medicoId }) : [],
+            citasHoy: medicoId ? await CitaService.cantidadDeHoy(medicoId) : 0
+        });
+    } catch (error) {
+        console.error('Error al cargar panel médico:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error al cargar el panel médico'
+        });
+    }
 });
 
-// Ruta para página home de pacientes (requiere ser paciente)
-router.get('/paciente/home', AuthController.requirePaciente, (req, res) => {
-    res.render('paciente-home', {
-        title: 'Mi Portal de Paciente',
-        usuario: req.user,
-        paciente: req.user.perfil?.paciente || null,
-        historiaClinica: req.user.perfil?.paciente?.historiaClinica || 'Sin información disponible'
-    });
+// Ruta para página home de pacientes (requiere acceso a la historia propia)
+router.get('/paciente/home', AuthController.autorizar('paciente:portal'), async (req, res) => {
+    try {
+        const pacienteId = req.user.perfil?.pacienteId;
+        res.render('paciente-home', {
+            title: 'Mi Portal de Paciente',
+            usuario: req.user,
+            paciente: req.user.perfil?.paciente || null,
+            entradasHistoria: pacienteId ? await HistoriaService.listar(pacienteId) : [],
+            historiaActualizadaEn: pacienteId ? await HistoriaService.ultimaActualizacion(pacienteId) : null,
+            proximasCitas: pacienteId ? await CitaService.proximas({ pacienteId }) : []
+        });
+    } catch (error) {
+        console.error('Error al cargar portal del paciente:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            message: 'Error al cargar el portal del paciente'
+        });
+    }
 });
 
-// Ruta para página de insumos (accesible por médicos, empleados y admin)
-router.get('/insumos', AuthController.requireMultipleRoles(['admin', 'medico', 'empleado']), async (req, res) => {
+// API REST de pacientes (consulta con ver_pacientes, cambios con gestionar_pacientes)
+router.get('/api/pacientes', AuthController.autorizar('pacientes:listar'), PacientesController.listar);
+router.post('/api/pacientes', AuthController.autorizar('pacientes:gestionar'), PacientesController.crear);
+router.get('/api/pacientes/:id', AuthController.autorizar('pacientes:ver'), PacientesController.obtener);
+router.put('/api/pacientes/:id', AuthController.autorizar('pacientes:gestionar'), PacientesController.actualizar);
+router.delete('/api/pacientes/:id', AuthController.autorizar('pacientes:gestionar'), PacientesController.eliminar);
+
+// Rutas de datos clínicos (el paciente solo consulta los propios; la historia solo admite altas y enmiendas)
+router.get('/api/pacientes/:id/historia', AuthController.autorizar('historia:leer'), PacientesController.historia);
+router.post('/api/pacientes/:id/historia', AuthController.autorizar('historia:registrar'), PacientesController.registrarEntradaHistoria);
+router.post('/api/pacientes/:id/historia/:entradaId/enmiendas', AuthController.autorizar('historia:registrar'), PacientesController.enmendarEntradaHistoria);
+router.get('/api/pacientes/:id/tareas', AuthController.autorizar('tareas:leer'), PacientesController.tareas);
+
+// Rutas de tareas (quién puede cambiar cada estado lo decide TareaService)
+router.get('/api/tareas', AuthController.autorizar('tareas:listar'), TareasController.listar);
+router.post('/api/tareas', AuthController.autorizar('tareas:crear'), TareasController.crear);
+router.get('/api/tareas/:id', AuthController.autorizar('tareas:listar'), TareasController.obtener);
+router.get('/api/tareas/:id/historial', AuthController.autorizar('tareas:listar'), TareasController.historial);
+router.post('/api/tareas/:id/transiciones', AuthController.autorizar('tareas:transicionar'), TareasController.transicionar);
+
+// Rutas de áreas del hospital (el reporte se declara antes de /:id para no confundirse con un ID)
+router.get('/api/areas', AuthController.autorizar('areas:ver'), AreasController.listar);
+router.get('/api/areas/reporte', AuthController.autorizar('areas:ver'), AreasController.reporte);
+router.get('/api/areas/:id', AuthController.autorizar('areas:ver'), AreasController.obtener);
+router.post('/api/areas', AuthController.autorizar('areas:administrar'), AreasController.crear);
+router.put('/api/areas/:id', AuthController.autorizar('areas:administrar'), AreasController.actualizar);
+router.delete('/api/areas/:id', AuthController.autorizar('areas:administrar'), AreasController.eliminar);
+router.put('/api/empleados/:id/area', AuthController.autorizar('areas:administrar'), AreasController.asignarEmpleado);
+
+// Rutas de citas (el paciente solo reserva, reprograma y cancela las propias)
+router.get('/api/citas', AuthController.autorizar('citas:acceder'), CitasController.listar);
+router.post('/api/citas', AuthController.autorizar('citas:acceder'), CitasController.reservar);
+router.get('/api/citas/:id', AuthController.autorizar('citas:acceder'), CitasController.obtener);
+router.post('/api/citas/:id/reprogramar', AuthController.autorizar('citas:acceder'), CitasController.reprogramar);
+router.post('/api/citas/:id/cancelar', AuthController.autorizar('citas:acceder'), CitasController.cancelar);
+
+// Ruta para página de insumos (requiere permiso para ver insumos)
+router.get('/insumos', AuthController.autorizar('insumos:ver'), async (req, res) => {
     try {
         // Obtener lista de insumos desde la base de datos
         const databaseService = (await import('../services/database.service.js')).default;
-        const insumos = await databaseService.getAllInsumos();
+        const InsumoService = (await import('../services/insumo.service.js')).default;
+        const categorias = await databaseService.getAllCategorias();
+        const nombresCategorias = new Map(categorias.map(categoria => [categoria.id, categoria.nombre]));
+        const insumos = (await databaseService.getAllInsumos()).map(insumo => ({
+            ...InsumoService.conEstado(insumo),
+            categoria: nombresCategorias.get(insumo.categoriaId) || null
+        }));
         
         res.render('insumos', {
             title: 'Gestión de Insumos',
             usuario: req.user,
             insumos: insumos || [],
-            puedeEditar: ['admin', 'empleado'].includes(req.user.rol?.nombre)
+            categorias,
+            puedeEditar: PoliticaService.puede(req.user, 'insumos:editar')
         });
     } catch (error) {
         console.error('Error al cargar insumos:', error);
@@ -66,4 +217,31 @@ router.get('/insumos', AuthController.requireMultipleRoles(['admin', 'medico', '
     }
 });
 
+// Rutas de alta y modificación de insumos (el stock cambia solo con movimientos)
+router.post('/api/insumos', AuthController.autorizar('insumos:editar'), InsumosController.crear);
+router.patch('/api/insumos/:id', AuthController.autorizar('insumos:editar'), InsumosController.actualizar);
+
+// Rutas de categorías de insumos (consulta con acceso a insumos, cambios con permiso de edición)
+router.get('/insumos/categorias', AuthController.autorizar('insumos:ver'), CategoriasController.pagina);
+router.get('/api/insumos/categorias', AuthController.autorizar('insumos:ver'), CategoriasController.listar);
+router.post('/api/insumos/categorias', AuthController.autorizar('insumos:editar'), CategoriasController.crear);
+router.put('/api/insumos/categorias/:id', AuthController.autorizar('insumos:editar'), CategoriasController.actualizar);
+router.delete('/api/insumos/categorias/:id', AuthController.autorizar('insumos:editar'), CategoriasController.eliminar);
+
+// Rutas de movimientos de stock (consulta con acceso a insumos, registro con permiso de edición)
+router.get('/insumos/historial', AuthController.autorizar('insumos:ver'), InsumosController.paginaHistorial);
+router.get('/api/insumos/:id/movimientos', AuthController.autorizar('insumos:ver'), InsumosController.movimientos);
+router.post('/api/insumos/:id/movimientos', AuthController.autorizar('insumos:editar'), InsumosController.registrarMovimiento);
+
+// Rutas de umbrales y stock bajo (consulta con acceso a insumos, umbrales con permiso de edición)
+router.get('/insumos/stock-bajo', AuthController.autorizar('insumos:ver'), InsumosController.paginaStockBajo);
+router.get('/api/insumos/stock-bajo', AuthController.autorizar('insumos:ver'), InsumosController.stockBajo);
+router.put('/api/insumos/:id/umbrales', AuthController.autorizar('insumos:editar'), InsumosController.umbrales);
+
+// Rutas de configuración de alertas de stock
+router.get('/insumos/alertas', AuthController.autorizar('insumos:alertas'), InsumosController.paginaAlertas);
+router.get('/api/insumos/alertas/suscripciones', AuthController.autorizar('insumos:alertas'), InsumosController.listarSuscripciones);
+router.post('/api/insumos/alertas/suscripciones', AuthController.autorizar('insumos:alertas'), InsumosController.crearSuscripcion);
+router.delete('/api/insumos/alertas/suscripciones/:id', AuthController.autorizar('insumos:alertas'), InsumosController.eliminarSuscripcion);
+
 export default router;
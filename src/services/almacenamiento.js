@@ -0,0 +1,466 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Adaptadores de almacenamiento de DatabaseService.
+ * Un adaptador guarda registros con ID numérico agrupados en tablas e implementa:
+ *   abrir(), cerrar(), tablas(), existeTabla(tabla), crearTabla(tabla),
+ *   crearIndice(tabla, campo), listar(tabla), obtener(tabla, id),
+ *   buscar(tabla, campo, valores), insertar(tabla, registro),
+ *   reemplazar(tabla, id, registro), eliminar(tabla, id),
+ *   importar(tabla, registros) y lote(operacion).
+ * obtener, reemplazar y eliminar devuelven null si el registro no existe. Los registros
+ * devueltos son copias: modificarlos no cambia lo guardado.
+ * buscar devuelve los registros cuyo campo vale alguno de los valores, usando el índice
+ * del campo si se creó uno.
+ * lote(operacion) aplica todos los cambios de la operación o ninguno; la operación
+ * solo debe esperar al propio adaptador (nada de E/S externa mientras el lote está abierto).
+ */
+export const METODOS_ADAPTADOR = [
+    'abrir', 'cerrar', 'tablas', 'existeTabla', 'crearTabla', 'crearIndice', 'listar', 'obtener',
+    'buscar', 'insertar', 'reemplazar', 'eliminar', 'importar', 'lote'
+];
+
+/**
+ * Adaptador de archivo JSON: todas las tablas en memoria y un único archivo en disco.
+ * Las escrituras se serializan y se hacen de forma atómica; si el archivo está dañado
+ * se recupera la última copia buena. Los índices (por ID y por los campos pedidos)
+ * viven en memoria y se actualizan en cada escritura.
+ */
+export class JsonAdaptador {
+    constructor(ruta) {
+        this.ruta = ruta;
+        this.rutaTemporal = `${ruta}.tmp`; // Escritura en curso (se renombra al terminar)
+        this.rutaRespaldo = `${ruta}.bak`; // Última copia buena, para recuperar un archivo dañado
+        this.data = null;
+
+        this.colaEscrituras = Promise.resolve(); // Las escrituras se ejecutan de a una, en orden
+        this.escrituraPendiente = null; // Escritura encolada que todavía no empezó
+        this.enLote = false; // Dentro de un lote se guarda una sola vez, al final
+
+        this.porId = new Map(); // tabla → (id → registro)
+        this.indices = new Map(); // tabla → (campo → (valor → Set de IDs))
+    }
+
+    // Leer y parsear un archivo de base de datos
+    async leerArchivo(ruta) {
+        const rawData = await fs.readFile(ruta, 'utf8');
+        const data = JSON.parse(rawData);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('el contenido no es un objeto de tablas');
+        }
+        return data;
+    }
+
+    // Cargar el archivo; si está dañado o falta, recuperar la última copia buena
+    async abrir() {
+        try {
+            this.data = await this.leerArchivo(this.ruta);
+            this.reconstruirIndices();
+        } catch (error) {
+            let respaldo;
+            try {
+                respaldo = await this.leerArchivo(this.rutaRespaldo);
+            } catch (errorRespaldo) {
+                throw new Error(`Error al cargar la base de datos: ${error.message}`);
+            }
+
+            console.warn(`Base de datos dañada o inexistente (${error.message}): se recupera la última copia buena`);
+            if (error.code !== 'ENOENT') {
+                // Conservar el archivo dañado para poder revisarlo
+                await fs.rename(this.ruta, `${this.ruta}.corrupto-${Date.now()}`);
+            }
+            this.data = respaldo;
+            this.reconstruirIndices();
+            await this.guardar();
+        }
+    }
+
+    async cerrar() {
+        await this.colaEscrituras;
+        this.data = null;
+        this.porId.clear();
+        this.indices.clear();
+    }
+
+    // ==================== ÍNDICES EN MEMORIA ====================
+
+    // Agregar (o quitar) un registro de los índices de su tabla
+    indexar(tabla, registro, quitar = false) {
+        if (quitar) {
+            this.porId.get(tabla)?.delete(registro.id);
+        } else {
+            this.porId.get(tabla)?.set(registro.id, registro);
+        }
+
+        for (const [campo, indice] of this.indices.get(tabla) || []) {
+            const valor = registro[campo] ?? null;
+            const ids = indice.get(valor);
+            if (quitar) {
+                ids?.delete(registro.id);
+                if (ids?.size === 0) {
+                    indice.delete(valor);
+                }
+            } else if (ids) {
+                ids.add(registro.id);
+            } else {
+                indice.set(valor, new Set([registro.id]));
+            }
+        }
+    }
+
+    // Armar el índice de un campo a partir de los registros de la tabla
+    construirIndice(tabla, campo) {
+        const indice = new Map();
+        for (const registro of this.data[tabla]) {
+            const valor = registro[campo] ?? null;
+            if (!indice.has(valor)) {
+                indice.set(valor, new Set());
+            }
+            indice.get(valor).add(registro.id);
+        }
+        this.indices.get(tabla).set(campo, indice);
+    }
+
+    // Volver a armar todos los índices (al abrir o al deshacer un lote)
+    reconstruirIndices() {
+        for (const tabla of Object.keys(this.data)) {
+            this.porId.set(tabla, new Map(this.data[tabla].map(registro => [registro.id, registro])));
+            if (!this.indices.has(tabla)) {
+                this.indices.set(tabla, new Map());
+            }
+            for (const campo of this.indices.get(tabla).keys()) {
+                this.construirIndice(tabla, campo);
+            }
+        }
+    }
+
+    async crearIndice(tabla, campo) {
+        if (this.data[tabla] && !this.indices.get(tabla).has(campo)) {
+            this.construirIndice(tabla, campo);
+        }
+    }
+
+    // Ejecutar una tarea cuando terminen las escrituras anteriores
+    exclusivo(tarea) {
+        const resultado = this.colaEscrituras.then(tarea);
+        this.colaEscrituras = resultado.catch(() => {});
+        return resultado;
+    }
+
+    // Escribir el archivo de forma atómica: archivo temporal + fsync + rename.
+    // Un corte a mitad de camino deja el archivo anterior intacto.
+    async escribirArchivo(contenido) {
+        const archivo = await fs.open(this.rutaTemporal, 'w');
+        try {
+            await archivo.writeFile(contenido, 'utf8');
+            await archivo.sync();
+        } finally {
+            await archivo.close();
+        }
+
+        try {
+            await fs.copyFile(this.ruta, this.rutaRespaldo);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        await fs.rename(this.rutaTemporal, this.ruta);
+
+        // Persistir el rename (no todas las plataformas permiten abrir un directorio)
+        try {
+            const directorio = await fs.open(path.dirname(this.ruta), 'r');
+            try {
+                await directorio.sync();
+            } finally {
+                await directorio.close();
+            }
+        } catch (error) {
+            // Sin fsync de directorio el rename igual es atómico
+        }
+    }
+
+    // Guardar en disco. Las escrituras se serializan; los pedidos que llegan mientras otra
+    // escritura espera turno se agrupan en ella, porque guarda el estado más reciente.
+    async guardar() {
+        if (!this.escrituraPendiente) {
+            this.escrituraPendiente = this.exclusivo(async () => {
+                this.escrituraPendiente = null;
+                await this.escribirArchivo(JSON.stringify(this.data, null, 2));
+            });
+        }
+
+        try {
+            await this.escrituraPendiente;
+        } catch (error) {
+            throw new Error(`Error al guardar la base de datos: ${error.message}`);
+        }
+    }
+
+    // Guardar después de un cambio, salvo dentro de un lote
+    async confirmar() {
+        if (!this.enLote) {
+            await this.guardar();
+        }
+    }
+
+    async tablas() {
+        return Object.keys(this.data);
+    }
+
+    async existeTabla(tabla) {
+        return Array.isArray(this.data[tabla]);
+    }
+
+    async crearTabla(tabla) {
+        if (!this.data[tabla]) {
+            this.data[tabla] = [];
+            this.porId.set(tabla, new Map());
+            this.indices.set(tabla, new Map());
+            await this.confirmar();
+        }
+    }
+
+    // Los registros en memoria no salen del adaptador: se devuelven copias, como en SQLite
+    async listar(tabla) {
+        return structuredClone(this.data[tabla]);
+    }
+
+    async obtener(tabla, id) {
+        return structuredClone(this.porId.get(tabla).get(id) || null);
+    }
+
+    async buscar(tabla, campo, valores) {
+        const indice = this.indices.get(tabla).get(campo);
+        if (!indice) {
+            return structuredClone(this.data[tabla].filter(registro => valores.includes(registro[campo] ?? null)));
+        }
+
+        const ids = new Set(valores.flatMap(valor => [...(indice.get(valor) || [])]));
+        const porId = this.porId.get(tabla);
+        return structuredClone([...ids].sort((a, b) => a - b).map(id => porId.get(id)));
+    }
+
+    async insertar(tabla, registro) {
+        const registros = this.data[tabla];
+        const nuevo = {
+            id: registros.length > 0 ? Math.max(...registros.map(item => item.id)) + 1 : 1,
+            ...structuredClone(registro)
+        };
+        registros.push(nuevo);
+        this.indexar(tabla, nuevo);
+        await this.confirmar();
+        return structuredClone(nuevo);
+    }
+
+    async reemplazar(tabla, id, registro) {
+        const anterior = this.porId.get(tabla).get(id);
+        if (!anterior) {
+            return null;
+        }
+        const index = this.data[tabla].indexOf(anterior);
+        this.indexar(tabla, anterior, true);
+        this.data[tabla][index] = { ...structuredClone(registro), id };
+        this.indexar(tabla, this.data[tabla][index]);
+        await this.confirmar();
+        return structuredClone(this.data[tabla][index]);
+    }
+
+    async eliminar(tabla, id) {
+        const eliminado = this.porId.get(tabla).get(id);
+        if (!eliminado) {
+            return null;
+        }
+        this.data[tabla].splice(this.data[tabla].indexOf(eliminado), 1);
+        this.indexar(tabla, eliminado, true);
+        await this.confirmar();
+        return structuredClone(eliminado);
+    }
+
+    async importar(tabla, registros) {
+        await this.crearTabla(tabla);
+        this.data[tabla] = [...this.data[tabla], ...structuredClone(registros)].sort((a, b) => a.id - b.id);
+        this.reconstruirIndices();
+        await this.confirmar();
+    }
+
+    // Los cambios se aplican en memoria y se guardan juntos; si algo falla,
+    // las tablas vuelven a como estaban antes del lote
+    async lote(operacion) {
+        if (this.enLote) {
+            return await operacion();
+        }
+
+        const respaldo = Object.fromEntries(Object.entries(this.data).map(([tabla, registros]) => [tabla, [...registros]]));
+        this.enLote = true;
+        try {
+            const resultado = await operacion();
+            this.enLote = false;
+            await this.guardar();
+            return resultado;
+        } catch (error) {
+            this.enLote = false;
+            this.data = respaldo;
+            this.reconstruirIndices();
+            throw error;
+        }
+    }
+}
+
+/**
+ * Adaptador SQLite embebido (archivo local, sin servidor). Cada tabla guarda el ID
+ * como clave primaria y el resto del registro como JSON, así que los registros
+ * conservan la misma forma que en el adaptador JSON.
+ */
+export class SqliteAdaptador {
+    constructor(ruta) {
+        this.ruta = ruta;
+        this.db = null;
+        this.nombresTablas = new Set();
+        this.enLote = false;
+    }
+
+    // Solo se aceptan nombres de tabla simples: se interpolan en el SQL
+    nombreSeguro(tabla) {
+        if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(tabla)) {
+            throw new Error(`Nombre de tabla inválido: '${tabla}'`);
+        }
+        return `"${tabla}"`;
+    }
+
+    // Expresión que extrae un campo del JSON; es la misma que usa su índice
+    expresionCampo(campo) {
+        if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(campo)) {
+            throw new Error(`Nombre de campo inválido: '${campo}'`);
+        }
+        return `json_extract(datos, '$.${campo}')`;
+    }
+
+    // La dependencia nativa se carga solo si se usa este adaptador
+    async abrir() {
+        const { default: Database } = await import('better-sqlite3');
+        this.db = new Database(this.ruta);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = FULL');
+
+        const filas = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all();
+        this.nombresTablas = new Set(filas.map(f => f.name));
+    }
+
+    async cerrar() {
+        this.db?.close();
+        this.db = null;
+    }
+
+    // Fila de SQLite → registro
+    registro(fila) {
+        return fila ? { id: fila.id, ...JSON.parse(fila.datos) } : null;
+    }
+
+    // Registro → JSON sin el ID, que va en su propia columna
+    serializar(registro) {
+        const { id, ...datos } = registro;
+        return JSON.stringify(datos);
+    }
+
+    async tablas() {
+        return [...this.nombresTablas];
+    }
+
+    async existeTabla(tabla) {
+        return this.nombresTablas.has(tabla);
+    }
+
+    async crearTabla(tabla) {
+        this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.nombreSeguro(tabla)} (id INTEGER PRIMARY KEY, datos TEXT NOT NULL)`);
+        this.nombresTablas.add(tabla);
+    }
+
+    async crearIndice(tabla, campo) {
+        this.db.exec(`CREATE INDEX IF NOT EXISTS "idx_${tabla}_${campo}" ON ${this.nombreSeguro(tabla)} (${this.expresionCampo(campo)})`);
+    }
+
+    async listar(tabla) {
+        return this.db.prepare(`SELECT id, datos FROM ${this.nombreSeguro(tabla)} ORDER BY id`).all()
+            .map(fila => this.registro(fila));
+    }
+
+    // json_extract devuelve los booleanos como 1/0 y el null de JSON como NULL
+    async buscar(tabla, campo, valores) {
+        const expresion = this.expresionCampo(campo);
+        const parametros = valores
+            .filter(valor => valor !== null)
+            .map(valor => (typeof valor === 'boolean' ? Number(valor) : valor));
+
+        const condiciones = [];
+        if (parametros.length > 0) {
+            condiciones.push(`${expresion} IN (${parametros.map(() => '?').join(', ')})`);
+        }
+        if (valores.includes(null)) {
+            condiciones.push(`${expresion} IS NULL`);
+        }
+        if (condiciones.length === 0) {
+            return [];
+        }
+
+        return this.db.prepare(`SELECT id, datos FROM ${this.nombreSeguro(tabla)} WHERE ${condiciones.join(' OR ')} ORDER BY id`)
+            .all(...parametros)
+            .map(fila => this.registro(fila));
+    }
+
+    async obtener(tabla, id) {
+        return this.registro(this.db.prepare(`SELECT id, datos FROM ${this.nombreSeguro(tabla)} WHERE id = ?`).get(id));
+    }
+
+    // Sin AUTOINCREMENT, SQLite asigna el ID más alto + 1, igual que el adaptador JSON
+    async insertar(tabla, registro) {
+        const { lastInsertRowid } = this.db.prepare(`INSERT INTO ${this.nombreSeguro(tabla)} (datos) VALUES (?)`)
+            .run(this.serializar(registro));
+        return { id: Number(lastInsertRowid), ...registro };
+    }
+
+    async reemplazar(tabla, id, registro) {
+        const { changes } = this.db.prepare(`UPDATE ${this.nombreSeguro(tabla)} SET datos = ? WHERE id = ?`)
+            .run(this.serializar(registro), id);
+        return changes > 0 ? { ...registro, id } : null;
+    }
+
+    async eliminar(tabla, id) {
+        const registro = await this.obtener(tabla, id);
+        if (registro) {
+            this.db.prepare(`DELETE FROM ${this.nombreSeguro(tabla)} WHERE id = ?`).run(id);
+        }
+        return registro;
+    }
+
+    // Insertar registros conservando sus IDs (migraciones)
+    async importar(tabla, registros) {
+        await this.crearTabla(tabla);
+        const insertar = this.db.prepare(`INSERT INTO ${this.nombreSeguro(tabla)} (id, datos) VALUES (?, ?)`);
+        this.db.transaction(() => {
+            for (const registro of registros) {
+                insertar.run(registro.id, this.serializar(registro));
+            }
+        })();
+    }
+
+    async lote(operacion) {
+        if (this.enLote) {
+            return await operacion();
+        }
+
+        this.db.exec('BEGIN IMMEDIATE');
+        this.enLote = true;
+        try {
+            const resultado = await operacion();
+            this.db.exec('COMMIT');
+            return resultado;
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        } finally {
+            this.enLote = false;
+        }
+    }
+}
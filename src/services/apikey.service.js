@@ -0,0 +1,263 @@
+import databaseService from './database.service.js';
+import politicaService from './politica.service.js';
+import { PERMISOS_SOLO_PERSONAS } from '../config/politicas.js';
+import crypto from 'crypto';
+
+/**
+ * Servicio de Cuentas de Servicio y API Keys
+ * Permite que sistemas externos (laboratorio, farmacia) llamen al backend
+ * con una API key propia en lugar de usar la contraseña de una persona.
+ * Las keys se guardan hasheadas, se muestran una sola vez y tienen
+ * permisos acotados, expiración opcional y registro de último uso.
+ */
+class ApiKeyService {
+    constructor() {
+        this.databaseService = databaseService;
+        this.politicaService = politicaService;
+
+        // Prefijo visible de las keys, para reconocerlas en logs y repositorios
+        this.prefijoKey = 'sk';
+
+        // Cada cuánto se persiste el último uso de una key (evita escribir en cada request)
+        this.intervaloUltimoUsoMs = (parseInt(process.env.API_KEY_ULTIMO_USO_SEGUNDOS) || 60) * 1000;
+    }
+
+    /**
+     * Calcula el hash con el que se guarda una API key
+     * @param {string} apiKey - API key en claro
+     * @returns {string} Hash SHA-256 en hexadecimal
+     */
+    hashApiKey(apiKey) {
+        return crypto.createHash('sha256').update(apiKey).digest('hex');
+    }
+
+    /**
+     * Quita el hash de una key antes de devolverla
+     * @param {Object} apiKey - Registro de API key
+     * @returns {Object} Datos públicos de la key
+     */
+    datosPublicos(apiKey) {
+        const { keyHash, ...datos } = apiKey;
+        return datos;
+    }
+
+    /**
+     * Permisos que pueden asignarse a una key: los que ya usa algún rol,
+     * salvo los reservados a personas
+     * @returns {Promise<Set<string>>} Permisos asignables
+     */
+    async permisosAsignables() {
+        const roles = await this.databaseService.getAllRoles();
+        return new Set(
+            roles.flatMap(rol => rol.permisos || [])
+                .filter(permiso => this.politicaService.existePermiso(permiso))
+                .filter(permiso => !PERMISOS_SOLO_PERSONAS.includes(permiso))
+        );
+    }
+
+    /**
+     * Lista las cuentas de servicio con sus keys (sin hashes)
+     * @returns {Promise<Array<Object>>} Cuentas de servicio
+     */
+    async listarCuentas() {
+        const cuentas = await this.databaseService.getAllCuentasServicio();
+        const resultado = [];
+        for (const cuenta of cuentas) {
+            const apiKeys = await this.databaseService.getApiKeysByCuenta(cuenta.id);
+            resultado.push({
+                ...cuenta,
+                apiKeys: apiKeys.map(apiKey => this.datosPublicos(apiKey))
+            });
+        }
+        return resultado;
+    }
+
+    /**
+     * Crea una cuenta de servicio
+     * @param {Object} datos - { nombre, descripcion }
+     * @returns {Promise<Object>} Resultado de la creación
+     */
+    async crearCuenta({ nombre, descripcion }) {
+        if (!nombre || !/^[a-z0-9][a-z0-9_-]{2,49}$/.test(nombre)) {
+            return {
+                success: false,
+                message: 'El nombre debe tener entre 3 y 50 caracteres: minúsculas, números, guiones o guiones bajos',
+                code: 'INVALID_NAME'
+            };
+        }
+
+        try {
+            await this.databaseService.getCuentaServicioByNombre(nombre);
+            return {
+                success: false,
+                message: `Ya existe una cuenta de servicio llamada '${nombre}'`,
+                code: 'DUPLICATE_NAME'
+            };
+        } catch (error) {
+            // Si no existe, continuamos con la creación
+        }
+
+        const cuenta = await this.databaseService.createCuentaServicio({ nombre, descripcion });
+        return {
+            success: true,
+            message: 'Cuenta de servicio creada',
+            data: cuenta
+        };
+    }
+
+    /**
+     * Activa o desactiva una cuenta de servicio (sus keys dejan de funcionar)
+     * @param {number} cuentaId - ID de la cuenta
+     * @param {boolean} activa - Nuevo estado
+     * @returns {Promise<Object>} Cuenta actualizada
+     */
+    async cambiarEstadoCuenta(cuentaId, activa) {
+        return await this.databaseService.updateCuentaServicio(cuentaId, { activa: Boolean(activa) });
+    }
+
+    /**
+     * Elimina una cuenta de servicio; el esquema borra sus keys en cascada
+     * @param {number} cuentaId - ID de la cuenta
+     * @returns {Promise<Object>} Cuenta eliminada
+     */
+    async eliminarCuenta(cuentaId) {
+        return await this.databaseService.deleteCuentaServicio(cuentaId);
+    }
+
+    /**
+     * Emite una API key para una cuenta de servicio. La key en claro
+     * solo se devuelve en esta respuesta.
+     * @param {number} cuentaId - ID de la cuenta
+     * @param {Object} datos - { permisos, expiraEn }
+     * @returns {Promise<Object>} Resultado con la key en claro
+     */
+    async emitirApiKey(cuentaId, { permisos, expiraEn }) {
+        const cuenta = await this.databaseService.getCuentaServicioById(cuentaId);
+
+        if (!Array.isArray(permisos) || permisos.length === 0) {
+            return {
+                success: false,
+                message: 'Debe indicar al menos un permiso',
+                code: 'INVALID_PERMISSIONS'
+            };
+        }
+
+        const asignables = await this.permisosAsignables();
+        const invalidos = permisos.filter(permiso => !asignables.has(permiso));
+        if (invalidos.length > 0) {
+            return {
+                success: false,
+                message: 'Hay permisos que no pueden asignarse a una API key',
+                code: 'INVALID_PERMISSIONS',
+                errores: invalidos.map(permiso => PERMISOS_SOLO_PERSONAS.includes(permiso)
+                    ? `Permiso reservado a personas: ${permiso}`
+                    : `Permiso desconocido: ${permiso}`)
+            };
+        }
+
+        let vencimiento = null;
+        if (expiraEn) {
+            vencimiento = new Date(expiraEn);
+            if (isNaN(vencimiento.getTime()) || vencimiento <= new Date()) {
+                return {
+                    success: false,
+                    message: 'La fecha de expiración debe ser una fecha futura válida',
+                    code: 'INVALID_EXPIRATION'
+                };
+            }
+        }
+
+        const prefijo = crypto.randomBytes(4).toString('hex');
+        const apiKey = `${this.prefijoKey}_${prefijo}_${crypto.randomBytes(32).toString('base64url')}`;
+
+        const registro = await this.databaseService.createApiKey({
+            cuentaServicioId: cuenta.id,
+            prefijo,
+            keyHash: this.hashApiKey(apiKey),
+            permisos: [...new Set(permisos)],
+            expiraEn: vencimiento ? vencimiento.toISOString() : null
+        });
+
+        return {
+            success: true,
+            message: 'API key creada. Guárdela ahora, no se volverá a mostrar',
+            data: {
+                ...this.datosPublicos(registro),
+                apiKey
+            }
+        };
+    }
+
+    /**
+     * Revoca una API key de una cuenta de servicio
+     * @param {number} cuentaId - ID de la cuenta
+     * @param {number} keyId - ID de la key
+     * @returns {Promise<boolean>} True si la key pertenecía a la cuenta y fue revocada
+     */
+    async revocarApiKey(cuentaId, keyId) {
+        let apiKey;
+        try {
+            apiKey = await this.databaseService.getApiKeyById(keyId);
+        } catch (error) {
+            return false;
+        }
+        if (apiKey.cuentaServicioId !== parseInt(cuentaId)) {
+            return false;
+        }
+        await this.databaseService.updateApiKey(apiKey.id, {
+            revocada: true,
+            revocadaEn: new Date().toISOString()
+        });
+        return true;
+    }
+
+    /**
+     * Autentica un request con API key y arma el principal equivalente a un usuario
+     * @param {string} apiKey - API key en claro
+     * @returns {Promise<Object|null>} Principal de la cuenta de servicio o null si la key no es válida
+     */
+    async autenticar(apiKey) {
+        if (typeof apiKey !== 'string' || !apiKey.startsWith(`${this.prefijoKey}_`)) {
+            return null;
+        }
+
+        let registro;
+        let cuenta;
+        try {
+            registro = await this.databaseService.getApiKeyByHash(this.hashApiKey(apiKey));
+            cuenta = await this.databaseService.getCuentaServicioById(registro.cuentaServicioId);
+        } catch (error) {
+            return null;
+        }
+
+        const ahora = new Date();
+        if (registro.revocada || !cuenta.activa || (registro.expiraEn && new Date(registro.expiraEn) <= ahora)) {
+            return null;
+        }
+
+        // Registrar el último uso sin escribir la base en cada request
+        if (!registro.ultimoUsoEn || ahora - new Date(registro.ultimoUsoEn) > this.intervaloUltimoUsoMs) {
+            await this.databaseService.updateApiKey(registro.id, { ultimoUsoEn: ahora.toISOString() });
+        }
+
+        return {
+            id: null,
+            usuario: `servicio:${cuenta.nombre}`,
+            tipo: 'servicio',
+            cuentaServicio: {
+                id: cuenta.id,
+                nombre: cuenta.nombre
+            },
+            apiKeyId: registro.id,
+            rol: {
+                nombre: 'servicio',
+                permisos: registro.permisos
+            },
+            perfil: null
+        };
+    }
+}
+
+// Exportar instancia singleton
+const apiKeyService = new ApiKeyService();
+export default apiKeyService;
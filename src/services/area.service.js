@@ -0,0 +1,358 @@
+import databaseService from './database.service.js';
+
+/**
+ * Servicio de Áreas
+ * Alta, modificación y baja de áreas del hospital, asignación de empleados
+ * (y especialidad de los médicos), jefe de cada área y resumen de actividad por área
+ */
+class AreaService {
+    constructor() {
+        this.databaseService = databaseService;
+
+        // Campos que se pueden cargar o modificar desde la API
+        this.camposEditables = ['nombre', 'descripcion', 'jefeId'];
+    }
+
+    /**
+     * Valida los datos de un área
+     * @param {Object} datos - Datos a validar
+     * @param {boolean} parcial - True en modificaciones (los campos ausentes no se validan)
+     * @returns {Array<string>} Lista de errores (vacía si son válidos)
+     */
+    validarDatos(datos, parcial = false) {
+        const errores = [];
+
+        if (!parcial || datos.nombre !== undefined) {
+            if (typeof datos.nombre !== 'string' || datos.nombre.trim().length < 3) {
+                errores.push('El nombre es requerido y debe tener al menos 3 caracteres');
+            } else if (datos.nombre.trim().length > 60) {
+                errores.push('El nombre no puede superar los 60 caracteres');
+            }
+        }
+
+        if (datos.descripcion !== undefined && datos.descripcion !== null) {
+            if (typeof datos.descripcion !== 'string') {
+                errores.push('La descripción debe ser texto');
+            } else if (datos.descripcion.trim().length > 200) {
+                errores.push('La descripción no puede superar los 200 caracteres');
+            }
+        }
+
+        if (datos.jefeId !== undefined && datos.jefeId !== null && !Number.isInteger(datos.jefeId)) {
+            errores.push('El jefeId debe ser el ID de un empleado');
+        }
+
+        return errores;
+    }
+
+    /**
+     * Toma solo los campos editables y los normaliza
+     * @param {Object} datos - Datos recibidos
+     * @returns {Object} Datos listos para guardar
+     */
+    limpiarDatos(datos) {
+        const limpios = {};
+        for (const campo of this.camposEditables) {
+            if (datos[campo] !== undefined) {
+                limpios[campo] = typeof datos[campo] === 'string' ? datos[campo].trim() : datos[campo];
+            }
+        }
+        if (limpios.descripcion === null) {
+            limpios.descripcion = '';
+        }
+        return limpios;
+    }
+
+    /**
+     * Verifica si ya existe otra área con el nombre (sin distinguir mayúsculas)
+     * @param {string} nombre - Nombre a verificar
+     * @param {number|null} areaIdExcluida - Área a ignorar (al modificar)
+     * @returns {Promise<boolean>} True si el nombre está en uso
+     */
+    async nombreEnUso(nombre, areaIdExcluida = null) {
+        const areas = await this.databaseService.getAllAreas();
+        return areas.some(a => a.nombre.toLowerCase() === nombre.toLowerCase() && a.id !== parseInt(areaIdExcluida));
+    }
+
+    /**
+     * Agrega a un área su jefe y la cantidad (o el detalle) de sus empleados
+     * @param {Object} area - Área
+     * @param {boolean} conEmpleados - True para incluir la lista de empleados
+     * @returns {Promise<Object>} Área con detalles
+     */
+    async conDetalles(area, conEmpleados = false) {
+        const empleados = await this.databaseService.getEmpleadosByArea(area.id);
+        const jefe = empleados.find(e => e.id === area.jefeId) || null;
+        return {
+            ...area,
+            jefe: jefe ? { id: jefe.id, nombre: jefe.nombre, puesto: jefe.puesto } : null,
+            cantidadEmpleados: empleados.length,
+            ...(conEmpleados ? { empleados } : {})
+        };
+    }
+
+    /**
+     * Lista las áreas ordenadas por nombre
+     * @returns {Promise<Array<Object>>} Áreas con jefe y cantidad de empleados
+     */
+    async listar() {
+        const areas = await this.databaseService.getAllAreas();
+        const ordenadas = [...areas].sort((a, b) => a.nombre.localeCompare(b.nombre, 'es'));
+        return await Promise.all(ordenadas.map(area => this.conDetalles(area)));
+    }
+
+    /**
+     * Obtiene un área con sus empleados
+     * @param {number} id - ID del área
+     * @returns {Promise<Object>} Área con jefe y empleados
+     */
+    async obtener(id) {
+        const area = await this.databaseService.getAreaById(id);
+        return await this.conDetalles(area, true);
+    }
+
+    /**
+     * Da de alta un área (el jefe se designa después de asignarle empleados)
+     * @param {Object} datos - { nombre, descripcion }
+     * @returns {Promise<Object>} Resultado de la creación
+     */
+    async crear(datos) {
+        const errores = this.validarDatos(datos);
+        if (datos.jefeId !== undefined && datos.jefeId !== null) {
+            errores.push('El jefe se designa una vez que el área tiene empleados asignados');
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de área inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const limpios = this.limpiarDatos(datos);
+        if (await this.nombreEnUso(limpios.nombre)) {
+            return {
+                success: false,
+                message: `Ya existe un área llamada ${limpios.nombre}`,
+                code: 'DUPLICATE_AREA'
+            };
+        }
+
+        const area = await this.databaseService.createArea(limpios);
+        return {
+            success: true,
+            message: 'Área creada',
+            data: area
+        };
+    }
+
+    /**
+     * Modifica un área; el jefe debe ser un empleado asignado a ella
+     * @param {number} id - ID del área
+     * @param {Object} datos - Campos a modificar
+     * @returns {Promise<Object>} Resultado de la modificación
+     */
+    async actualizar(id, datos) {
+        const area = await this.databaseService.getAreaById(id);
+
+        const errores = this.validarDatos(datos, true);
+        const limpios = this.limpiarDatos(datos);
+        if (errores.length === 0 && Object.keys(limpios).length === 0) {
+            errores.push(`Debe indicar al menos un campo: ${this.camposEditables.join(', ')}`);
+        }
+        if (errores.length === 0 && Number.isInteger(limpios.jefeId)) {
+            const empleados = await this.databaseService.getEmpleadosByArea(area.id);
+            if (!empleados.some(e => e.id === limpios.jefeId)) {
+                errores.push(`El empleado ${limpios.jefeId} no pertenece al área`);
+            }
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de área inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        if (limpios.nombre !== undefined && await this.nombreEnUso(limpios.nombre, area.id)) {
+            return {
+                success: false,
+                message: `Ya existe un área llamada ${limpios.nombre}`,
+                code: 'DUPLICATE_AREA'
+            };
+        }
+
+        const actualizada = await this.databaseService.updateArea(area.id, limpios);
+        return {
+            success: true,
+            message: 'Área actualizada',
+            data: await this.conDetalles(actualizada)
+        };
+    }
+
+    /**
+     * Elimina un área sin empleados asignados
+     * @param {number} id - ID del área
+     * @returns {Promise<Object>} Resultado de la baja
+     */
+    async eliminar(id) {
+        const area = await this.databaseService.getAreaById(id);
+
+        const empleados = await this.databaseService.getEmpleadosByArea(area.id);
+        if (empleados.length > 0) {
+            return {
+                success: false,
+                message: `No se puede eliminar el área: tiene ${empleados.length} empleado(s) asignado(s)`,
+                code: 'AREA_EN_USO'
+            };
+        }
+
+        await this.databaseService.deleteArea(area.id);
+        return {
+            success: true,
+            message: 'Área eliminada'
+        };
+    }
+
+    /**
+     * Asigna un empleado a un área (o lo deja sin área) y define su especialidad si es médico
+     * @param {number} empleadoId - ID del empleado
+     * @param {Object} datos - { areaId, especialidad }
+     * @returns {Promise<Object>} Resultado con el empleado actualizado
+     */
+    async asignarEmpleado(empleadoId, { areaId, especialidad }) {
+        const empleado = await this.databaseService.getEmpleadoById(empleadoId);
+
+        const errores = [];
+        if (areaId === undefined && especialidad === undefined) {
+            errores.push('Debe indicar al menos un campo: areaId, especialidad');
+        }
+        if (areaId !== undefined && areaId !== null) {
+            if (!Number.isInteger(areaId)) {
+                errores.push('El areaId debe ser un número');
+            } else if (!(await this.databaseService.getAllAreas()).some(a => a.id === areaId)) {
+                errores.push(`El área ${areaId} no existe`);
+            }
+        }
+        if (especialidad !== undefined && especialidad !== null) {
+            if (typeof especialidad !== 'string' || especialidad.trim().length < 3 || especialidad.trim().length > 60) {
+                errores.push('La especialidad debe tener entre 3 y 60 caracteres');
+            } else if (!(await this.databaseService.esEmpleadoMedico(empleado.id))) {
+                errores.push('Solo los médicos tienen especialidad');
+            }
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Asignación inválida',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        // Quien dirige un área no puede dejarla sin que antes se designe otro jefe
+        if (areaId !== undefined && areaId !== empleado.areaId) {
+            const areas = await this.databaseService.getAllAreas();
+            const dirigida = areas.find(a => a.jefeId === empleado.id);
+            if (dirigida) {
+                return {
+                    success: false,
+                    message: `${empleado.nombre} es jefe de ${dirigida.nombre}: designe otro jefe antes de cambiarlo de área`,
+                    code: 'JEFE_DE_AREA'
+                };
+            }
+        }
+
+        const cambios = {};
+        if (areaId !== undefined) {
+            cambios.areaId = areaId;
+        }
+        if (especialidad !== undefined) {
+            cambios.especialidad = especialidad?.trim() || null;
+        }
+
+        const actualizado = await this.databaseService.updateEmpleado(empleado.id, cambios);
+        return {
+            success: true,
+            message: 'Empleado actualizado',
+            data: actualizado
+        };
+    }
+
+    /**
+     * Resumen de actividad por área: empleados, tareas por estado y consumo de insumos
+     * (salidas y mermas) en el período
+     * @param {Object} filtros - { areaId, desde, hasta } (fechas 'AAAA-MM-DD', inclusive)
+     * @returns {Promise<Object>} Resultado con una fila por área
+     */
+    async reporte({ areaId, desde, hasta } = {}) {
+        const errores = [];
+        const esFecha = valor => /^\d{4}-\d{2}-\d{2}$/.test(valor) && !isNaN(new Date(`${valor}T00:00:00`).getTime());
+        if (areaId && isNaN(parseInt(areaId))) {
+            errores.push('El areaId debe ser un número');
+        }
+        if (desde && !esFecha(desde)) {
+            errores.push("La fecha 'desde' debe tener el formato AAAA-MM-DD");
+        }
+        if (hasta && !esFecha(hasta)) {
+            errores.push("La fecha 'hasta' debe tener el formato AAAA-MM-DD");
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Filtros inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const areas = areaId
+            ? [await this.databaseService.getAreaById(areaId)]
+            : await this.databaseService.getAllAreas();
+        const tareas = await this.databaseService.getAllTareas();
+        const movimientos = await this.databaseService.getAllMovimientosInsumos();
+        const insumos = new Map((await this.databaseService.getAllInsumos()).map(i => [i.id, i]));
+        const fechaDesde = desde ? new Date(`${desde}T00:00:00`) : null;
+        const fechaHasta = hasta ? new Date(`${hasta}T23:59:59.999`) : null;
+
+        const filas = [];
+        for (const area of areas) {
+            const empleados = await this.databaseService.getEmpleadosByArea(area.id);
+            const idsEmpleados = new Set(empleados.map(e => e.id));
+
+            const tareasPorEstado = {};
+            tareas
+                .filter(t => idsEmpleados.has(t.empleadoId))
+                .filter(t => (!desde || t.fecha >= desde) && (!hasta || t.fecha <= hasta))
+                .forEach(t => { tareasPorEstado[t.estado] = (tareasPorEstado[t.estado] || 0) + 1; });
+
+            const consumo = {};
+            movimientos
+                .filter(m => m.areaId === area.id && ['salida', 'merma'].includes(m.tipo))
+                .filter(m => (!fechaDesde || new Date(m.fecha) >= fechaDesde) && (!fechaHasta || new Date(m.fecha) <= fechaHasta))
+                .forEach(m => {
+                    const insumo = insumos.get(m.insumoId);
+                    consumo[m.insumoId] ??= { insumoId: m.insumoId, nombre: insumo?.nombre || null, unidad: insumo?.unidad || null, cantidad: 0 };
+                    consumo[m.insumoId].cantidad += m.cantidad;
+                });
+
+            filas.push({
+                area: { id: area.id, nombre: area.nombre },
+                empleados: empleados.length,
+                tareasPorEstado,
+                consumoInsumos: Object.values(consumo)
+            });
+        }
+
+        return {
+            success: true,
+            data: filas
+        };
+    }
+}
+
+// Exportar instancia singleton
+const areaService = new AreaService();
+export default areaService;
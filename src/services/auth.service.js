@@ -1,6 +1,10 @@
 import databaseService from './database.service.js';
+import bloqueoService from './bloqueo.service.js';
+import mfaService from './mfa.service.js';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
+import ms from 'ms';
+import crypto from 'crypto';
 
 /**
  * Servicio de Autenticación
@@ -9,47 +13,143 @@ import jwt from 'jsonwebtoken';
 class AuthService {
     constructor() {
         this.databaseService = databaseService;
-        this.sesionesActivas = new Map(); // Simulación de sesiones en memoria
+        this.bloqueoService = bloqueoService;
+        this.mfaService = mfaService;
+        this.sesionesActivas = new Map(); // Sesiones en memoria, indexadas por familia de tokens
         
-        // Configuración JWT
+        // Configuración JWT (access token de vida corta)
         this.jwtSecret = process.env.JWT_SECRET || 'tu-clave-secreta-super-segura-cambiala-en-produccion';
-        this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '24h';
+        this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+
+        // Configuración de refresh tokens (opacos, rotativos y guardados como hash)
+        this.refreshExpiresIn = process.env.REFRESH_EXPIRES_IN || '7d';
+
+        // Configuración de tickets de login pendiente de segundo factor
+        this.mfaTicketSecret = `${this.jwtSecret}:mfa`; // Distinto al de los access tokens
+        this.mfaTicketExpiresIn = process.env.MFA_TICKET_EXPIRES_IN || '5m';
+        this.mfaMaxIntentos = 5;
+        this.intentosTicketMfa = new Map(); // jti del ticket -> códigos fallidos
+
+        // Hash ficticio para igualar tiempos cuando el usuario no existe
+        this.hashFicticio = null;
+    }
+
+    /**
+     * Obtiene (generándolo una sola vez) un hash bcrypt contra el que comparar
+     * cuando no hay un hash real, para que todo fallo tarde lo mismo
+     * @returns {Promise<string>} Hash bcrypt ficticio
+     */
+    async obtenerHashFicticio() {
+        if (!this.hashFicticio) {
+            this.hashFicticio = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), 10);
+        }
+        return this.hashFicticio;
+    }
+
+    /**
+     * Indica si un valor tiene formato de hash bcrypt
+     * @param {string} valor - Valor a verificar
+     * @returns {boolean} True si es un hash bcrypt
+     */
+    esHashBcrypt(valor) {
+        return typeof valor === 'string' && /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/.test(valor);
+    }
+
+    /**
+     * Indica si la cuenta está habilitada (las cuentas anteriores al campo 'activo' lo están)
+     * @param {Object} usuario - Registro de usuario
+     * @returns {boolean} True si puede iniciar sesión
+     */
+    estaActivo(usuario) {
+        return usuario?.activo !== false;
+    }
+
+    /**
+     * Datos del usuario que se pueden enviar al cliente
+     * @param {Object} usuario - Usuario (o usuario completo)
+     * @returns {Object} Usuario sin hash de contraseña, historial ni secretos del segundo factor
+     */
+    datosPublicos(usuario) {
+        const { password, historialPasswords, mfa, ...publicos } = usuario;
+        return { ...publicos, mfaActivo: Boolean(mfa?.activo) };
     }
 
     /**
-     * Autentica un usuario con credenciales
+     * Autentica un usuario con credenciales.
+     * Todos los fallos (usuario inexistente o deshabilitado, contraseña incorrecta o bloqueo)
+     * devuelven la misma respuesta y tardan aproximadamente lo mismo.
      * @param {string} usuario - Nombre de usuario
      * @param {string} password - Contraseña
+     * @param {Object} contexto - Datos del cliente ({ ip, userAgent })
      * @returns {Object} Resultado de la autenticación
      */
-    async autenticarUsuario(usuario, password) {
+    async autenticarUsuario(usuario, password, contexto = {}) {
+        const ip = contexto.ip || 'desconocida';
+        const credencialesInvalidas = {
+            success: false,
+            message: 'Credenciales inválidas',
+            code: 'INVALID_CREDENTIALS'
+        };
+
         try {
-            // Paso 1: Buscar usuario por nombre de usuario
-            const usuarioEncontrado = await this.databaseService.getUsuarioByUsername(usuario);
-            
-            if (!usuarioEncontrado) {
-                return {
-                    success: false,
-                    message: 'Credenciales inválidas',
-                    code: 'USER_NOT_FOUND'
-                };
+            // Paso 1: Demora progresiva según los fallos previos del usuario y la IP
+            const demora = this.bloqueoService.calcularDemora(usuario, ip);
+            if (demora > 0) {
+                await new Promise(resolve => setTimeout(resolve, demora));
             }
 
-            // Paso 2: Verificar contraseña usando bcrypt
-            const passwordValida = await bcrypt.compare(password, usuarioEncontrado.password);
-            if (!passwordValida) {
-                return {
-                    success: false,
-                    message: 'Contraseña incorrecta',
-                    code: 'INVALID_PASSWORD'
-                };
+            // Credenciales que no son texto (por ejemplo, un objeto en el JSON) fallan y se
+            // cuentan como cualquier otro intento; bcrypt lanzaría un error con ellas
+            const credencialesTexto = typeof usuario === 'string' && typeof password === 'string';
+
+            // Paso 2: Buscar usuario por nombre de usuario (sin revelar si existe)
+            let usuarioEncontrado = null;
+            try {
+                usuarioEncontrado = credencialesTexto ? await this.databaseService.getUsuarioByUsername(usuario) : null;
+            } catch (error) {
+                usuarioEncontrado = null;
+            }
+
+            // Paso 3: Verificar contraseña usando bcrypt (siempre se compara contra algún hash)
+            const tieneHashReal = this.esHashBcrypt(usuarioEncontrado?.password);
+            const hash = tieneHashReal ? usuarioEncontrado.password : await this.obtenerHashFicticio();
+            const passwordValida = await bcrypt.compare(credencialesTexto ? password : '', hash) && tieneHashReal;
+
+            // Un usuario o IP bloqueados no pueden ingresar aunque la contraseña sea correcta
+            if (this.bloqueoService.estaBloqueado(usuario, ip)) {
+                return credencialesInvalidas;
+            }
+
+            if (!usuarioEncontrado || !passwordValida) {
+                this.bloqueoService.registrarFallo(usuario, ip);
+                return credencialesInvalidas;
+            }
+
+            if (!this.estaActivo(usuarioEncontrado)) {
+                return credencialesInvalidas;
             }
 
-            // Paso 3: Obtener información completa del usuario
+            this.bloqueoService.registrarExito(usuario);
+
+            // Paso 4: Obtener información completa del usuario
             const usuarioCompleto = await this.databaseService.getUsuarioCompleto(usuarioEncontrado.id);
 
-            // Paso 4: Crear sesión
-            const sesion = this.crearSesion(usuarioCompleto);
+            // Paso 5: Si corresponde segundo factor, devolver un ticket en lugar de la sesión
+            if (this.mfaService.requiereMfa(usuarioCompleto)) {
+                return {
+                    success: true,
+                    message: 'Se requiere el segundo factor de autenticación',
+                    code: 'MFA_REQUIRED',
+                    data: {
+                        mfaPendiente: true,
+                        ticket: this.emitirTicketMfa(usuarioCompleto),
+                        enrolamientoRequerido: !usuarioCompleto.mfa?.activo
+                    }
+                };
+            }
+
+            // Paso 6: Crear sesión
+            const sesion = await this.crearSesion(usuarioCompleto, null, contexto);
 
             return {
                 success: true,
@@ -75,12 +175,13 @@ class AuthService {
      * Autentica específicamente un administrador
      * @param {string} usuario - Nombre de usuario
      * @param {string} password - Contraseña
+     * @param {Object} contexto - Datos del cliente ({ ip, userAgent })
      * @returns {Object} Resultado de la autenticación
      */
-    async autenticarAdmin(usuario, password) {
-        const resultado = await this.autenticarUsuario(usuario, password);
+    async autenticarAdmin(usuario, password, contexto) {
+        const resultado = await this.autenticarUsuario(usuario, password, contexto);
         
-        if (!resultado.success) {
+        if (!resultado.success || resultado.data.mfaPendiente) {
             return resultado;
         }
 
@@ -97,12 +198,156 @@ class AuthService {
     }
 
     /**
-     * Verifica si un usuario es administrador
+     * Emite un ticket de login pendiente de segundo factor
+     * (JWT firmado con otra clave, no sirve como access token)
+     * @param {Object} usuario - Usuario que ya validó su contraseña
+     * @returns {string} Ticket
+     */
+    emitirTicketMfa(usuario) {
+        return jwt.sign({
+            id: usuario.id,
+            usuario: usuario.usuario,
+            tipo: 'mfa_pendiente'
+        }, this.mfaTicketSecret, {
+            expiresIn: this.mfaTicketExpiresIn,
+            issuer: 'backend-ifts',
+            subject: usuario.id.toString(),
+            jwtid: crypto.randomUUID()
+        });
+    }
+
+    /**
+     * Valida un ticket de login pendiente de segundo factor
+     * @param {string} ticket - Ticket emitido por emitirTicketMfa
+     * @returns {Promise<Object|null>} Payload del ticket o null si es inválido o ya se usó
+     */
+    async validarTicketMfa(ticket) {
+        let decoded;
+        try {
+            decoded = jwt.verify(ticket, this.mfaTicketSecret);
+        } catch (error) {
+            return null;
+        }
+
+        if (decoded.tipo !== 'mfa_pendiente' || await this.estaRevocado(decoded)) {
+            return null;
+        }
+        return decoded;
+    }
+
+    /**
+     * Inicia el enrolamiento TOTP durante el login (roles con segundo factor obligatorio)
+     * @param {string} ticket - Ticket de login pendiente
+     * @returns {Promise<Object>} Resultado con secreto y URI de aprovisionamiento
+     */
+    async iniciarEnrolamientoMfa(ticket) {
+        const payload = await this.validarTicketMfa(ticket);
+        if (!payload) {
+            return {
+                success: false,
+                message: 'Ticket inválido o expirado, inicie sesión nuevamente',
+                code: 'INVALID_MFA_TICKET'
+            };
+        }
+
+        const usuario = await this.databaseService.getUsuarioById(payload.id);
+        if (usuario.mfa?.activo) {
+            return {
+                success: false,
+                message: 'El segundo factor ya está activo para este usuario',
+                code: 'MFA_ALREADY_ACTIVE'
+            };
+        }
+
+        return {
+            success: true,
+            message: 'Escanee el secreto con su aplicación autenticadora',
+            data: await this.mfaService.iniciarEnrolamiento(usuario.id)
+        };
+    }
+
+    /**
+     * Segundo paso del login: canjea el ticket y un código TOTP (o de recuperación)
+     * por la sesión. Si el usuario estaba enrolándose, el código confirma el enrolamiento.
+     * @param {string} ticket - Ticket de login pendiente
+     * @param {string} codigo - Código TOTP o de recuperación
+     * @param {Object} contexto - Datos del cliente ({ ip, userAgent })
+     * @returns {Promise<Object>} Resultado de la autenticación
+     */
+    async completarLoginMfa(ticket, codigo, contexto = {}) {
+        const payload = await this.validarTicketMfa(ticket);
+        if (!payload) {
+            return {
+                success: false,
+                message: 'Ticket inválido o expirado, inicie sesión nuevamente',
+                code: 'INVALID_MFA_TICKET'
+            };
+        }
+
+        const usuario = await this.databaseService.getUsuarioById(payload.id);
+        let codigosRecuperacion = null;
+        let valido;
+        if (usuario.mfa?.activo) {
+            valido = await this.mfaService.verificarSegundoFactor(usuario.id, codigo) !== null;
+        } else {
+            codigosRecuperacion = await this.mfaService.activar(usuario.id, codigo);
+            valido = codigosRecuperacion !== null;
+        }
+
+        if (!valido) {
+            this.bloqueoService.registrarFallo(payload.usuario, contexto.ip || 'desconocida');
+
+            // Demasiados códigos incorrectos invalidan el ticket
+            const intentos = (this.intentosTicketMfa.get(payload.jti) || 0) + 1;
+            this.intentosTicketMfa.set(payload.jti, intentos);
+            if (intentos >= this.mfaMaxIntentos) {
+                this.intentosTicketMfa.delete(payload.jti);
+                await this.revocarToken(payload, 'mfa_intentos_agotados');
+            }
+
+            return {
+                success: false,
+                message: 'Código de verificación inválido',
+                code: 'INVALID_MFA_CODE'
+            };
+        }
+
+        // El ticket es de un solo uso
+        this.intentosTicketMfa.delete(payload.jti);
+        await this.revocarToken(payload, 'mfa_ticket_usado');
+
+        // La cuenta pudo deshabilitarse mientras el ticket estaba pendiente
+        if (!this.estaActivo(usuario)) {
+            return {
+                success: false,
+                message: 'Ticket inválido o expirado, inicie sesión nuevamente',
+                code: 'INVALID_MFA_TICKET'
+            };
+        }
+
+        const usuarioCompleto = await this.databaseService.getUsuarioCompleto(usuario.id);
+        const sesion = await this.crearSesion(usuarioCompleto, null, contexto);
+
+        return {
+            success: true,
+            message: 'Autenticación exitosa',
+            data: {
+                usuario: usuarioCompleto,
+                sesion: sesion,
+                permisos: usuarioCompleto.rol?.permisos || [],
+                codigosRecuperacion
+            }
+        };
+    }
+
+    /**
+     * Verifica si un usuario es administrador (su rol puede administrar usuarios,
+     * sin depender del nombre del rol)
      * @param {Object} usuario - Objeto usuario completo
      * @returns {boolean} True si es administrador
      */
     esAdministrador(usuario) {
-        return usuario.rol && usuario.rol.nombre === 'admin';
+        return this.tienePermiso(usuario, 'gestionar_usuarios');
     }
 
     /**
@@ -121,17 +366,23 @@ class AuthService {
 
 
     /**
-     * Crea una sesión para el usuario usando JWT
+     * Crea una sesión para el usuario: access token JWT de vida corta
+     * más un refresh token opaco de la misma familia
      * @param {Object} usuario - Usuario autenticado
-     * @returns {Object} Datos de sesión con JWT token
+     * @param {string|null} familia - Familia de tokens a continuar (al renovar) o null para una nueva
+     * @param {Object} contexto - Datos del cliente ({ ip, userAgent, sesionIniciadaEn })
+     * @returns {Promise<Object>} Datos de sesión con JWT token y refresh token
      */
-    crearSesion(usuario) {
-        // Payload del JWT
+    async crearSesion(usuario, familia = null, contexto = {}) {
+        const familiaSesion = familia || crypto.randomUUID();
+
+        // Payload del JWT (sin rol ni permisos: se leen del rol en cada request,
+        // así los cambios de rol alcanzan a las sesiones ya abiertas)
         const payload = {
             id: usuario.id,
             usuario: usuario.usuario,
-            rol: usuario.rol?.nombre,
-            permisos: usuario.rol?.permisos || [],
+            fam: familiaSesion, // Familia de tokens (una por inicio de sesión)
+            emitidoEnMs: Date.now(), // Momento exacto de emisión (iat solo tiene segundos)
             iat: Math.floor(Date.now() / 1000) // Issued at
         };
 
@@ -139,23 +390,32 @@ class AuthService {
         const token = jwt.sign(payload, this.jwtSecret, { 
             expiresIn: this.jwtExpiresIn,
             issuer: 'backend-ifts',
-            subject: usuario.id.toString()
+            subject: usuario.id.toString(),
+            jwtid: crypto.randomUUID() // Identificador único para poder revocarlo
+        });
+        const { exp } = jwt.decode(token);
+
+        // Emitir el refresh token que permitirá renovar el access token
+        const fechaCreacion = contexto.sesionIniciadaEn ? new Date(contexto.sesionIniciadaEn) : new Date();
+        const refresh = await this.emitirRefreshToken(usuario.id, familiaSesion, {
+            ...contexto,
+            sesionIniciadaEn: fechaCreacion
         });
 
-        // Crear sesión en memoria para tracking (opcional)
-        const sesion = {
-            id: token,
+        // Crear sesión en memoria para tracking (se conserva al renovar)
+        const sesion = this.sesionesActivas.get(familiaSesion) || {
+            id: familiaSesion,
             usuarioId: usuario.id,
             usuario: usuario.usuario,
-            rol: usuario.rol?.nombre,
-            permisos: usuario.rol?.permisos || [],
-            fechaCreacion: new Date(),
-            ultimaActividad: new Date(),
+            fechaCreacion,
             activa: true
         };
+        sesion.ip = contexto.ip || sesion.ip || null;
+        sesion.userAgent = contexto.userAgent || sesion.userAgent || null;
+        sesion.ultimaActividad = new Date();
 
         // Guardar sesión en memoria para tracking
-        this.sesionesActivas.set(token, sesion);
+        this.sesionesActivas.set(familiaSesion, sesion);
 
         return {
             token: token,
@@ -168,39 +428,278 @@ class AuthService {
             },
             permisos: usuario.rol?.permisos || [],
             fechaCreacion: sesion.fechaCreacion,
-            expiresIn: this.jwtExpiresIn
+            expiresIn: this.jwtExpiresIn,
+            expiraEn: new Date(exp * 1000),
+            refreshToken: refresh.refreshToken,
+            refreshExpiresIn: this.refreshExpiresIn,
+            refreshExpiraEn: refresh.expiraEn
+        };
+    }
+
+    /**
+     * Genera y persiste (hasheado) un refresh token opaco
+     * @param {number} usuarioId - ID del usuario
+     * @param {string} familia - Familia de tokens a la que pertenece
+     * @param {Object} contexto - Datos del cliente ({ ip, userAgent, sesionIniciadaEn })
+     * @returns {Promise<Object>} Refresh token en claro y su expiración
+     */
+    async emitirRefreshToken(usuarioId, familia, contexto = {}) {
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        const expiraEn = new Date(Date.now() + ms(this.refreshExpiresIn));
+
+        await this.databaseService.createRefreshToken({
+            tokenHash: this.hashRefreshToken(refreshToken),
+            usuarioId,
+            familia,
+            expiraEn: expiraEn.toISOString(),
+            ip: contexto.ip || null,
+            userAgent: contexto.userAgent || null,
+            sesionIniciadaEn: (contexto.sesionIniciadaEn || new Date()).toISOString()
+        });
+
+        return { refreshToken, expiraEn };
+    }
+
+    /**
+     * Calcula el hash con el que se guarda un refresh token
+     * @param {string} refreshToken - Refresh token en claro
+     * @returns {string} Hash SHA-256 en hexadecimal
+     */
+    hashRefreshToken(refreshToken) {
+        return crypto.createHash('sha256').update(refreshToken).digest('hex');
+    }
+
+    /**
+     * Intercambia un refresh token por un nuevo par de tokens (rotación).
+     * Si el refresh token ya había sido rotado se considera robado y
+     * se revoca toda su familia.
+     * @param {string} refreshToken - Refresh token en claro
+     * @param {Object} contexto - Datos del cliente ({ ip, userAgent })
+     * @returns {Promise<Object>} Resultado de la renovación
+     */
+    async refrescarSesion(refreshToken, contexto = {}) {
+        const invalido = {
+            success: false,
+            message: 'Refresh token inválido o expirado',
+            code: 'INVALID_REFRESH_TOKEN'
+        };
+
+        // Leer el token y marcarlo como usado en una sola transacción: de dos renovaciones
+        // simultáneas con el mismo token, la segunda lo ve usado
+        let registro;
+        try {
+            registro = await this.databaseService.transaction(async (tx) => {
+                const leido = await tx.getRefreshTokenByHash(this.hashRefreshToken(refreshToken));
+                if (!leido.revocado && !leido.usadoEn && new Date(leido.expiraEn) > new Date()) {
+                    await tx.updateRefreshToken(leido.id, { usadoEn: new Date().toISOString() });
+                }
+                return leido;
+            });
+        } catch (error) {
+            return invalido;
+        }
+
+        if (registro.revocado || new Date(registro.expiraEn) <= new Date()) {
+            return invalido;
+        }
+
+        // Reutilización de un refresh token ya rotado: revocar toda la familia
+        if (registro.usadoEn) {
+            await this.revocarFamilia(registro.familia, registro.usuarioId, 'reutilizacion_refresh_token');
+            return {
+                success: false,
+                message: 'Refresh token reutilizado: la sesión fue revocada',
+                code: 'REFRESH_TOKEN_REUSED'
+            };
+        }
+
+        let usuarioCompleto;
+        try {
+            usuarioCompleto = await this.databaseService.getUsuarioCompleto(registro.usuarioId);
+        } catch (error) {
+            await this.revocarFamilia(registro.familia, registro.usuarioId, 'usuario_inexistente');
+            return invalido;
+        }
+
+        if (!this.estaActivo(usuarioCompleto)) {
+            await this.revocarFamilia(registro.familia, registro.usuarioId, 'usuario_deshabilitado');
+            return invalido;
+        }
+
+        const sesion = await this.crearSesion(usuarioCompleto, registro.familia, {
+            ...contexto,
+            sesionIniciadaEn: registro.sesionIniciadaEn || registro.creadoEn
+        });
+
+        return {
+            success: true,
+            message: 'Sesión renovada',
+            data: {
+                usuario: usuarioCompleto,
+                sesion: sesion,
+                permisos: usuarioCompleto.rol?.permisos || []
+            }
+        };
+    }
+
+    /**
+     * Revoca una familia de tokens: sus refresh tokens y los access tokens emitidos con ella
+     * @param {string} familia - Familia de tokens
+     * @param {number} usuarioId - ID del usuario dueño de la familia
+     * @param {string} motivo - Motivo de la revocación
+     */
+    async revocarFamilia(familia, usuarioId, motivo) {
+        await this.databaseService.transaction(async (tx) => {
+            await tx.revocarRefreshTokensFamilia(familia);
+            await tx.createTokenRevocado({
+                familia,
+                usuarioId,
+                expiraEn: new Date(Date.now() + ms(this.jwtExpiresIn)).toISOString(),
+                motivo
+            });
+        });
+        this.sesionesActivas.delete(familia);
+    }
+
+    /**
+     * Obtiene la información del refresh token vigente de una familia
+     * @param {string} familia - Familia de tokens
+     * @returns {Promise<Object|null>} Fechas de emisión y expiración, o null si no hay uno vigente
+     */
+    async obtenerInfoRefreshToken(familia) {
+        if (!familia) {
+            return null;
+        }
+        const tokens = await this.databaseService.getRefreshTokensByFamilia(familia);
+        const vigente = tokens.find(t => !t.usadoEn && !t.revocado && new Date(t.expiraEn) > new Date());
+        if (!vigente) {
+            return null;
+        }
+        return {
+            issuedAt: new Date(vigente.creadoEn),
+            expiresAt: new Date(vigente.expiraEn)
         };
     }
 
     /**
-     * Valida un JWT token
+     * Valida un JWT token (firma, expiración y lista de revocados)
      * @param {string} token - JWT token a validar
-     * @returns {Object|null} Payload del token o null si es inválido
+     * @returns {Promise<Object|null>} Payload del token o null si es inválido
      */
-    validarToken(token) {
+    async validarToken(token) {
+        let decoded;
         try {
-            const decoded = jwt.verify(token, this.jwtSecret);
-            return decoded;
+            decoded = jwt.verify(token, this.jwtSecret);
         } catch (error) {
             console.error('Error validando JWT token:', error.message);
             return null;
         }
+
+        // Tokens emitidos sin jti no pueden revocarse, se rechazan
+        if (!decoded.jti || await this.estaRevocado(decoded)) {
+            return null;
+        }
+        return decoded;
+    }
+
+    /**
+     * Verifica si un token fue revocado, ya sea individualmente (por jti),
+     * por su familia o por una revocación de todas las sesiones de su usuario
+     * @param {Object} payload - Payload del JWT
+     * @returns {Promise<boolean>} True si el token está revocado
+     */
+    async estaRevocado(payload) {
+        const revocados = await this.databaseService.getRevocacionesAplicables(payload.jti, payload.fam, payload.id);
+        return revocados.some(revocacion => {
+            if (revocacion.jti) {
+                return revocacion.jti === payload.jti;
+            }
+            if (revocacion.familia) {
+                return revocacion.familia === payload.fam;
+            }
+            const emitidoEn = payload.emitidoEnMs ?? payload.iat * 1000;
+            return revocacion.usuarioId === payload.id &&
+                emitidoEn < new Date(revocacion.revocadoEn).getTime();
+        });
+    }
+
+    /**
+     * Agrega un token a la lista de revocados hasta su expiración
+     * @param {Object} payload - Payload del JWT a revocar
+     * @param {string} motivo - Motivo de la revocación
+     */
+    async revocarToken(payload, motivo = 'logout') {
+        await this.databaseService.createTokenRevocado({
+            jti: payload.jti,
+            usuarioId: payload.id,
+            expiraEn: new Date(payload.exp * 1000).toISOString(),
+            motivo
+        });
+        await this.limpiarRevocacionesExpiradas();
+    }
+
+    /**
+     * Revoca todas las sesiones emitidas hasta ahora para un usuario
+     * (por ejemplo, cuando un empleado deja la institución)
+     * @param {number} usuarioId - ID del usuario
+     * @param {string} motivo - Motivo de la revocación
+     * @returns {Promise<number>} Cantidad de sesiones vigentes cerradas
+     */
+    async revocarSesionesUsuario(usuarioId, motivo = 'revocacion_administrativa') {
+        const id = parseInt(usuarioId);
+        const vigentes = await this.listarSesiones({ usuarioId: id });
+
+        // La revocación dura lo mismo que el access token más largo que pudo emitirse
+        await this.databaseService.transaction(async (tx) => {
+            await tx.createTokenRevocado({
+                usuarioId: id,
+                expiraEn: new Date(Date.now() + ms(this.jwtExpiresIn)).toISOString(),
+                motivo
+            });
+            await tx.revocarRefreshTokensUsuario(id);
+        });
+
+        for (const [sessionId, sesion] of this.sesionesActivas) {
+            if (sesion.usuarioId === id) {
+                this.sesionesActivas.delete(sessionId);
+            }
+        }
+
+        await this.limpiarRevocacionesExpiradas();
+        return vigentes.length;
+    }
+
+    /**
+     * Elimina de la lista de revocados los tokens que ya expiraron
+     * @returns {Promise<number>} Cantidad de revocaciones eliminadas
+     */
+    async limpiarRevocacionesExpiradas() {
+        return await this.databaseService.deleteTokensRevocadosExpirados();
+    }
+
+    /**
+     * Elimina los refresh tokens expirados (hasta entonces se conservan
+     * los ya rotados para poder detectar su reutilización)
+     * @returns {Promise<number>} Cantidad de refresh tokens eliminados
+     */
+    async limpiarRefreshTokensExpirados() {
+        return await this.databaseService.deleteRefreshTokensExpirados();
     }
 
     /**
      * Obtiene una sesión activa usando JWT
      * @param {string} sessionId - JWT token
-     * @returns {Object|null} Datos de sesión o null si no existe
+     * @returns {Promise<Object|null>} Datos de sesión o null si no existe
      */
-    obtenerSesion(sessionId) {
-        // Primero validar el JWT token
-        const payload = this.validarToken(sessionId);
+    async obtenerSesion(sessionId) {
+        // Primero validar el JWT token (incluye la lista de revocados)
+        const payload = await this.validarToken(sessionId);
         if (!payload) {
             return null;
         }
 
         // Verificar si la sesión existe en memoria (opcional)
-        const sesion = this.sesionesActivas.get(sessionId);
+        const sesion = this.sesionesActivas.get(payload.fam);
         if (sesion && sesion.activa) {
             // Actualizar última actividad
             sesion.ultimaActividad = new Date();
@@ -209,44 +708,53 @@ class AuthService {
 
         // Si no existe en memoria pero el token es válido, recrear sesión
         const sesionRecreada = {
-            id: sessionId,
+            id: payload.fam,
             usuarioId: payload.id,
             usuario: payload.usuario,
-            rol: payload.rol,
-            permisos: payload.permisos || [],
             fechaCreacion: new Date(payload.iat * 1000),
             ultimaActividad: new Date(),
             activa: true
         };
 
-        this.sesionesActivas.set(sessionId, sesionRecreada);
+        this.sesionesActivas.set(payload.fam, sesionRecreada);
         return sesionRecreada;
     }
 
     /**
-     * Cierra una sesión JWT
-     * @param {string} sessionId - JWT token
-     * @returns {boolean} True si se cerró exitosamente
+     * Cierra una sesión: revoca toda su familia (access tokens y refresh tokens).
+     * La sesión se identifica por el access token, aunque ya haya expirado (basta con
+     * que la firma sea válida), o por el refresh token
+     * @param {string|null} sessionId - JWT token
+     * @param {string|null} refreshToken - Refresh token en claro
+     * @returns {Promise<boolean>} True si se cerró alguna sesión
      */
-    cerrarSesion(sessionId) {
-        // Validar que el token sea válido antes de cerrarlo
-        const payload = this.validarToken(sessionId);
-        if (!payload) {
-            return false;
+    async cerrarSesion(sessionId, refreshToken = null) {
+        const familias = new Map(); // familia → usuarioId
+
+        if (sessionId) {
+            try {
+                const payload = jwt.verify(sessionId, this.jwtSecret, { ignoreExpiration: true });
+                if (payload.fam) {
+                    familias.set(payload.fam, payload.id);
+                }
+            } catch (error) {
+                // Firma inválida: el token no identifica ninguna sesión
+            }
         }
 
-        // Remover de sesiones activas en memoria
-        const sesion = this.sesionesActivas.get(sessionId);
-        if (sesion) {
-            sesion.activa = false;
-            this.sesionesActivas.delete(sessionId);
+        if (refreshToken) {
+            try {
+                const registro = await this.databaseService.getRefreshTokenByHash(this.hashRefreshToken(refreshToken));
+                familias.set(registro.familia, registro.usuarioId);
+            } catch (error) {
+                // Refresh token desconocido
+            }
         }
 
-        // Nota: Con JWT no podemos "invalidar" el token del lado del servidor
-        // sin mantener una blacklist. El token seguirá siendo válido hasta su expiración.
-        // Para invalidación inmediata, se necesitaría implementar una blacklist en Redis/DB.
-        
-        return true;
+        for (const [familia, usuarioId] of familias) {
+            await this.revocarFamilia(familia, usuarioId, 'logout');
+        }
+        return familias.size > 0;
     }
 
     /**
@@ -256,7 +764,7 @@ class AuthService {
      */
     async obtenerUsuarioActual(sessionId) {
         // Validar JWT token directamente
-        const payload = this.validarToken(sessionId);
+        const payload = await this.validarToken(sessionId);
         if (!payload) {
             return null;
         }
@@ -266,10 +774,11 @@ class AuthService {
             const usuario = await this.databaseService.getUsuarioCompleto(payload.id);
             
             // Verificar que el usuario aún existe y está activo
-            if (!usuario) {
+            if (!usuario || !this.estaActivo(usuario)) {
                 return null;
             }
 
+            this.registrarActividad(payload, usuario);
             return usuario;
         } catch (error) {
             console.error('Error obteniendo usuario actual:', error);
@@ -286,35 +795,121 @@ class AuthService {
     }
 
     /**
-     * Limpia sesiones expiradas (llamar periódicamente)
-     * @param {number} tiempoExpiracion - Tiempo en milisegundos (default: 24 horas)
+     * Actualiza la última actividad de la sesión en memoria del token
+     * (la recrea si el servidor se reinició)
+     * @param {Object} payload - Payload del JWT
+     * @param {Object} usuario - Usuario completo
+     */
+    registrarActividad(payload, usuario) {
+        if (!payload.fam) {
+            return;
+        }
+        const sesion = this.sesionesActivas.get(payload.fam) || {
+            id: payload.fam,
+            usuarioId: usuario.id,
+            usuario: usuario.usuario,
+            fechaCreacion: new Date(payload.iat * 1000),
+            activa: true
+        };
+        sesion.ultimaActividad = new Date();
+        this.sesionesActivas.set(payload.fam, sesion);
+    }
+
+    /**
+     * Lista las sesiones vigentes (familias con un refresh token sin usar ni revocar)
+     * @param {Object} filtro - Filtro opcional ({ usuarioId })
+     * @returns {Promise<Array<Object>>} Sesiones con IP, user agent y última actividad
+     */
+    async listarSesiones(filtro = {}) {
+        const ahora = new Date();
+        const refreshTokens = await this.databaseService.getAllRefreshTokens();
+        const usuarios = await this.databaseService.getAllUsuarios();
+        const roles = await this.databaseService.getAllRoles();
+
+        return refreshTokens
+            .filter(t => !t.usadoEn && !t.revocado && new Date(t.expiraEn) > ahora)
+            .filter(t => !filtro.usuarioId || t.usuarioId === parseInt(filtro.usuarioId))
+            .map(t => {
+                const enMemoria = this.sesionesActivas.get(t.familia);
+                const usuario = usuarios.find(u => u.id === t.usuarioId);
+                const rol = roles.find(r => r.id === usuario?.rolId);
+                const ultimaRenovacion = new Date(t.creadoEn);
+
+                return {
+                    id: t.familia,
+                    usuarioId: t.usuarioId,
+                    usuario: usuario?.usuario || null,
+                    rol: rol?.nombre || null,
+                    ip: t.ip || enMemoria?.ip || null,
+                    userAgent: t.userAgent || enMemoria?.userAgent || null,
+                    creadaEn: new Date(t.sesionIniciadaEn || t.creadoEn),
+                    ultimaActividad: enMemoria?.ultimaActividad > ultimaRenovacion
+                        ? enMemoria.ultimaActividad
+                        : ultimaRenovacion,
+                    expiraEn: new Date(t.expiraEn)
+                };
+            })
+            .sort((a, b) => b.ultimaActividad - a.ultimaActividad);
+    }
+
+    /**
+     * Revoca una sesión puntual (familia de tokens)
+     * @param {string} sesionId - ID de la sesión (familia)
+     * @param {number|null} usuarioId - Si se indica, la sesión debe pertenecer a este usuario
+     * @param {string} motivo - Motivo de la revocación
+     * @returns {Promise<boolean>} True si la sesión estaba vigente y fue revocada
      */
-    limpiarSesionesExpiradas(tiempoExpiracion = 24 * 60 * 60 * 1000) {
+    async revocarSesion(sesionId, usuarioId = null, motivo = 'revocacion_sesion') {
+        const tokens = await this.databaseService.getRefreshTokensByFamilia(sesionId);
+        const vigente = tokens.find(t => !t.usadoEn && !t.revocado && new Date(t.expiraEn) > new Date());
+        if (!vigente) {
+            return false;
+        }
+        if (usuarioId !== null && vigente.usuarioId !== parseInt(usuarioId)) {
+            return false;
+        }
+
+        await this.revocarFamilia(sesionId, vigente.usuarioId, motivo);
+        return true;
+    }
+
+    /**
+     * Limpia sesiones expiradas (llamar periódicamente): las inactivas en memoria
+     * y las que ya no tienen un refresh token vigente
+     * @param {number} tiempoExpiracion - Tiempo de inactividad en milisegundos (default: 24 horas)
+     * @returns {Promise<number>} Cantidad de sesiones eliminadas de memoria
+     */
+    async limpiarSesionesExpiradas(tiempoExpiracion = 24 * 60 * 60 * 1000) {
         const ahora = new Date();
+        const vigentes = new Set((await this.listarSesiones()).map(sesion => sesion.id));
+
+        let eliminadas = 0;
         for (const [sessionId, sesion] of this.sesionesActivas) {
             const tiempoInactivo = ahora - sesion.ultimaActividad;
-            if (tiempoInactivo > tiempoExpiracion) {
+            if (tiempoInactivo > tiempoExpiracion || !vigentes.has(sessionId)) {
                 this.sesionesActivas.delete(sessionId);
+                eliminadas++;
             }
         }
+        return eliminadas;
     }
 
     /**
      * Obtiene estadísticas de sesiones activas
-     * @returns {Object} Estadísticas
+     * @returns {Promise<Object>} Estadísticas
      */
-    obtenerEstadisticasSesiones() {
-        const sesionesActivas = Array.from(this.sesionesActivas.values())
-            .filter(sesion => sesion.activa);
+    async obtenerEstadisticasSesiones() {
+        const sesionesActivas = await this.listarSesiones();
 
         return {
             total: sesionesActivas.length,
+            usuariosConectados: new Set(sesionesActivas.map(sesion => sesion.usuarioId)).size,
             porRol: sesionesActivas.reduce((acc, sesion) => {
                 acc[sesion.rol] = (acc[sesion.rol] || 0) + 1;
                 return acc;
             }, {}),
             ultimaHora: sesionesActivas.filter(sesion => 
-                (new Date() - sesion.fechaCreacion) < 60 * 60 * 1000
+                (new Date() - sesion.creadaEn) < 60 * 60 * 1000
             ).length
         };
     }
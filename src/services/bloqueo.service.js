@@ -0,0 +1,180 @@
+/**
+ * Servicio de Bloqueo de Inicio de Sesión
+ * Cuenta los intentos fallidos de login por nombre de usuario y por IP,
+ * aplica demoras progresivas y bloqueos temporales contra fuerza bruta
+ */
+class BloqueoService {
+    constructor() {
+        // Intentos fallidos en memoria, indexados por "tipo:valor"
+        this.intentos = new Map();
+
+        // Configuración (configurable por variables de entorno)
+        this.maxIntentosUsuario = parseInt(process.env.LOGIN_MAX_INTENTOS) || 5;
+        this.maxIntentosIp = parseInt(process.env.LOGIN_MAX_INTENTOS_IP) || 20;
+        this.duracionBloqueoMs = (parseInt(process.env.LOGIN_BLOQUEO_MINUTOS) || 15) * 60 * 1000;
+        this.ventanaMs = (parseInt(process.env.LOGIN_VENTANA_MINUTOS) || 15) * 60 * 1000;
+        this.demoraBaseMs = parseInt(process.env.LOGIN_DEMORA_BASE_MS) || 250;
+        this.demoraMaximaMs = parseInt(process.env.LOGIN_DEMORA_MAXIMA_MS) || 5000;
+    }
+
+    /**
+     * Genera la clave interna de un registro de intentos
+     * @param {string} tipo - 'usuario' o 'ip'
+     * @param {string} valor - Nombre de usuario o dirección IP
+     * @returns {string} Clave del registro
+     */
+    generarClave(tipo, valor) {
+        const valorNormalizado = tipo === 'usuario' ? String(valor).trim().toLowerCase() : String(valor);
+        return `${tipo}:${valorNormalizado}`;
+    }
+
+    /**
+     * Obtiene el registro vigente para un usuario o IP, descartándolo
+     * si la ventana de conteo y el bloqueo ya pasaron
+     * @param {string} tipo - 'usuario' o 'ip'
+     * @param {string} valor - Nombre de usuario o dirección IP
+     * @returns {Object|null} Registro de intentos o null
+     */
+    obtenerRegistro(tipo, valor) {
+        const clave = this.generarClave(tipo, valor);
+        const registro = this.intentos.get(clave);
+        if (!registro) {
+            return null;
+        }
+
+        if (this.estaVencido(registro)) {
+            this.intentos.delete(clave);
+            return null;
+        }
+        return registro;
+    }
+
+    /**
+     * Indica si un registro ya no aporta información (ventana y bloqueo vencidos)
+     * @param {Object} registro - Registro de intentos
+     * @returns {boolean} True si puede descartarse
+     */
+    estaVencido(registro) {
+        const ahora = Date.now();
+        const bloqueoVencido = !registro.bloqueadoHasta || registro.bloqueadoHasta <= ahora;
+        const ventanaVencida = ahora - registro.ultimoFallo > this.ventanaMs;
+        return bloqueoVencido && ventanaVencida;
+    }
+
+    /**
+     * Verifica si el usuario o la IP están bloqueados temporalmente
+     * @param {string} usuario - Nombre de usuario
+     * @param {string} ip - Dirección IP del cliente
+     * @returns {boolean} True si alguno de los dos está bloqueado
+     */
+    estaBloqueado(usuario, ip) {
+        const ahora = Date.now();
+        return [this.obtenerRegistro('usuario', usuario), this.obtenerRegistro('ip', ip)]
+            .some(registro => registro && registro.bloqueadoHasta && registro.bloqueadoHasta > ahora);
+    }
+
+    /**
+     * Calcula la demora progresiva a aplicar antes de verificar credenciales
+     * @param {string} usuario - Nombre de usuario
+     * @param {string} ip - Dirección IP del cliente
+     * @returns {number} Demora en milisegundos
+     */
+    calcularDemora(usuario, ip) {
+        const fallos = Math.max(
+            this.obtenerRegistro('usuario', usuario)?.fallos || 0,
+            this.obtenerRegistro('ip', ip)?.fallos || 0
+        );
+        if (fallos === 0) {
+            return 0;
+        }
+        return Math.min(this.demoraBaseMs * 2 ** (fallos - 1), this.demoraMaximaMs);
+    }
+
+    /**
+     * Registra un intento fallido para el usuario y la IP
+     * @param {string} usuario - Nombre de usuario
+     * @param {string} ip - Dirección IP del cliente
+     */
+    registrarFallo(usuario, ip) {
+        this.limpiarExpirados();
+        this.incrementar('usuario', usuario, this.maxIntentosUsuario);
+        this.incrementar('ip', ip, this.maxIntentosIp);
+    }
+
+    /**
+     * Incrementa el contador de un registro y lo bloquea al superar el umbral
+     * @param {string} tipo - 'usuario' o 'ip'
+     * @param {string} valor - Nombre de usuario o dirección IP
+     * @param {number} maxIntentos - Umbral de bloqueo
+     */
+    incrementar(tipo, valor, maxIntentos) {
+        const ahora = Date.now();
+        const registro = this.obtenerRegistro(tipo, valor) || {
+            tipo,
+            valor: tipo === 'usuario' ? String(valor).trim().toLowerCase() : String(valor),
+            fallos: 0,
+            primerFallo: ahora,
+            bloqueadoHasta: null
+        };
+
+        registro.fallos++;
+        registro.ultimoFallo = ahora;
+        if (registro.fallos >= maxIntentos) {
+            registro.bloqueadoHasta = ahora + this.duracionBloqueoMs;
+        }
+
+        this.intentos.set(this.generarClave(tipo, valor), registro);
+    }
+
+    /**
+     * Reinicia el contador del usuario tras un login exitoso
+     * (el de la IP se mantiene para no permitir reiniciarlo con una cuenta válida)
+     * @param {string} usuario - Nombre de usuario
+     */
+    registrarExito(usuario) {
+        this.intentos.delete(this.generarClave('usuario', usuario));
+    }
+
+    /**
+     * Lista los registros de intentos fallidos vigentes
+     * @returns {Array<Object>} Registros con su estado de bloqueo
+     */
+    listarBloqueos() {
+        this.limpiarExpirados();
+        const ahora = Date.now();
+        return Array.from(this.intentos.values()).map(registro => ({
+            tipo: registro.tipo,
+            valor: registro.valor,
+            fallos: registro.fallos,
+            primerFallo: new Date(registro.primerFallo),
+            ultimoFallo: new Date(registro.ultimoFallo),
+            bloqueado: Boolean(registro.bloqueadoHasta && registro.bloqueadoHasta > ahora),
+            bloqueadoHasta: registro.bloqueadoHasta ? new Date(registro.bloqueadoHasta) : null
+        }));
+    }
+
+    /**
+     * Elimina el bloqueo (y el contador) de un usuario o IP
+     * @param {string} tipo - 'usuario' o 'ip'
+     * @param {string} valor - Nombre de usuario o dirección IP
+     * @returns {boolean} True si existía un registro
+     */
+    desbloquear(tipo, valor) {
+        return this.intentos.delete(this.generarClave(tipo, valor));
+    }
+
+    /**
+     * Descarta los registros vencidos
+     */
+    limpiarExpirados() {
+        for (const [clave, registro] of this.intentos) {
+            if (this.estaVencido(registro)) {
+                this.intentos.delete(clave);
+            }
+        }
+    }
+}
+
+// Exportar instancia singleton
+const bloqueoService = new BloqueoService();
+export default bloqueoService;
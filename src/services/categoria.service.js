@@ -0,0 +1,185 @@
+import databaseService from './database.service.js';
+
+/**
+ * Servicio de Categorías de Insumos
+ * Validación y alta, modificación y baja de las categorías que agrupan a los insumos
+ */
+class CategoriaService {
+    constructor() {
+        this.databaseService = databaseService;
+
+        // Campos que se pueden cargar o modificar desde la API
+        this.camposEditables = ['nombre', 'descripcion'];
+    }
+
+    /**
+     * Valida los datos de una categoría
+     * @param {Object} datos - Datos a validar
+     * @param {boolean} parcial - True en modificaciones (los campos ausentes no se validan)
+     * @returns {Array<string>} Lista de errores (vacía si son válidos)
+     */
+    validarDatos(datos, parcial = false) {
+        const errores = [];
+
+        if (!parcial || datos.nombre !== undefined) {
+            if (typeof datos.nombre !== 'string' || datos.nombre.trim().length < 2) {
+                errores.push('El nombre es requerido y debe tener al menos 2 caracteres');
+            } else if (datos.nombre.trim().length > 50) {
+                errores.push('El nombre no puede superar los 50 caracteres');
+            }
+        }
+
+        if (datos.descripcion !== undefined && datos.descripcion !== null) {
+            if (typeof datos.descripcion !== 'string') {
+                errores.push('La descripción debe ser texto');
+            } else if (datos.descripcion.trim().length > 200) {
+                errores.push('La descripción no puede superar los 200 caracteres');
+            }
+        }
+
+        return errores;
+    }
+
+    /**
+     * Toma solo los campos editables y los normaliza
+     * @param {Object} datos - Datos recibidos
+     * @returns {Object} Datos listos para guardar
+     */
+    limpiarDatos(datos) {
+        const limpios = {};
+        for (const campo of this.camposEditables) {
+            if (datos[campo] !== undefined) {
+                limpios[campo] = typeof datos[campo] === 'string' ? datos[campo].trim() : '';
+            }
+        }
+        return limpios;
+    }
+
+    /**
+     * Verifica si ya existe otra categoría con el nombre (sin distinguir mayúsculas)
+     * @param {string} nombre - Nombre a verificar
+     * @param {number|null} categoriaIdExcluida - Categoría a ignorar (al modificar)
+     * @returns {Promise<boolean>} True si el nombre está en uso
+     */
+    async nombreEnUso(nombre, categoriaIdExcluida = null) {
+        const categorias = await this.databaseService.getAllCategorias();
+        return categorias.some(c =>
+            c.nombre.toLowerCase() === nombre.toLowerCase() && c.id !== parseInt(categoriaIdExcluida));
+    }
+
+    /**
+     * Lista las categorías ordenadas por nombre, con la cantidad de insumos de cada una
+     * @returns {Promise<Array<Object>>} Categorías
+     */
+    async listar() {
+        const categorias = await this.databaseService.getAllCategorias();
+        const insumos = await this.databaseService.getAllInsumos();
+
+        return [...categorias]
+            .sort((a, b) => a.nombre.localeCompare(b.nombre, 'es'))
+            .map(categoria => ({
+                ...categoria,
+                cantidadInsumos: insumos.filter(i => i.categoriaId === categoria.id).length
+            }));
+    }
+
+    /**
+     * Da de alta una categoría
+     * @param {Object} datos - { nombre, descripcion }
+     * @returns {Promise<Object>} Resultado de la creación
+     */
+    async crear(datos) {
+        const errores = this.validarDatos(datos);
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de categoría inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const limpios = this.limpiarDatos(datos);
+        if (await this.nombreEnUso(limpios.nombre)) {
+            return {
+                success: false,
+                message: `Ya existe una categoría llamada ${limpios.nombre}`,
+                code: 'DUPLICATE_CATEGORIA'
+            };
+        }
+
+        const categoria = await this.databaseService.createCategoria(limpios);
+        return {
+            success: true,
+            message: 'Categoría creada',
+            data: categoria
+        };
+    }
+
+    /**
+     * Modifica una categoría existente
+     * @param {number} id - ID de la categoría
+     * @param {Object} datos - Campos a modificar
+     * @returns {Promise<Object>} Resultado de la modificación
+     */
+    async actualizar(id, datos) {
+        await this.databaseService.getCategoriaById(id);
+
+        const errores = this.validarDatos(datos, true);
+        const limpios = this.limpiarDatos(datos);
+        if (errores.length === 0 && Object.keys(limpios).length === 0) {
+            errores.push(`Debe indicar al menos un campo: ${this.camposEditables.join(', ')}`);
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de categoría inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        if (limpios.nombre !== undefined && await this.nombreEnUso(limpios.nombre, id)) {
+            return {
+                success: false,
+                message: `Ya existe una categoría llamada ${limpios.nombre}`,
+                code: 'DUPLICATE_CATEGORIA'
+            };
+        }
+
+        const categoria = await this.databaseService.updateCategoria(id, limpios);
+        return {
+            success: true,
+            message: 'Categoría actualizada',
+            data: categoria
+        };
+    }
+
+    /**
+     * Elimina una categoría que no tenga insumos asignados
+     * @param {number} id - ID de la categoría
+     * @returns {Promise<Object>} Resultado de la baja
+     */
+    async eliminar(id) {
+        const categoria = await this.databaseService.getCategoriaById(id);
+
+        const insumos = await this.databaseService.getInsumosByCategoria(categoria.id);
+        if (insumos.length > 0) {
+            return {
+                success: false,
+                message: `No se puede eliminar la categoría: tiene ${insumos.length} insumo(s) asignado(s)`,
+                code: 'CATEGORIA_EN_USO'
+            };
+        }
+
+        await this.databaseService.deleteCategoria(categoria.id);
+        return {
+            success: true,
+            message: 'Categoría eliminada'
+        };
+    }
+}
+
+// Exportar instancia singleton
+const categoriaService = new CategoriaService();
+export default categoriaService;
@@ -0,0 +1,420 @@
+import databaseService, { ESTADOS_CITA } from './database.service.js';
+import politicaService from './politica.service.js';
+
+/**
+ * Servicio de Citas
+ * Reserva, reprogramación y cancelación de turnos entre un paciente y un médico,
+ * sin superposición de horarios en la agenda de cada médico
+ */
+class CitaService {
+    constructor() {
+        this.databaseService = databaseService;
+        this.politicaService = politicaService;
+
+        // Duración permitida de una cita, en minutos
+        this.duracionMinima = 5;
+        this.duracionMaxima = 240;
+
+        // Estados en los que la cita ocupa la agenda del médico
+        this.estadosActivos = ['programada', 'reprogramada'];
+        this.estados = ESTADOS_CITA;
+
+        // Cantidad de próximas citas que se muestran en los paneles
+        this.limiteProximas = 5;
+    }
+
+    /**
+     * Interpreta una fecha y hora ISO ('AAAA-MM-DDTHH:mm', con o sin zona horaria)
+     * @param {string} valor - Fecha y hora recibida
+     * @returns {Date|null} Fecha o null si no es válida
+     */
+    parsearFechaHora(valor) {
+        if (typeof valor !== 'string' || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(valor)) {
+            return null;
+        }
+        const fecha = new Date(valor);
+        return isNaN(fecha.getTime()) ? null : fecha;
+    }
+
+    /**
+     * Valida el horario de una cita
+     * @param {Object} datos - { inicio, fin }
+     * @returns {Object} { errores, inicio, fin } con las fechas ya interpretadas
+     */
+    validarHorario({ inicio, fin }) {
+        const errores = [];
+        const fechaInicio = this.parsearFechaHora(inicio);
+        const fechaFin = this.parsearFechaHora(fin);
+
+        if (!fechaInicio) {
+            errores.push("El inicio es requerido y debe tener el formato 'AAAA-MM-DDTHH:mm'");
+        }
+        if (!fechaFin) {
+            errores.push("El fin es requerido y debe tener el formato 'AAAA-MM-DDTHH:mm'");
+        }
+        if (fechaInicio && fechaFin) {
+            const minutos = (fechaFin - fechaInicio) / 60000;
+            if (minutos < this.duracionMinima || minutos > this.duracionMaxima) {
+                errores.push(`La cita debe durar entre ${this.duracionMinima} y ${this.duracionMaxima} minutos`);
+            }
+            if (fechaInicio <= new Date()) {
+                errores.push('La cita debe comenzar en el futuro');
+            }
+        }
+
+        return { errores, inicio: fechaInicio, fin: fechaFin };
+    }
+
+    /**
+     * Busca una cita activa del médico que se superponga con el horario
+     * @param {number} medicoId - ID del empleado médico
+     * @param {Date} inicio - Inicio del horario
+     * @param {Date} fin - Fin del horario
+     * @param {number|null} citaIdExcluida - Cita a ignorar (al reprogramar)
+     * @returns {Promise<Object|null>} Cita en conflicto o null
+     */
+    async buscarConflicto(medicoId, inicio, fin, citaIdExcluida = null) {
+        const citas = await this.databaseService.getCitasByMedico(medicoId);
+        return citas.find(cita =>
+            cita.id !== citaIdExcluida &&
+            this.estadosActivos.includes(cita.estado) &&
+            new Date(cita.inicio) < fin &&
+            inicio < new Date(cita.fin)
+        ) || null;
+    }
+
+    /**
+     * Respuesta de conflicto de agenda
+     * @param {Object} conflicto - Cita que ocupa el horario
+     * @returns {Object} Resultado fallido
+     */
+    resultadoConflicto(conflicto) {
+        return {
+            success: false,
+            message: `El médico ya tiene una cita entre ${new Date(conflicto.inicio).toLocaleString('es-ES')} ` +
+                `y ${new Date(conflicto.fin).toLocaleString('es-ES')}`,
+            code: 'SLOT_CONFLICT'
+        };
+    }
+
+    /**
+     * Agrega a cada cita el nombre del paciente y del médico
+     * @param {Array<Object>} citas - Citas
+     * @returns {Promise<Array<Object>>} Citas con paciente y medico
+     */
+    async conDetalles(citas) {
+        const pacientes = new Map((await this.databaseService.getAllPacientes()).map(p => [p.id, p]));
+        const empleados = new Map((await this.databaseService.getAllEmpleados()).map(e => [e.id, e]));
+        return citas.map(cita => ({
+            ...cita,
+            paciente: pacientes.has(cita.pacienteId)
+                ? { id: cita.pacienteId, nombre: pacientes.get(cita.pacienteId).nombre }
+                : null,
+            medico: empleados.has(cita.medicoId)
+                ? { id: cita.medicoId, nombre: empleados.get(cita.medicoId).nombre, puesto: empleados.get(cita.medicoId).puesto }
+                : null
+        }));
+    }
+
+    /**
+     * Lista citas con filtros, ordenadas por inicio. Quien solo puede ver
+     * sus propias citas (un paciente) recibe únicamente las suyas.
+     * @param {Object} filtros - { medicoId, pacienteId, estado, desde, hasta } (fechas 'AAAA-MM-DD', inclusive)
+     * @param {Object} usuario - Usuario que consulta
+     * @returns {Promise<Object>} Resultado con las citas filtradas
+     */
+    async listar({ medicoId, pacienteId, estado, desde, hasta } = {}, usuario) {
+        const errores = [];
+        const fechaDesde = desde ? this.parsearFechaHora(`${desde}T00:00`) : null;
+        const fechaHasta = hasta ? this.parsearFechaHora(`${hasta}T23:59:59.999`) : null;
+        if (desde && (!/^\d{4}-\d{2}-\d{2}$/.test(desde) || !fechaDesde)) {
+            errores.push("La fecha 'desde' debe tener el formato AAAA-MM-DD");
+        }
+        if (hasta && (!/^\d{4}-\d{2}-\d{2}$/.test(hasta) || !fechaHasta)) {
+            errores.push("La fecha 'hasta' debe tener el formato AAAA-MM-DD");
+        }
+        if (estado && !this.estados.includes(estado)) {
+            errores.push(`El estado debe ser uno de: ${this.estados.join(', ')}`);
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Filtros inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const soloPropias = !this.politicaService.puede(usuario, 'citas:ver');
+        const pacienteFiltrado = soloPropias ? usuario.perfil?.pacienteId ?? -1 : parseInt(pacienteId) || null;
+
+        let citas;
+        if (pacienteFiltrado) {
+            citas = await this.databaseService.getCitasByPaciente(pacienteFiltrado);
+        } else if (medicoId) {
+            citas = await this.databaseService.getCitasByMedico(medicoId);
+        } else {
+            citas = await this.databaseService.getAllCitas();
+        }
+
+        const filtradas = citas
+            .filter(c => !medicoId || c.medicoId === parseInt(medicoId))
+            .filter(c => !estado || c.estado === estado)
+            .filter(c => !fechaDesde || new Date(c.inicio) >= fechaDesde)
+            .filter(c => !fechaHasta || new Date(c.inicio) <= fechaHasta)
+            .sort((a, b) => new Date(a.inicio) - new Date(b.inicio));
+
+        return {
+            success: true,
+            data: await this.conDetalles(filtradas)
+        };
+    }
+
+    /**
+     * Próximas citas activas de un médico o de un paciente
+     * @param {Object} filtro - { medicoId } o { pacienteId }
+     * @param {number} limite - Cantidad máxima de citas
+     * @returns {Promise<Array<Object>>} Citas con paciente y médico
+     */
+    async proximas({ medicoId, pacienteId }, limite = this.limiteProximas) {
+        const citas = medicoId
+            ? await this.databaseService.getCitasByMedico(medicoId)
+            : await this.databaseService.getCitasByPaciente(pacienteId);
+        const ahora = new Date();
+
+        return await this.conDetalles(citas
+            .filter(c => this.estadosActivos.includes(c.estado) && new Date(c.fin) >= ahora)
+            .sort((a, b) => new Date(a.inicio) - new Date(b.inicio))
+            .slice(0, limite));
+    }
+
+    /**
+     * Cantidad de citas activas de un médico en el día de hoy
+     * @param {number} medicoId - ID del empleado médico
+     * @returns {Promise<number>} Citas del día
+     */
+    async cantidadDeHoy(medicoId) {
+        const citas = await this.databaseService.getCitasByMedico(medicoId);
+        const hoy = new Date().toDateString();
+        return citas.filter(c => this.estadosActivos.includes(c.estado) && new Date(c.inicio).toDateString() === hoy).length;
+    }
+
+    /**
+     * Obtiene una cita si el usuario puede verla
+     * @param {number} id - ID de la cita
+     * @param {Object} usuario - Usuario que consulta
+     * @returns {Promise<Object>} Resultado con la cita
+     */
+    async obtener(id, usuario) {
+        const cita = await this.databaseService.getCitaById(id);
+        if (!this.politicaService.puede(usuario, 'citas:ver', { params: {}, cita })) {
+            return {
+                success: false,
+                message: 'Acceso denegado: la cita no es suya',
+                code: 'FORBIDDEN'
+            };
+        }
+
+        const [conDetalles] = await this.conDetalles([cita]);
+        return {
+            success: true,
+            data: conDetalles
+        };
+    }
+
+    /**
+     * Reserva una cita para un paciente con un médico
+     * @param {Object} datos - { pacienteId, medicoId, inicio, fin, motivo }
+     * @param {Object} usuario - Usuario que reserva
+     * @returns {Promise<Object>} Resultado con la cita reservada
+     */
+    async reservar(datos, usuario) {
+        const { errores, inicio, fin } = this.validarHorario(datos);
+        const { pacienteId, medicoId, motivo } = datos;
+
+        if (!Number.isInteger(pacienteId)) {
+            errores.push('El pacienteId es requerido');
+        } else if (!(await this.databaseService.getAllPacientes()).some(p => p.id === pacienteId)) {
+            errores.push(`El paciente ${pacienteId} no existe`);
+        }
+        if (!Number.isInteger(medicoId)) {
+            errores.push('El medicoId es requerido');
+        } else if (!(await this.databaseService.esEmpleadoMedico(medicoId))) {
+            errores.push(`El empleado ${medicoId} no es un médico`);
+        }
+        if (typeof motivo !== 'string' || motivo.trim().length < 3) {
+            errores.push('El motivo es requerido y debe tener al menos 3 caracteres');
+        } else if (motivo.trim().length > 200) {
+            errores.push('El motivo no puede superar los 200 caracteres');
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de cita inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        if (!this.politicaService.puede(usuario, 'citas:gestionar', { params: {}, cita: { pacienteId } })) {
+            return {
+                success: false,
+                message: 'Acceso denegado: solo puede reservar citas propias',
+                code: 'FORBIDDEN'
+            };
+        }
+
+        // Verificar el horario y reservar en una sola transacción: dos reservas
+        // simultáneas no pueden tomar el mismo turno
+        return await this.databaseService.transaction(async (tx) => {
+            const conflicto = await this.buscarConflicto(medicoId, inicio, fin);
+            if (conflicto) {
+                return this.resultadoConflicto(conflicto);
+            }
+
+            const cita = await tx.createCita({
+                pacienteId,
+                medicoId,
+                inicio: inicio.toISOString(),
+                fin: fin.toISOString(),
+                motivo: motivo.trim(),
+                estado: 'programada',
+                creadaPor: usuario?.usuario || 'sistema'
+            });
+
+            return {
+                success: true,
+                message: 'Cita reservada',
+                data: cita
+            };
+        });
+    }
+
+    /**
+     * Busca una cita activa que el usuario pueda modificar. Se llama dentro de la
+     * transacción que la modifica, así el estado leído es el que se actualiza
+     * @param {number} id - ID de la cita
+     * @param {Object} usuario - Usuario que modifica
+     * @returns {Promise<Object>} { cita } o { resultado } fallido
+     */
+    async obtenerModificable(id, usuario) {
+        const cita = await this.databaseService.getCitaById(id);
+        if (!this.politicaService.puede(usuario, 'citas:gestionar', { params: {}, cita })) {
+            return {
+                resultado: {
+                    success: false,
+                    message: 'Acceso denegado: solo puede modificar citas propias',
+                    code: 'FORBIDDEN'
+                }
+            };
+        }
+        if (!this.estadosActivos.includes(cita.estado)) {
+            return {
+                resultado: {
+                    success: false,
+                    message: `La cita está ${cita.estado} y no se puede modificar`,
+                    code: 'INVALID_STATE'
+                }
+            };
+        }
+        return { cita };
+    }
+
+    /**
+     * Mueve una cita a otro horario del mismo médico
+     * @param {number} id - ID de la cita
+     * @param {Object} datos - { inicio, fin }
+     * @param {Object} usuario - Usuario que reprograma
+     * @returns {Promise<Object>} Resultado con la cita reprogramada
+     */
+    async reprogramar(id, datos, usuario) {
+        const { errores, inicio, fin } = this.validarHorario(datos);
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Horario inválido',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        // Igual que al reservar, el horario se verifica y se toma en una sola transacción.
+        // La cita se relee adentro: una cancelación simultánea no puede quedar pisada
+        return await this.databaseService.transaction(async (tx) => {
+            const { cita, resultado } = await this.obtenerModificable(id, usuario);
+            if (resultado) {
+                return resultado;
+            }
+
+            const conflicto = await this.buscarConflicto(cita.medicoId, inicio, fin, cita.id);
+            if (conflicto) {
+                return this.resultadoConflicto(conflicto);
+            }
+
+            const actualizada = await tx.updateCita(cita.id, {
+                inicio: inicio.toISOString(),
+                fin: fin.toISOString(),
+                estado: 'reprogramada',
+                reprogramaciones: [
+                    ...(cita.reprogramaciones || []),
+                    {
+                        inicioAnterior: cita.inicio,
+                        finAnterior: cita.fin,
+                        usuario: usuario?.usuario || 'sistema',
+                        fecha: new Date().toISOString()
+                    }
+                ]
+            });
+
+            return {
+                success: true,
+                message: 'Cita reprogramada',
+                data: actualizada
+            };
+        });
+    }
+
+    /**
+     * Cancela una cita y libera el horario del médico
+     * @param {number} id - ID de la cita
+     * @param {Object} datos - { motivo } (opcional)
+     * @param {Object} usuario - Usuario que cancela
+     * @returns {Promise<Object>} Resultado con la cita cancelada
+     */
+    async cancelar(id, { motivo } = {}, usuario) {
+        if (motivo !== undefined && motivo !== null && typeof motivo !== 'string') {
+            return {
+                success: false,
+                message: 'Datos de cancelación inválidos',
+                code: 'VALIDATION_ERROR',
+                errores: ['El motivo debe ser texto']
+            };
+        }
+
+        // Releer el estado y cancelar en una sola transacción: una reprogramación
+        // simultánea no puede revivir la cita ni quedar pisada
+        return await this.databaseService.transaction(async (tx) => {
+            const { cita, resultado } = await this.obtenerModificable(id, usuario);
+            if (resultado) {
+                return resultado;
+            }
+
+            const actualizada = await tx.updateCita(cita.id, {
+                estado: 'cancelada',
+                motivoCancelacion: motivo?.trim() || null,
+                canceladaPor: usuario?.usuario || 'sistema',
+                canceladaEn: new Date().toISOString()
+            });
+
+            return {
+                success: true,
+                message: 'Cita cancelada',
+                data: actualizada
+            };
+        });
+    }
+}
+
+// Exportar instancia singleton
+const citaService = new CitaService();
+export default citaService;
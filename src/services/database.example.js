@@ -76,7 +76,7 @@ async function ejemploLogoutAdmin(sessionId) {
         console.log('   📋 Session ID:', sessionId);
         
         // Usar el servicio de autenticación para cerrar sesión
-        const resultado = AuthService.cerrarSesion(sessionId);
+        const resultado = await AuthService.cerrarSesion(sessionId);
         
         if (resultado) {
             console.log('✅ Sesión cerrada exitosamente');
@@ -257,7 +257,7 @@ async function ejemploCompletoLoginAdmin() {
         
         // 3. Verificar que la sesión sigue activa
         console.log('📋 PASO 3: VERIFICACIÓN DE SESIÓN ACTIVA');
-        const sesionActiva = AuthService.obtenerSesion(sessionId);
+        const sesionActiva = await AuthService.obtenerSesion(sessionId);
         if (sesionActiva) {
             console.log('✅ Sesión activa confirmada');
             console.log(`   🕐 Última actividad: ${sesionActiva.ultimaActividad}`);
@@ -318,7 +318,7 @@ async function ejemploCompletoLoginAdmin() {
         
         // Ver estadísticas de sesiones
         console.log('📈 Estadísticas de sesiones activas:');
-        const estadisticasSesiones = AuthService.obtenerEstadisticasSesiones();
+        const estadisticasSesiones = await AuthService.obtenerEstadisticasSesiones();
         console.log(`   🔐 Sesiones activas: ${estadisticasSesiones.total}`);
         console.log(`   👥 Por rol:`, estadisticasSesiones.porRol);
         console.log(`   🕐 Última hora: ${estadisticasSesiones.ultimaHora}`);
@@ -353,7 +353,7 @@ async function ejemploCompletoLoginAdmin() {
         // Intentar cerrar sesión en caso de error
         if (sessionId) {
             console.log('🔄 Intentando cerrar sesión debido al error...');
-            AuthService.cerrarSesion(sessionId);
+            await AuthService.cerrarSesion(sessionId);
         }
         
         return {
@@ -1,129 +1,539 @@
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
 import bcrypt from 'bcrypt';
+import { JsonAdaptador, SqliteAdaptador, METODOS_ADAPTADOR } from './almacenamiento.js';
+import {
+    ESQUEMAS,
+    referenciasA,
+    TIPOS_MOVIMIENTO_INSUMO,
+    TRANSICIONES_TAREA,
+    TIPOS_ENTRADA_HISTORIA
+} from '../config/esquemas.js';
+
+// Constantes de dominio (definidas junto a los esquemas)
+export { TIPOS_MOVIMIENTO_INSUMO, TRANSICIONES_TAREA, TIPOS_ENTRADA_HISTORIA, NIVELES_STOCK, ESTADOS_CITA } from '../config/esquemas.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Stock mínimo de los insumos que no tienen uno configurado
+export const STOCK_MINIMO_POR_DEFECTO = 10;
+
+// Umbrales efectivos de un insumo (el punto de reposición nunca es menor al mínimo)
+export function umbralesInsumo(insumo) {
+    const stockMinimo = insumo.stockMinimo ?? STOCK_MINIMO_POR_DEFECTO;
+    return {
+        stockMinimo,
+        puntoReposicion: Math.max(insumo.puntoReposicion ?? stockMinimo, stockMinimo)
+    };
+}
+
+// Error con un código estable (error.code) para que servicios y controladores
+// lo clasifiquen sin depender del texto del mensaje. Códigos: NOT_FOUND (con la
+// tabla), DUPLICATE (con la tabla y los campos repetidos), IN_USE (con la tabla y el
+// campo que impiden un borrado), INVALID_TRANSITION (con el estado actual de la tarea
+// y los permitidos) e INSUFFICIENT_STOCK
+export function errorConCodigo(mensaje, code, detalles = {}) {
+    return Object.assign(new Error(mensaje), { code, ...detalles });
+}
+
+// Operadores de las condiciones de query(); un valor suelto equivale a { eq: valor }
+const OPERADORES_CONSULTA = ['eq', 'in', 'gt', 'gte', 'lt', 'lte', 'contains'];
+
+// Comparar dos valores para los rangos (números por valor, el resto como texto:
+// las fechas ISO quedan en orden cronológico)
+function compararValores(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    const [textoA, textoB] = [String(a), String(b)];
+    return textoA < textoB ? -1 : textoA > textoB ? 1 : 0;
+}
+
+/**
+ * Servicio de Base de Datos
+ * Acceso a las tablas a través de un adaptador de almacenamiento intercambiable
+ * (ver almacenamiento.js). El adaptador activo se elige con DB_ADAPTADOR: 'json'
+ * (DB_JSON_RUTA, por defecto src/data/db.json) o 'sqlite' (DB_SQLITE_RUTA, por defecto
+ * src/data/db.sqlite).
+ */
 class DatabaseService {
     constructor() {
-        this.dbPath = path.join(__dirname, '../data/db.json');
-        this.data = null;
+        this.adaptadores = new Map();
+        this.registrarAdaptador('json', new JsonAdaptador(
+            process.env.DB_JSON_RUTA || path.join(__dirname, '../data/db.json')
+        ));
+        this.registrarAdaptador('sqlite', new SqliteAdaptador(
+            process.env.DB_SQLITE_RUTA || path.join(__dirname, '../data/db.sqlite')
+        ));
+
+        // Adaptador activo (configurable por variable de entorno)
+        this.adaptadorActivo = process.env.DB_ADAPTADOR || 'json';
+        this.apertura = null; // Una sola apertura aunque lleguen varios requests a la vez
+
+        // Transacciones: se ejecutan de a una y el contexto marca las operaciones que corren dentro
+        this.contextoTransaccion = new AsyncLocalStorage();
+        this.colaTransacciones = Promise.resolve();
+        this.transaccionEnCurso = null;
     }
 
-    // Cargar datos desde el archivo JSON
-    async loadData() {
-        try {
-            const rawData = await fs.readFile(this.dbPath, 'utf8');
-            this.data = JSON.parse(rawData);
-            return this.data;
-        } catch (error) {
-            throw new Error(`Error al cargar la base de datos: ${error.message}`);
+    /**
+     * Registra (o reemplaza) un adaptador de almacenamiento
+     * @param {string} nombre - Nombre del adaptador
+     * @param {Object} adaptador - Objeto que implementa METODOS_ADAPTADOR
+     */
+    registrarAdaptador(nombre, adaptador) {
+        const faltantes = METODOS_ADAPTADOR.filter(metodo => typeof adaptador?.[metodo] !== 'function');
+        if (faltantes.length > 0) {
+            throw new Error(`El adaptador '${nombre}' debe implementar: ${faltantes.join(', ')}`);
+        }
+        this.adaptadores.set(nombre, adaptador);
+    }
+
+    // Adaptador registrado con ese nombre (sin abrir)
+    obtenerAdaptador(nombre) {
+        const adaptador = this.adaptadores.get(nombre);
+        if (!adaptador) {
+            throw new Error(`El adaptador de almacenamiento '${nombre}' no está registrado`);
+        }
+        return adaptador;
+    }
+
+    // Adaptador activo, abierto la primera vez que se usa. Fuera de una transacción se espera
+    // a que termine la que esté en curso: sus cambios todavía pueden deshacerse
+    async adaptador() {
+        if (!this.dentroDeTransaccion()) {
+            while (this.transaccionEnCurso) {
+                await this.transaccionEnCurso;
+            }
+        }
+        if (!this.apertura) {
+            const adaptador = this.obtenerAdaptador(this.adaptadorActivo);
+            this.apertura = adaptador.abrir().then(async () => {
+                if ((await adaptador.tablas()).length === 0) {
+                    console.warn(`El almacenamiento '${this.adaptadorActivo}' no tiene tablas: copiá los datos con npm run migrar:sqlite`);
+                }
+                for (const tabla of Object.keys(ESQUEMAS)) {
+                    if (await adaptador.existeTabla(tabla)) {
+                        for (const campo of this.camposIndexados(tabla)) {
+                            await adaptador.crearIndice(tabla, campo);
+                        }
+                    }
+                }
+                return adaptador;
+            });
+            this.apertura.catch(() => {
+                this.apertura = null;
+            });
         }
+        return await this.apertura;
     }
 
-    // Guardar datos en el archivo JSON
-    async saveData() {
+    // Adaptador activo, verificando que exista la tabla
+    async tabla(tableName) {
+        const adaptador = await this.adaptador();
+        if (!await adaptador.existeTabla(tableName)) {
+            throw new Error(`La tabla '${tableName}' no existe`);
+        }
+        return adaptador;
+    }
+
+    /**
+     * Ejecuta varias operaciones como una transacción: los cambios se guardan juntos al
+     * terminar y, si algo falla, se deshacen todos. Las transacciones corren de a una y el
+     * resto de las operaciones las espera, así que lo que tarde (hashes, red) va antes.
+     * Una transacción dentro de otra se suma a la exterior.
+     * @param {Function} operacion - async (tx) => resultado; tx es este mismo servicio: sus
+     *   métodos genéricos y por entidad, llamados dentro, participan de la transacción
+     * @returns {Promise<*>} Lo que devuelva la operación
+     */
+    async transaction(operacion) {
+        if (this.dentroDeTransaccion()) {
+            return await operacion(this);
+        }
+
+        const anterior = this.colaTransacciones;
+        let liberar;
+        const actual = new Promise(resolve => {
+            liberar = resolve;
+        });
+        this.colaTransacciones = actual;
+        await anterior;
+
+        const contexto = { activa: true };
+        this.transaccionEnCurso = actual;
         try {
-            await fs.writeFile(this.dbPath, JSON.stringify(this.data, null, 2), 'utf8');
-            return true;
-        } catch (error) {
-            throw new Error(`Error al guardar la base de datos: ${error.message}`);
+            return await this.contextoTransaccion.run(contexto, async () => {
+                const adaptador = await this.adaptador();
+                return await adaptador.lote(() => operacion(this));
+            });
+        } finally {
+            // Lo que se haya lanzado dentro sin esperarlo ya no cuenta como parte de la transacción
+            contexto.activa = false;
+            this.transaccionEnCurso = null;
+            liberar();
         }
     }
 
-    // Asegurar que los datos estén cargados
-    async ensureDataLoaded() {
-        if (!this.data) {
-            await this.loadData();
+    // Si la operación actual corre dentro de una transacción abierta
+    dentroDeTransaccion() {
+        return this.contextoTransaccion.getStore()?.activa === true;
+    }
+
+    // ==================== ESQUEMAS E INTEGRIDAD ====================
+
+    // Verificar que un valor sea del tipo declarado en el esquema
+    esDelTipo(valor, tipo) {
+        switch (tipo) {
+            case 'texto': return typeof valor === 'string';
+            case 'entero': return Number.isInteger(valor);
+            case 'numero': return Number.isFinite(valor);
+            case 'booleano': return typeof valor === 'boolean';
+            case 'fecha': return typeof valor === 'string' && !Number.isNaN(Date.parse(valor));
+            case 'lista': return Array.isArray(valor);
+            case 'objeto': return typeof valor === 'object' && !Array.isArray(valor);
+            default: return false;
         }
     }
 
+    // Errores de un registro según el esquema de su tabla (tipos, requeridos, valores,
+    // unicidad y referencias), junto con los campos únicos repetidos. Solo se rechazan
+    // campos desconocidos entre los escritos; escribir undefined quita el campo.
+    async erroresRegistro(tableName, registro, camposEscritos) {
+        const esquema = ESQUEMAS[tableName];
+        const duplicados = [];
+        if (!esquema) {
+            return { errores: [], duplicados };
+        }
+
+        const errores = camposEscritos
+            .filter(campo => campo !== 'id' && registro[campo] !== undefined && !Object.hasOwn(esquema, campo))
+            .map(campo => `campo desconocido '${campo}'`);
+
+        for (const [campo, definicion] of Object.entries(esquema)) {
+            const valor = registro[campo];
+            if (valor === undefined || valor === null) {
+                if (definicion.requerido) {
+                    errores.push(`${campo} es requerido`);
+                }
+                continue;
+            }
+            if (!this.esDelTipo(valor, definicion.tipo)) {
+                errores.push(`${campo} debe ser de tipo ${definicion.tipo}`);
+                continue;
+            }
+            if (definicion.valores && !definicion.valores.includes(valor)) {
+                errores.push(`${campo} debe ser uno de: ${definicion.valores.join(', ')}`);
+            }
+            if (definicion.unico) {
+                const iguales = await this.getWhere(tableName, { [campo]: { eq: valor } });
+                if (iguales.some(r => r.id !== registro.id)) {
+                    errores.push(`${campo} '${valor}' ya está en uso`);
+                    duplicados.push(campo);
+                }
+            }
+            // Las referencias se verifican al escribirlas: las ya guardadas las mantienen las
+            // políticas de borrado (y anular una en cascada no debe fallar por otra que se borra)
+            if (definicion.referencia && camposEscritos.includes(campo)) {
+                const { tabla } = definicion.referencia;
+                const existe = await (await this.tabla(tabla)).obtener(tabla, valor);
+                if (!existe) {
+                    errores.push(`${campo} apunta al registro ${valor} de '${tabla}', que no existe`);
+                }
+            }
+        }
+        return { errores, duplicados };
+    }
+
+    // Validar un registro antes de guardarlo. Si el único problema es un valor repetido
+    // el error lleva el código DUPLICATE: es la verificación de unicidad y corre dentro
+    // de la transacción de la escritura
+    async validarRegistro(tableName, registro, camposEscritos) {
+        const { errores, duplicados } = await this.erroresRegistro(tableName, registro, camposEscritos);
+        if (errores.length === 0) {
+            return;
+        }
+        const mensaje = `Datos inválidos en la tabla '${tableName}': ${errores.join('; ')}`;
+        if (duplicados.length === errores.length) {
+            throw errorConCodigo(mensaje, 'DUPLICATE', { tabla: tableName, campos: duplicados });
+        }
+        throw new Error(mensaje);
+    }
+
+    // Aplicar la política de borrado de cada referencia al registro eliminado
+    async aplicarReferencias(tableName, id) {
+        for (const { tabla, campo, alBorrar } of referenciasA(tableName)) {
+            const afectados = await this.getWhere(tabla, { [campo]: id });
+            if (afectados.length === 0) {
+                continue;
+            }
+            if (alBorrar === 'restringir') {
+                throw errorConCodigo(`No se puede eliminar el registro ${id} de '${tableName}': ` +
+                    `lo usan ${afectados.length} registro(s) de '${tabla}' (${campo})`, 'IN_USE', { tabla, campo });
+            }
+            for (const afectado of afectados) {
+                if (alBorrar === 'cascada') {
+                    await this.delete(tabla, afectado.id);
+                } else {
+                    await this.update(tabla, afectado.id, { [campo]: null });
+                }
+            }
+        }
+    }
+
+    // Revisar los datos guardados contra los esquemas (registros anteriores a las validaciones)
+    async revisarIntegridad() {
+        const adaptador = await this.adaptador();
+        const advertencias = [];
+        for (const tabla of Object.keys(ESQUEMAS)) {
+            if (!await adaptador.existeTabla(tabla)) {
+                advertencias.push(`Falta la tabla '${tabla}'`);
+                continue;
+            }
+            for (const registro of await adaptador.listar(tabla)) {
+                const { errores } = await this.erroresRegistro(tabla, registro, Object.keys(registro));
+                if (errores.length > 0) {
+                    advertencias.push(`Registro ${registro.id} de '${tabla}': ${errores.join('; ')}`);
+                }
+            }
+        }
+        return advertencias;
+    }
+
     // ==================== OPERACIONES CRUD GENÉRICAS ====================
 
     // Obtener todos los registros de una tabla
     async getAll(tableName) {
-        await this.ensureDataLoaded();
-        if (!this.data[tableName]) {
-            throw new Error(`La tabla '${tableName}' no existe`);
-        }
-        return this.data[tableName];
+        const adaptador = await this.tabla(tableName);
+        return await adaptador.listar(tableName);
     }
 
     // Obtener un registro por ID
     async getById(tableName, id) {
-        await this.ensureDataLoaded();
-        if (!this.data[tableName]) {
-            throw new Error(`La tabla '${tableName}' no existe`);
-        }
-        const record = this.data[tableName].find(item => item.id === parseInt(id));
+        const adaptador = await this.tabla(tableName);
+        const record = await adaptador.obtener(tableName, parseInt(id));
         if (!record) {
-            throw new Error(`Registro con ID ${id} no encontrado en la tabla '${tableName}'`);
+            throw errorConCodigo(`Registro con ID ${id} no encontrado en la tabla '${tableName}'`, 'NOT_FOUND', { tabla: tableName });
         }
         return record;
     }
 
-    // Crear un nuevo registro
+    // Crear un nuevo registro, validado contra el esquema de la tabla (el adaptador
+    // asigna el ID sin esperas intermedias: dos altas concurrentes nunca obtienen el mismo ID)
     async create(tableName, newRecord) {
-        await this.ensureDataLoaded();
-        if (!this.data[tableName]) {
-            throw new Error(`La tabla '${tableName}' no existe`);
-        }
-
-        // Generar nuevo ID
-        const maxId = this.data[tableName].length > 0 
-            ? Math.max(...this.data[tableName].map(item => item.id))
-            : 0;
-        
-        const recordWithId = {
-            id: maxId + 1,
-            ...newRecord
-        };
-
-        this.data[tableName].push(recordWithId);
-        await this.saveData();
-        return recordWithId;
+        return await this.transaction(async () => {
+            const adaptador = await this.tabla(tableName);
+            await this.validarRegistro(tableName, newRecord, Object.keys(newRecord));
+            return await adaptador.insertar(tableName, newRecord);
+        });
     }
 
     // Actualizar un registro existente
     async update(tableName, id, updatedData) {
-        await this.ensureDataLoaded();
-        if (!this.data[tableName]) {
-            throw new Error(`La tabla '${tableName}' no existe`);
+        return await this.transaction(async () => {
+            const record = await this.getById(tableName, id);
+
+            // Mantener el ID original y actualizar el resto
+            const merged = {
+                ...record,
+                ...updatedData,
+                id: record.id // Asegurar que el ID no cambie
+            };
+            await this.validarRegistro(tableName, merged, Object.keys(updatedData));
+
+            const updated = await (await this.adaptador()).reemplazar(tableName, record.id, merged);
+            if (!updated) {
+                throw errorConCodigo(`Registro con ID ${id} no encontrado en la tabla '${tableName}'`, 'NOT_FOUND', { tabla: tableName });
+            }
+            return updated;
+        });
+    }
+
+    // Eliminar un registro aplicando la política de borrado de las referencias
+    // (restringir, cascada o anular), todo en una sola transacción
+    async delete(tableName, id) {
+        return await this.transaction(async () => {
+            const adaptador = await this.tabla(tableName);
+            const deletedRecord = await adaptador.eliminar(tableName, parseInt(id));
+            if (!deletedRecord) {
+                throw errorConCodigo(`Registro con ID ${id} no encontrado en la tabla '${tableName}'`, 'NOT_FOUND', { tabla: tableName });
+            }
+            await this.aplicarReferencias(tableName, deletedRecord.id);
+            return deletedRecord;
+        });
+    }
+
+    // Eliminar los registros que cumplan una condición (en una sola escritura).
+    // La condición es una función o un `where` de query()
+    async deleteWhere(tableName, condicion) {
+        return await this.transaction(async () => {
+            const registros = typeof condicion === 'function'
+                ? (await this.getAll(tableName)).filter(condicion)
+                : await this.getWhere(tableName, condicion);
+            for (const registro of registros) {
+                await this.delete(tableName, registro.id);
+            }
+            return registros.length;
+        });
+    }
+
+    // ==================== CONSULTAS ====================
+
+    // Campos con índice: los únicos, las referencias y los marcados como indexados
+    camposIndexados(tableName) {
+        return Object.entries(ESQUEMAS[tableName] || {})
+            .filter(([, definicion]) => definicion.unico || definicion.referencia || definicion.indexado)
+            .map(([campo]) => campo);
+    }
+
+    // Verificar que los campos nombrados en una consulta existan en el esquema
+    validarCamposConsulta(tableName, campos) {
+        const esquema = ESQUEMAS[tableName];
+        const desconocidos = campos.filter(campo => campo !== 'id' && esquema && !Object.hasOwn(esquema, campo));
+        if (desconocidos.length > 0) {
+            throw new Error(`Campo(s) desconocido(s) en la consulta de '${tableName}': ${desconocidos.join(', ')}`);
         }
+    }
+
+    // Normalizar el `where` de una consulta a una lista de { campo, operadores }
+    condicionesConsulta(tableName, where) {
+        this.validarCamposConsulta(tableName, Object.keys(where));
+        return Object.entries(where).map(([campo, condicion]) => {
+            const operadores = condicion !== null && typeof condicion === 'object' && !Array.isArray(condicion)
+                ? condicion
+                : { eq: condicion };
+            for (const [operador, valor] of Object.entries(operadores)) {
+                if (!OPERADORES_CONSULTA.includes(operador)) {
+                    throw new Error(`Operador de consulta desconocido '${operador}' en el campo ${campo} ` +
+                        `(se admiten: ${OPERADORES_CONSULTA.join(', ')})`);
+                }
+                if (operador === 'in' && !Array.isArray(valor)) {
+                    throw new Error(`El operador 'in' del campo ${campo} requiere una lista de valores`);
+                }
+            }
+            return { campo, operadores };
+        });
+    }
 
-        const index = this.data[tableName].findIndex(item => item.id === parseInt(id));
-        if (index === -1) {
-            throw new Error(`Registro con ID ${id} no encontrado en la tabla '${tableName}'`);
+    // Verificar si un valor cumple todos los operadores de una condición
+    // (un campo ausente vale null; los rangos nunca incluyen null)
+    cumpleCondicion(valor, operadores) {
+        const actual = valor ?? null;
+        return Object.entries(operadores).every(([operador, esperado]) => {
+            switch (operador) {
+                case 'eq': return actual === (esperado ?? null);
+                case 'in': return esperado.some(opcion => actual === (opcion ?? null));
+                case 'gt': return actual !== null && compararValores(actual, esperado) > 0;
+                case 'gte': return actual !== null && compararValores(actual, esperado) >= 0;
+                case 'lt': return actual !== null && compararValores(actual, esperado) < 0;
+                case 'lte': return actual !== null && compararValores(actual, esperado) <= 0;
+                case 'contains':
+                    if (Array.isArray(actual)) {
+                        return actual.includes(esperado);
+                    }
+                    return typeof actual === 'string' &&
+                        actual.toLowerCase().includes(String(esperado).toLowerCase());
+                default: return false;
+            }
+        });
+    }
+
+    // Registros de partida de una consulta: si alguna condición es una igualdad (eq o in)
+    // sobre el ID o un campo indexado se usa el índice; si no, la tabla entera
+    async candidatosConsulta(tableName, condiciones) {
+        const adaptador = await this.tabla(tableName);
+        const indexados = this.camposIndexados(tableName);
+        const condicion = condiciones.find(({ campo }) => campo === 'id') ||
+            condiciones.find(({ campo }) => indexados.includes(campo));
+        const operadores = condicion?.operadores;
+        if (!operadores || (!Object.hasOwn(operadores, 'eq') && !Object.hasOwn(operadores, 'in'))) {
+            return await adaptador.listar(tableName);
         }
 
-        // Mantener el ID original y actualizar el resto
-        this.data[tableName][index] = {
-            ...this.data[tableName][index],
-            ...updatedData,
-            id: parseInt(id) // Asegurar que el ID no cambie
-        };
+        const valores = Object.hasOwn(operadores, 'eq') ? [operadores.eq ?? null] : operadores.in.map(v => v ?? null);
+        if (condicion.campo !== 'id') {
+            return await adaptador.buscar(tableName, condicion.campo, valores);
+        }
 
-        await this.saveData();
-        return this.data[tableName][index];
+        const registros = [];
+        for (const id of [...new Set(valores)].filter(Number.isInteger).sort((a, b) => a - b)) {
+            const registro = await adaptador.obtener(tableName, id);
+            if (registro) {
+                registros.push(registro);
+            }
+        }
+        return registros;
     }
 
-    // Eliminar un registro
-    async delete(tableName, id) {
-        await this.ensureDataLoaded();
-        if (!this.data[tableName]) {
-            throw new Error(`La tabla '${tableName}' no existe`);
+    /**
+     * Consulta una tabla con filtros, orden y paginación
+     * @param {string} tableName - Tabla a consultar
+     * @param {Object} opciones - Opciones de la consulta
+     * @param {Object} [opciones.where] - { campo: valor } o { campo: { eq, in, gt, gte, lt, lte, contains } };
+     *   contains busca texto sin distinguir mayúsculas o un elemento en una lista
+     * @param {Object} [opciones.orderBy] - { campo: 'asc' | 'desc' }, en orden de prioridad (null va al final)
+     * @param {number} [opciones.limit] - Cantidad máxima de registros a devolver
+     * @param {number} [opciones.offset] - Registros a saltear (por defecto 0)
+     * @param {Array<string>} [opciones.fields] - Campos a devolver (por defecto todos)
+     * @returns {Promise<Object>} { registros, total } — total cuenta todos los que cumplen el where
+     */
+    async query(tableName, { where = {}, orderBy = {}, limit, offset = 0, fields } = {}) {
+        const condiciones = this.condicionesConsulta(tableName, where);
+        this.validarCamposConsulta(tableName, [...Object.keys(orderBy), ...(fields || [])]);
+        for (const [campo, direccion] of Object.entries(orderBy)) {
+            if (!['asc', 'desc'].includes(direccion)) {
+                throw new Error(`El orden del campo ${campo} debe ser 'asc' o 'desc'`);
+            }
+        }
+        if (limit !== undefined && (!Number.isInteger(limit) || limit < 0)) {
+            throw new Error('limit debe ser un entero mayor o igual a 0');
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new Error('offset debe ser un entero mayor o igual a 0');
+        }
+        if (fields !== undefined && !Array.isArray(fields)) {
+            throw new Error('fields debe ser una lista de campos');
         }
 
-        const index = this.data[tableName].findIndex(item => item.id === parseInt(id));
-        if (index === -1) {
-            throw new Error(`Registro con ID ${id} no encontrado en la tabla '${tableName}'`);
+        const candidatos = await this.candidatosConsulta(tableName, condiciones);
+        const encontrados = candidatos.filter(registro =>
+            condiciones.every(({ campo, operadores }) => this.cumpleCondicion(registro[campo], operadores)));
+
+        const orden = Object.entries(orderBy);
+        if (orden.length > 0) {
+            encontrados.sort((a, b) => {
+                for (const [campo, direccion] of orden) {
+                    const [valorA, valorB] = [a[campo] ?? null, b[campo] ?? null];
+                    if (valorA === valorB) {
+                        continue;
+                    }
+                    if (valorA === null || valorB === null) {
+                        return valorA === null ? 1 : -1;
+                    }
+                    const resultado = typeof valorA === 'string' && typeof valorB === 'string'
+                        ? valorA.localeCompare(valorB, 'es')
+                        : compararValores(valorA, valorB);
+                    if (resultado !== 0) {
+                        return direccion === 'desc' ? -resultado : resultado;
+                    }
+                }
+                return 0;
+            });
         }
 
-        const deletedRecord = this.data[tableName].splice(index, 1)[0];
-        await this.saveData();
-        return deletedRecord;
+        const pagina = encontrados.slice(offset, limit === undefined ? undefined : offset + limit);
+        return {
+            registros: fields
+                ? pagina.map(registro => Object.fromEntries(fields.map(campo => [campo, registro[campo]])))
+                : pagina,
+            total: encontrados.length
+        };
+    }
+
+    // Registros que cumplen un `where` de query(), sin paginar
+    async getWhere(tableName, where) {
+        return (await this.query(tableName, { where })).registros;
     }
 
     // ==================== MÉTODOS ESPECÍFICOS POR ENTIDAD ====================
@@ -142,13 +552,14 @@ class DatabaseService {
         if (!nombre || !permisos) {
             throw new Error('Nombre y permisos son requeridos para crear un rol');
         }
-        return await this.create('roles', { nombre, permisos });
+        return await this.create('roles', { nombre, descripcion: roleData.descripcion || '', permisos });
     }
 
     async updateRole(id, roleData) {
         return await this.update('roles', id, roleData);
     }
 
+    // Los usuarios del rol impiden borrarlo (referencia restringida)
     async deleteRole(id) {
         return await this.delete('roles', id);
     }
@@ -163,21 +574,30 @@ class DatabaseService {
     }
 
     async getUsuarioByUsername(usuario) {
-        await this.ensureDataLoaded();
-        const user = this.data.usuarios.find(u => u.usuario === usuario);
+        const [user] = await this.getWhere('usuarios', { usuario: { eq: usuario } });
         if (!user) {
-            throw new Error(`Usuario '${usuario}' no encontrado`);
+            throw errorConCodigo(`Usuario '${usuario}' no encontrado`, 'NOT_FOUND', { tabla: 'usuarios' });
         }
         return user;
     }
 
+    // Verificar que el nombre de usuario no esté en uso (sin distinguir mayúsculas)
+    async validarUsernameDisponible(usuario, usuarioIdExcluido = null) {
+        const existente = (await this.getAllUsuarios()).find(u =>
+            u.usuario.toLowerCase() === usuario.toLowerCase() && u.id !== parseInt(usuarioIdExcluido));
+        if (existente) {
+            throw errorConCodigo(`Ya existe un usuario '${usuario}'`, 'DUPLICATE', { tabla: 'usuarios', campos: ['usuario'] });
+        }
+    }
+
     async createUsuario(userData) {
         const { usuario, password, rolId, perfilId, tipoPerfilId } = userData;
         if (!usuario || !password || !rolId || !perfilId) {
             throw new Error('Usuario, password, rolId y perfilId son requeridos');
         }
-        
-        // Hashear la contraseña antes de guardarla
+
+        // Hashear la contraseña antes de guardarla, fuera de la transacción: la disponibilidad
+        // se verifica dentro, junto con el alta, para que dos altas simultáneas no pasen ambas
         const saltRounds = 10;
         const hashedPassword = await bcrypt.hash(password, saltRounds);
         
@@ -193,23 +613,115 @@ class DatabaseService {
             usuarioData.tipoPerfilId = tipoPerfilId;
         }
         
-        return await this.create('usuarios', usuarioData);
+        return await this.transaction(async () => {
+            await this.validarUsernameDisponible(usuario);
+            return await this.create('usuarios', usuarioData);
+        });
     }
 
     async updateUsuario(id, userData) {
-        // Si se está actualizando la contraseña, hashearla
+        // Si se está actualizando la contraseña, hashearla (fuera de la transacción, ver createUsuario)
         if (userData.password) {
             const saltRounds = 10;
             userData.password = await bcrypt.hash(userData.password, saltRounds);
         }
         
-        return await this.update('usuarios', id, userData);
+        return await this.transaction(async () => {
+            if (userData.usuario !== undefined) {
+                await this.validarUsernameDisponible(userData.usuario, id);
+            }
+            return await this.update('usuarios', id, userData);
+        });
     }
 
     async deleteUsuario(id) {
         return await this.delete('usuarios', id);
     }
 
+    // Crear empleado o paciente, perfil y usuario en una sola transacción:
+    // se valida todo antes de insertar y, si algo falla, no queda ningún registro
+    async provisionarUsuario(datos) {
+        const { usuario, password, rolId, empleado, paciente, debeCambiarPassword } = datos;
+        if (!usuario || !password || !rolId || !empleado === !paciente) {
+            throw new Error('Usuario, password, rolId y los datos de un empleado o de un paciente son requeridos');
+        }
+        if (empleado && (!empleado.nombre || !empleado.puesto)) {
+            throw new Error('Nombre y puesto son requeridos para crear un empleado');
+        }
+        if (paciente && (!paciente.nombre || !paciente.dni)) {
+            throw new Error('Nombre y DNI son requeridos para crear un paciente');
+        }
+
+        // Hashear primero, fuera de la transacción
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        return await this.transaction(async () => {
+            await this.validarUsernameDisponible(usuario);
+            await this.getRoleById(rolId);
+            if (empleado?.areaId != null) {
+                await this.getAreaById(empleado.areaId);
+            }
+            if (paciente) {
+                this.validarDniPaciente(paciente.dni);
+            }
+
+            const persona = empleado
+                ? await this.create('empleados', {
+                    nombre: empleado.nombre,
+                    puesto: empleado.puesto,
+                    areaId: empleado.areaId ?? null,
+                    especialidad: empleado.especialidad || null
+                })
+                : await this.create('pacientes', {
+                    nombre: paciente.nombre,
+                    dni: paciente.dni
+                });
+
+            const perfil = await this.create('perfiles', {
+                tipo: empleado ? 'empleado' : 'paciente',
+                empleadoId: empleado ? persona.id : null,
+                pacienteId: paciente ? persona.id : null
+            });
+
+            const nuevoUsuario = {
+                usuario,
+                password: hashedPassword,
+                rolId: parseInt(rolId),
+                perfilId: perfil.id,
+                activo: true
+            };
+            if (debeCambiarPassword) {
+                nuevoUsuario.debeCambiarPassword = true;
+            }
+
+            return {
+                usuario: await this.create('usuarios', nuevoUsuario),
+                perfil,
+                [perfil.tipo]: persona
+            };
+        });
+    }
+
+    // Eliminar usuario, perfil y empleado o paciente en una sola transacción
+    async deleteUsuarioCompleto(id) {
+        return await this.transaction(async () => {
+            const usuario = await this.getUsuarioById(id);
+            const [perfil = null] = await this.getWhere('perfiles', { id: usuario.perfilId });
+
+            await this.delete('usuarios', usuario.id);
+            if (perfil) {
+                await this.delete('perfiles', perfil.id);
+                if (perfil.empleadoId) {
+                    await this.deleteWhere('empleados', e => e.id === perfil.empleadoId);
+                }
+                if (perfil.pacienteId) {
+                    await this.deleteWhere('pacientes', p => p.id === perfil.pacienteId);
+                }
+            }
+            return usuario;
+        });
+    }
+
     // PERFILES
     async getAllPerfiles() {
         return await this.getAll('perfiles');
@@ -235,6 +747,31 @@ class DatabaseService {
         return await this.delete('perfiles', id);
     }
 
+    // ÁREAS
+    async getAllAreas() {
+        return await this.getAll('areas');
+    }
+
+    async getAreaById(id) {
+        return await this.getById('areas', id);
+    }
+
+    async createArea(areaData) {
+        const { nombre, descripcion, jefeId } = areaData;
+        if (!nombre) {
+            throw new Error('El nombre es requerido para crear un área');
+        }
+        return await this.create('areas', { nombre, descripcion: descripcion || '', jefeId: jefeId ?? null });
+    }
+
+    async updateArea(id, areaData) {
+        return await this.update('areas', id, areaData);
+    }
+
+    async deleteArea(id) {
+        return await this.delete('areas', id);
+    }
+
     // EMPLEADOS
     async getAllEmpleados() {
         return await this.getAll('empleados');
@@ -244,15 +781,38 @@ class DatabaseService {
         return await this.getById('empleados', id);
     }
 
+    async getEmpleadosByArea(areaId) {
+        return await this.getWhere('empleados', { areaId: parseInt(areaId) });
+    }
+
+    // Un empleado es médico si su usuario puede atender pacientes
+    async esEmpleadoMedico(empleadoId) {
+        const [perfil] = await this.getWhere('perfiles', { empleadoId: parseInt(empleadoId) });
+        const [usuario] = perfil ? await this.getWhere('usuarios', { perfilId: perfil.id }) : [];
+        const [rol] = usuario ? await this.getWhere('roles', { id: usuario.rolId }) : [];
+        return Boolean(rol) && (rol.permisos || []).includes('gestionar_pacientes');
+    }
+
     async createEmpleado(empleadoData) {
-        const { nombre, puesto } = empleadoData;
+        const { nombre, puesto, areaId, especialidad } = empleadoData;
         if (!nombre || !puesto) {
             throw new Error('Nombre y puesto son requeridos para crear un empleado');
         }
-        return await this.create('empleados', { nombre, puesto });
+        if (areaId != null) {
+            await this.getAreaById(areaId);
+        }
+        return await this.create('empleados', {
+            nombre,
+            puesto,
+            areaId: areaId ?? null,
+            especialidad: especialidad || null
+        });
     }
 
     async updateEmpleado(id, empleadoData) {
+        if (empleadoData.areaId != null) {
+            await this.getAreaById(empleadoData.areaId);
+        }
         return await this.update('empleados', id, empleadoData);
     }
 
@@ -270,23 +830,34 @@ class DatabaseService {
     }
 
     async getPacienteByDni(dni) {
-        await this.ensureDataLoaded();
-        const paciente = this.data.pacientes.find(p => p.dni === dni);
+        const [paciente] = await this.getWhere('pacientes', { dni: { eq: dni } });
         if (!paciente) {
-            throw new Error(`Paciente con DNI '${dni}' no encontrado`);
+            throw errorConCodigo(`Paciente con DNI '${dni}' no encontrado`, 'NOT_FOUND', { tabla: 'pacientes' });
         }
         return paciente;
     }
 
+    // Verificar el formato del DNI (7 u 8 dígitos); la unicidad la controla el
+    // esquema al guardar (error DUPLICATE)
+    validarDniPaciente(dni) {
+        if (!/^\d{7,8}$/.test(dni)) {
+            throw new Error(`DNI '${dni}' inválido: debe tener 7 u 8 dígitos`);
+        }
+    }
+
     async createPaciente(pacienteData) {
-        const { nombre, dni, historiaClinica } = pacienteData;
+        const { nombre, dni } = pacienteData;
         if (!nombre || !dni) {
             throw new Error('Nombre y DNI son requeridos para crear un paciente');
         }
-        return await this.create('pacientes', { nombre, dni, historiaClinica });
+        this.validarDniPaciente(dni);
+        return await this.create('pacientes', { nombre, dni });
     }
 
     async updatePaciente(id, pacienteData) {
+        if (pacienteData.dni !== undefined) {
+            this.validarDniPaciente(pacienteData.dni);
+        }
         return await this.update('pacientes', id, pacienteData);
     }
 
@@ -294,6 +865,77 @@ class DatabaseService {
         return await this.delete('pacientes', id);
     }
 
+    // HISTORIA CLÍNICA (solo alta: las correcciones se registran como enmiendas)
+    async getAllEntradasHistoria() {
+        return await this.getAll('entradasHistoria');
+    }
+
+    async getEntradaHistoriaById(id) {
+        return await this.getById('entradasHistoria', id);
+    }
+
+    async getEntradasHistoriaByPaciente(pacienteId) {
+        return await this.getWhere('entradasHistoria', { pacienteId: parseInt(pacienteId) });
+    }
+
+    async createEntradaHistoria(entradaData) {
+        const { pacienteId, tipo, texto, autorId, autor, usuarioId, enmiendaDe, motivo } = entradaData;
+        if (!pacienteId || !tipo || !texto) {
+            throw new Error('pacienteId, tipo y texto son requeridos para registrar una entrada de historia clínica');
+        }
+        if (!Object.hasOwn(TIPOS_ENTRADA_HISTORIA, tipo)) {
+            throw new Error(`Tipo de entrada de historia clínica inválido: '${tipo}'`);
+        }
+        await this.getPacienteById(pacienteId);
+        if (enmiendaDe != null) {
+            const original = await this.getEntradaHistoriaById(enmiendaDe);
+            if (original.pacienteId !== parseInt(pacienteId) || original.enmiendaDe != null) {
+                throw new Error(`La entrada ${enmiendaDe} no puede enmendarse desde el paciente ${pacienteId}`);
+            }
+        }
+
+        return await this.create('entradasHistoria', {
+            pacienteId: parseInt(pacienteId),
+            tipo,
+            texto,
+            autorId: autorId ?? null,
+            autor: autor || 'sistema',
+            usuarioId: usuarioId ?? null,
+            fecha: new Date().toISOString(),
+            enmiendaDe: enmiendaDe ?? null,
+            motivo: motivo || null
+        });
+    }
+
+    // CATEGORÍAS DE INSUMOS
+    async getAllCategorias() {
+        return await this.getAll('categorias');
+    }
+
+    async getCategoriaById(id) {
+        return await this.getById('categorias', id);
+    }
+
+    async createCategoria(categoriaData) {
+        const { nombre, descripcion } = categoriaData;
+        if (!nombre) {
+            throw new Error('El nombre es requerido para crear una categoría');
+        }
+        return await this.create('categorias', { nombre, descripcion: descripcion || '' });
+    }
+
+    async updateCategoria(id, categoriaData) {
+        return await this.update('categorias', id, categoriaData);
+    }
+
+    async deleteCategoria(id) {
+        return await this.delete('categorias', id);
+    }
+
+    async getInsumosByCategoria(categoriaId) {
+        return await this.getWhere('insumos', { categoriaId: parseInt(categoriaId) });
+    }
+
     // INSUMOS
     async getAllInsumos() {
         return await this.getAll('insumos');
@@ -303,24 +945,130 @@ class DatabaseService {
         return await this.getById('insumos', id);
     }
 
-    async createInsumo(insumoData) {
-        const { nombre, stock, unidad } = insumoData;
+    // El stock inicial se registra como un movimiento de entrada
+    async createInsumo(insumoData, datosMovimiento = {}) {
+        const { nombre, stock, unidad, categoriaId, descripcion, stockMinimo, puntoReposicion } = insumoData;
         if (!nombre || stock === undefined || !unidad) {
             throw new Error('Nombre, stock y unidad son requeridos para crear un insumo');
         }
-        return await this.create('insumos', { nombre, stock, unidad });
+        return await this.transaction(async () => {
+            if (categoriaId != null) {
+                await this.getCategoriaById(categoriaId);
+            }
+            const insumo = await this.create('insumos', {
+                nombre,
+                stock: 0,
+                unidad,
+                categoriaId: categoriaId ?? null,
+                descripcion: descripcion || '',
+                stockMinimo: stockMinimo ?? STOCK_MINIMO_POR_DEFECTO,
+                puntoReposicion: puntoReposicion ?? stockMinimo ?? STOCK_MINIMO_POR_DEFECTO
+            });
+            if (stock > 0) {
+                await this.registrarMovimientoInsumo(insumo.id, {
+                    motivo: 'Alta de insumo',
+                    ...datosMovimiento,
+                    tipo: 'entrada',
+                    cantidad: stock
+                });
+            }
+            return await this.getInsumoById(insumo.id);
+        });
     }
 
-    async updateInsumo(id, insumoData) {
-        return await this.update('insumos', id, insumoData);
+    // Un cambio de stock se registra como ajuste, nunca se sobrescribe
+    async updateInsumo(id, insumoData, datosMovimiento = {}) {
+        const { stock, ...otrosDatos } = insumoData;
+        if (otrosDatos.categoriaId != null) {
+            await this.getCategoriaById(otrosDatos.categoriaId);
+        }
+        let insumo = await this.update('insumos', id, otrosDatos);
+        if (stock !== undefined) {
+            insumo = await this.updateStockInsumo(id, stock, datosMovimiento);
+        }
+        return insumo;
     }
 
     async deleteInsumo(id) {
         return await this.delete('insumos', id);
     }
 
-    async updateStockInsumo(id, nuevoStock) {
-        return await this.update('insumos', id, { stock: nuevoStock });
+    async updateStockInsumo(id, nuevoStock, datosMovimiento = {}) {
+        const insumo = await this.getInsumoById(id);
+        const diferencia = nuevoStock - (insumo.stock || 0);
+        if (diferencia === 0) {
+            return insumo;
+        }
+        await this.registrarMovimientoInsumo(id, {
+            motivo: 'Actualización de stock',
+            ...datosMovimiento,
+            tipo: 'ajuste',
+            cantidad: diferencia
+        });
+        return await this.getInsumoById(id);
+    }
+
+    // MOVIMIENTOS DE STOCK (inmutables: solo se agregan)
+    async getAllMovimientosInsumos() {
+        return await this.getAll('movimientosInsumos');
+    }
+
+    async getMovimientosByInsumo(insumoId) {
+        return await this.getWhere('movimientosInsumos', { insumoId: parseInt(insumoId) });
+    }
+
+    // Aplicar un movimiento: se guarda junto con el nuevo stock en una sola transacción
+    async registrarMovimientoInsumo(insumoId, movimientoData) {
+        const { tipo, cantidad, motivo, usuarioId, usuario, areaId } = movimientoData;
+        if (!Object.hasOwn(TIPOS_MOVIMIENTO_INSUMO, tipo)) {
+            throw new Error(`Tipo de movimiento '${tipo}' inválido`);
+        }
+        if (!Number.isFinite(cantidad) || cantidad === 0 || (tipo !== 'ajuste' && cantidad < 0)) {
+            throw new Error(`Cantidad '${cantidad}' inválida para un movimiento de tipo '${tipo}'`);
+        }
+
+        // El stock se lee dentro de la transacción: dos movimientos simultáneos no parten del mismo saldo
+        return await this.transaction(async () => {
+            const insumo = await this.getInsumoById(insumoId);
+            const stockAnterior = insumo.stock || 0;
+            const stockResultante = stockAnterior + TIPOS_MOVIMIENTO_INSUMO[tipo] * cantidad;
+            if (stockResultante < 0) {
+                throw errorConCodigo(`Stock insuficiente de '${insumo.nombre}': hay ${stockAnterior} ${insumo.unidad}`, 'INSUFFICIENT_STOCK');
+            }
+
+            const fecha = new Date().toISOString();
+            const movimiento = await this.create('movimientosInsumos', {
+                insumoId: insumo.id,
+                tipo,
+                cantidad,
+                stockAnterior,
+                stockResultante,
+                motivo: motivo || null,
+                usuarioId: usuarioId ?? null,
+                usuario: usuario || 'sistema',
+                areaId: areaId ?? null,
+                fecha
+            });
+            await this.update('insumos', insumo.id, { stock: stockResultante, stockActualizadoEn: fecha });
+            return movimiento;
+        });
+    }
+
+    // Registrar la diferencia entre el stock guardado y el saldo de los movimientos
+    // (sin modificar el stock, que se toma como el valor real)
+    async registrarConciliacionInsumo(insumoId, saldoMovimientos, motivo) {
+        const insumo = await this.getInsumoById(insumoId);
+        return await this.create('movimientosInsumos', {
+            insumoId: insumo.id,
+            tipo: 'ajuste',
+            cantidad: (insumo.stock || 0) - saldoMovimientos,
+            stockAnterior: saldoMovimientos,
+            stockResultante: insumo.stock || 0,
+            motivo,
+            usuarioId: null,
+            usuario: 'sistema',
+            fecha: new Date().toISOString()
+        });
     }
 
     // TAREAS
@@ -333,38 +1081,396 @@ class DatabaseService {
     }
 
     async getTareasByEmpleado(empleadoId) {
-        await this.ensureDataLoaded();
-        return this.data.tareas.filter(t => t.empleadoId === parseInt(empleadoId));
+        return await this.getWhere('tareas', { empleadoId: parseInt(empleadoId) });
     }
 
     async getTareasByPaciente(pacienteId) {
-        await this.ensureDataLoaded();
-        return this.data.tareas.filter(t => t.pacienteId === parseInt(pacienteId));
+        return await this.getWhere('tareas', { pacienteId: parseInt(pacienteId) });
     }
 
     async getTareasByEstado(estado) {
-        await this.ensureDataLoaded();
-        return this.data.tareas.filter(t => t.estado === estado);
+        return await this.getWhere('tareas', { estado: { eq: estado } });
     }
 
-    async createTarea(tareaData) {
+    // El estado inicial queda registrado como primera transición
+    async createTarea(tareaData, datosTransicion = {}) {
         const { descripcion, empleadoId, estado, fecha } = tareaData;
         if (!descripcion || !empleadoId || !estado || !fecha) {
             throw new Error('Descripción, empleadoId, estado y fecha son requeridos para crear una tarea');
         }
-        return await this.create('tareas', tareaData);
+        if (!Object.hasOwn(TRANSICIONES_TAREA, estado)) {
+            throw new Error(`Estado de tarea '${estado}' inválido`);
+        }
+        return await this.transaction(async () => {
+            const tarea = await this.create('tareas', {
+                descripcion,
+                empleadoId,
+                pacienteId: tareaData.pacienteId ?? null,
+                estado,
+                fecha,
+                creadaPor: tareaData.creadaPor ?? null
+            });
+            await this.create('transicionesTareas', {
+                tareaId: tarea.id,
+                estadoAnterior: null,
+                estadoNuevo: estado,
+                comentario: datosTransicion.comentario || 'Tarea creada',
+                usuarioId: datosTransicion.usuarioId ?? null,
+                usuario: datosTransicion.usuario || 'sistema',
+                fecha: new Date().toISOString()
+            });
+            return tarea;
+        });
     }
 
-    async updateTarea(id, tareaData) {
-        return await this.update('tareas', id, tareaData);
+    // Un cambio de estado se registra como transición, nunca se sobrescribe
+    async updateTarea(id, tareaData, datosTransicion = {}) {
+        const { estado, ...otrosDatos } = tareaData;
+        let tarea = await this.update('tareas', id, otrosDatos);
+        if (estado !== undefined && estado !== tarea.estado) {
+            tarea = await this.updateEstadoTarea(id, estado, datosTransicion);
+        }
+        return tarea;
     }
 
+    // Las transiciones de la tarea se eliminan en cascada
     async deleteTarea(id) {
         return await this.delete('tareas', id);
     }
 
-    async updateEstadoTarea(id, nuevoEstado) {
-        return await this.update('tareas', id, { estado: nuevoEstado });
+    async updateEstadoTarea(id, nuevoEstado, datosTransicion = {}) {
+        await this.registrarTransicionTarea(id, { ...datosTransicion, estado: nuevoEstado });
+        return await this.getTareaById(id);
+    }
+
+    // TRANSICIONES DE TAREAS
+    async getAllTransicionesTareas() {
+        return await this.getAll('transicionesTareas');
+    }
+
+    async getTransicionesByTarea(tareaId) {
+        return await this.getWhere('transicionesTareas', { tareaId: parseInt(tareaId) });
+    }
+
+    // Cambiar el estado de una tarea y registrar la transición (en una sola transacción)
+    async registrarTransicionTarea(tareaId, transicionData) {
+        const { estado, comentario, usuarioId, usuario } = transicionData;
+        return await this.transaction(async () => {
+            const tarea = await this.getTareaById(tareaId);
+            const permitidos = TRANSICIONES_TAREA[tarea.estado] || [];
+            if (!permitidos.includes(estado)) {
+                throw errorConCodigo(`Transición de tarea inválida: '${tarea.estado}' → '${estado}'`, 'INVALID_TRANSITION', {
+                    estadoActual: tarea.estado,
+                    permitidos
+                });
+            }
+
+            const fecha = new Date().toISOString();
+            const transicion = await this.create('transicionesTareas', {
+                tareaId: tarea.id,
+                estadoAnterior: tarea.estado,
+                estadoNuevo: estado,
+                comentario: comentario || null,
+                usuarioId: usuarioId ?? null,
+                usuario: usuario || 'sistema',
+                fecha
+            });
+            await this.update('tareas', tarea.id, { estado, estadoActualizadoEn: fecha });
+            return transicion;
+        });
+    }
+
+    // CITAS
+    async getAllCitas() {
+        return await this.getAll('citas');
+    }
+
+    async getCitaById(id) {
+        return await this.getById('citas', id);
+    }
+
+    async getCitasByMedico(medicoId) {
+        return await this.getWhere('citas', { medicoId: parseInt(medicoId) });
+    }
+
+    async getCitasByPaciente(pacienteId) {
+        return await this.getWhere('citas', { pacienteId: parseInt(pacienteId) });
+    }
+
+    async createCita(citaData) {
+        const { pacienteId, medicoId, inicio, fin, motivo } = citaData;
+        if (!pacienteId || !medicoId || !inicio || !fin || !motivo) {
+            throw new Error('Paciente, médico, inicio, fin y motivo son requeridos para crear una cita');
+        }
+        return await this.create('citas', {
+            pacienteId,
+            medicoId,
+            inicio,
+            fin,
+            motivo,
+            estado: citaData.estado || 'programada',
+            creadaPor: citaData.creadaPor || null,
+            creadaEn: new Date().toISOString()
+        });
+    }
+
+    async updateCita(id, citaData) {
+        return await this.update('citas', id, {
+            ...citaData,
+            actualizadaEn: new Date().toISOString()
+        });
+    }
+
+    // TOKENS REVOCADOS
+    async getAllTokensRevocados() {
+        return await this.getAll('tokensRevocados');
+    }
+
+    async createTokenRevocado(revocacionData) {
+        const { jti, familia, usuarioId, expiraEn, motivo } = revocacionData;
+        if (!usuarioId || !expiraEn) {
+            throw new Error('usuarioId y expiraEn son requeridos para revocar un token');
+        }
+        return await this.create('tokensRevocados', {
+            jti: jti || null,
+            familia: familia || null,
+            usuarioId,
+            motivo: motivo || null,
+            revocadoEn: new Date().toISOString(),
+            expiraEn
+        });
+    }
+
+    // Revocaciones que pueden afectar a un token: la del token, la de su familia
+    // y las de todas las sesiones de su usuario
+    async getRevocacionesAplicables(jti, familia, usuarioId) {
+        return [
+            ...(jti ? await this.getWhere('tokensRevocados', { jti: { eq: jti } }) : []),
+            ...(familia ? await this.getWhere('tokensRevocados', { familia: { eq: familia } }) : []),
+            ...await this.getWhere('tokensRevocados', { usuarioId: parseInt(usuarioId), jti: null, familia: null })
+        ];
+    }
+
+    // Eliminar revocaciones cuyo token ya expiró (no hace falta recordarlas)
+    async deleteTokensRevocadosExpirados(fechaReferencia = new Date()) {
+        return await this.deleteWhere('tokensRevocados', t => new Date(t.expiraEn) <= fechaReferencia);
+    }
+
+    // REFRESH TOKENS
+    async getAllRefreshTokens() {
+        return await this.getAll('refreshTokens');
+    }
+
+    async getRefreshTokenByHash(tokenHash) {
+        const [refreshToken] = await this.getWhere('refreshTokens', { tokenHash: { eq: tokenHash } });
+        if (!refreshToken) {
+            throw errorConCodigo('Refresh token no encontrado', 'NOT_FOUND', { tabla: 'refreshTokens' });
+        }
+        return refreshToken;
+    }
+
+    async getRefreshTokensByFamilia(familia) {
+        return await this.getWhere('refreshTokens', { familia: { eq: familia } });
+    }
+
+    async createRefreshToken(refreshTokenData) {
+        const { tokenHash, usuarioId, familia, expiraEn, ip, userAgent, sesionIniciadaEn } = refreshTokenData;
+        if (!tokenHash || !usuarioId || !familia || !expiraEn) {
+            throw new Error('tokenHash, usuarioId, familia y expiraEn son requeridos para crear un refresh token');
+        }
+        return await this.create('refreshTokens', {
+            tokenHash,
+            usuarioId,
+            familia,
+            ip: ip || null,
+            userAgent: userAgent || null,
+            sesionIniciadaEn: sesionIniciadaEn || new Date().toISOString(),
+            creadoEn: new Date().toISOString(),
+            expiraEn,
+            usadoEn: null,
+            revocado: false
+        });
+    }
+
+    async updateRefreshToken(id, refreshTokenData) {
+        return await this.update('refreshTokens', id, refreshTokenData);
+    }
+
+    // Revocar todos los refresh tokens vigentes que cumplan un `where` de query()
+    async revocarRefreshTokens(where) {
+        return await this.transaction(async () => {
+            const afectados = await this.getWhere('refreshTokens', { ...where, revocado: false });
+            for (const refreshToken of afectados) {
+                await this.updateRefreshToken(refreshToken.id, { revocado: true });
+            }
+            return afectados.length;
+        });
+    }
+
+    async revocarRefreshTokensFamilia(familia) {
+        return await this.revocarRefreshTokens({ familia: { eq: familia } });
+    }
+
+    async revocarRefreshTokensUsuario(usuarioId) {
+        return await this.revocarRefreshTokens({ usuarioId: parseInt(usuarioId) });
+    }
+
+    async deleteRefreshTokensExpirados(fechaReferencia = new Date()) {
+        return await this.deleteWhere('refreshTokens', t => new Date(t.expiraEn) <= fechaReferencia);
+    }
+
+    // TOKENS DE RECUPERACIÓN DE CONTRASEÑA
+    async getResetTokenByHash(tokenHash) {
+        const [resetToken] = await this.getWhere('resetTokens', { tokenHash: { eq: tokenHash } });
+        if (!resetToken) {
+            throw errorConCodigo('Token de recuperación no encontrado', 'NOT_FOUND', { tabla: 'resetTokens' });
+        }
+        return resetToken;
+    }
+
+    async createResetToken(resetTokenData) {
+        const { usuarioId, tokenHash, expiraEn } = resetTokenData;
+        if (!usuarioId || !tokenHash || !expiraEn) {
+            throw new Error('usuarioId, tokenHash y expiraEn son requeridos para crear un token de recuperación');
+        }
+        return await this.create('resetTokens', {
+            usuarioId,
+            tokenHash,
+            creadoEn: new Date().toISOString(),
+            expiraEn,
+            usadoEn: null
+        });
+    }
+
+    async updateResetToken(id, resetTokenData) {
+        return await this.update('resetTokens', id, resetTokenData);
+    }
+
+    async deleteResetTokensByUsuario(usuarioId) {
+        return await this.deleteWhere('resetTokens', { usuarioId: parseInt(usuarioId) });
+    }
+
+    async deleteResetTokensExpirados(fechaReferencia = new Date()) {
+        return await this.deleteWhere('resetTokens', t => new Date(t.expiraEn) <= fechaReferencia);
+    }
+
+    // CUENTAS DE SERVICIO
+    async getAllCuentasServicio() {
+        return await this.getAll('cuentasServicio');
+    }
+
+    async getCuentaServicioById(id) {
+        return await this.getById('cuentasServicio', id);
+    }
+
+    async getCuentaServicioByNombre(nombre) {
+        const [cuenta] = await this.getWhere('cuentasServicio', { nombre: { eq: nombre } });
+        if (!cuenta) {
+            throw errorConCodigo(`Cuenta de servicio '${nombre}' no encontrada`, 'NOT_FOUND', { tabla: 'cuentasServicio' });
+        }
+        return cuenta;
+    }
+
+    async createCuentaServicio(cuentaData) {
+        const { nombre, descripcion } = cuentaData;
+        if (!nombre) {
+            throw new Error('Nombre es requerido para crear una cuenta de servicio');
+        }
+        return await this.create('cuentasServicio', {
+            nombre,
+            descripcion: descripcion || null,
+            activa: true,
+            creadaEn: new Date().toISOString()
+        });
+    }
+
+    async updateCuentaServicio(id, cuentaData) {
+        return await this.update('cuentasServicio', id, cuentaData);
+    }
+
+    async deleteCuentaServicio(id) {
+        return await this.delete('cuentasServicio', id);
+    }
+
+    // API KEYS
+    async getApiKeysByCuenta(cuentaServicioId) {
+        return await this.getWhere('apiKeys', { cuentaServicioId: parseInt(cuentaServicioId) });
+    }
+
+    async getApiKeyById(id) {
+        return await this.getById('apiKeys', id);
+    }
+
+    async getApiKeyByHash(keyHash) {
+        const [apiKey] = await this.getWhere('apiKeys', { keyHash: { eq: keyHash } });
+        if (!apiKey) {
+            throw errorConCodigo('API key no encontrada', 'NOT_FOUND', { tabla: 'apiKeys' });
+        }
+        return apiKey;
+    }
+
+    async createApiKey(apiKeyData) {
+        const { cuentaServicioId, prefijo, keyHash, permisos, expiraEn } = apiKeyData;
+        if (!cuentaServicioId || !prefijo || !keyHash || !Array.isArray(permisos)) {
+            throw new Error('cuentaServicioId, prefijo, keyHash y permisos son requeridos para crear una API key');
+        }
+        return await this.create('apiKeys', {
+            cuentaServicioId,
+            prefijo,
+            keyHash,
+            permisos,
+            creadaEn: new Date().toISOString(),
+            expiraEn: expiraEn || null,
+            ultimoUsoEn: null,
+            revocada: false
+        });
+    }
+
+    async updateApiKey(id, apiKeyData) {
+        return await this.update('apiKeys', id, apiKeyData);
+    }
+
+    // SUSCRIPCIONES A ALERTAS DE STOCK
+    async getAllSuscripcionesAlertas() {
+        return await this.getAll('suscripcionesAlertas');
+    }
+
+    async createSuscripcionAlerta(suscripcionData) {
+        const { destinatario, insumoId, nivelMinimo } = suscripcionData;
+        if (!destinatario || !nivelMinimo) {
+            throw new Error('Destinatario y nivelMinimo son requeridos para crear una suscripción');
+        }
+        return await this.create('suscripcionesAlertas', {
+            destinatario,
+            insumoId: insumoId ?? null,
+            nivelMinimo,
+            creadaEn: new Date().toISOString()
+        });
+    }
+
+    async deleteSuscripcionAlerta(id) {
+        return await this.delete('suscripcionesAlertas', id);
+    }
+
+    // ALERTAS DE STOCK
+    async getAllAlertasStock() {
+        return await this.getAll('alertasStock');
+    }
+
+    async createAlertaStock(alertaData) {
+        const { insumoId, nivel, stockAnterior, stockResultante, movimientoId, notificados } = alertaData;
+        if (!insumoId || !nivel) {
+            throw new Error('insumoId y nivel son requeridos para crear una alerta de stock');
+        }
+        return await this.create('alertasStock', {
+            insumoId,
+            nivel,
+            stockAnterior,
+            stockResultante,
+            movimientoId: movimientoId ?? null,
+            notificados: notificados || [],
+            fecha: new Date().toISOString()
+        });
     }
 
     // ==================== MÉTODOS DE CONSULTA AVANZADA ====================
@@ -377,7 +1483,9 @@ class DatabaseService {
         
         let detallesPerfil = {};
         if (perfil.tipo === 'empleado' && perfil.empleadoId) {
-            detallesPerfil.empleado = await this.getEmpleadoById(perfil.empleadoId);
+            const empleado = await this.getEmpleadoById(perfil.empleadoId);
+            const [area = null] = empleado.areaId != null ? await this.getWhere('areas', { id: empleado.areaId }) : [];
+            detallesPerfil.empleado = { ...empleado, area };
         } else if (perfil.tipo === 'paciente' && perfil.pacienteId) {
             detallesPerfil.paciente = await this.getPacienteById(perfil.pacienteId);
         }
@@ -395,39 +1503,34 @@ class DatabaseService {
     // Obtener tareas con detalles de empleado y paciente
     async getTareasCompletas() {
         const tareas = await this.getAllTareas();
-        const tareasCompletas = [];
-
-        for (const tarea of tareas) {
-            const empleado = await this.getEmpleadoById(tarea.empleadoId);
-            let paciente = null;
-            if (tarea.pacienteId) {
-                paciente = await this.getPacienteById(tarea.pacienteId);
-            }
-
-            tareasCompletas.push({
-                ...tarea,
-                empleado,
-                paciente
-            });
-        }
-
-        return tareasCompletas;
+        const empleados = await this.getAllEmpleados();
+        const pacientes = await this.getAllPacientes();
+
+        // Una referencia rota (datos anteriores a las validaciones) deja el detalle en null
+        // en lugar de impedir listar el resto
+        return tareas.map(tarea => ({
+            ...tarea,
+            empleado: empleados.find(e => e.id === tarea.empleadoId) || null,
+            paciente: tarea.pacienteId ? pacientes.find(p => p.id === tarea.pacienteId) || null : null
+        }));
     }
 
     // Obtener estadísticas generales
     async getEstadisticas() {
-        await this.ensureDataLoaded();
-        
-        const tareasPendientes = this.data.tareas.filter(t => t.estado === 'pendiente').length;
-        const tareasCompletadas = this.data.tareas.filter(t => t.estado === 'completada').length;
-        const insumosConBajoStock = this.data.insumos.filter(i => i.stock < 50).length;
+        const tareas = await this.getAllTareas();
+        const insumos = await this.getAllInsumos();
+
+        const tareasPendientes = tareas.filter(t => t.estado === 'pendiente').length;
+        const tareasCompletadas = tareas.filter(t => t.estado === 'completada').length;
+        const insumosConBajoStock = insumos
+            .filter(i => i.stock <= umbralesInsumo(i).puntoReposicion).length;
 
         return {
-            totalUsuarios: this.data.usuarios.length,
-            totalEmpleados: this.data.empleados.length,
-            totalPacientes: this.data.pacientes.length,
-            totalInsumos: this.data.insumos.length,
-            totalTareas: this.data.tareas.length,
+            totalUsuarios: (await this.getAllUsuarios()).length,
+            totalEmpleados: (await this.getAllEmpleados()).length,
+            totalPacientes: (await this.getAllPacientes()).length,
+            totalInsumos: insumos.length,
+            totalTareas: tareas.length,
             tareasPendientes,
             tareasCompletadas,
             insumosConBajoStock
@@ -0,0 +1,191 @@
+import databaseService, { TIPOS_ENTRADA_HISTORIA, errorConCodigo } from './database.service.js';
+
+/**
+ * Servicio de Historia Clínica
+ * La historia de cada paciente es una lista de entradas que solo crece: los médicos
+ * registran diagnósticos, evoluciones, alergias y medicación, y las correcciones se
+ * guardan como enmiendas de la entrada original, que nunca se modifica.
+ */
+class HistoriaService {
+    constructor() {
+        this.databaseService = databaseService;
+        this.tipos = Object.keys(TIPOS_ENTRADA_HISTORIA);
+        this.longitudMaxima = 2000;
+    }
+
+    /**
+     * Valida el texto de una entrada o enmienda
+     * @param {*} texto - Texto recibido
+     * @param {string} campo - Nombre del campo para el mensaje
+     * @returns {Array<string>} Lista de errores (vacía si es válido)
+     */
+    validarTexto(texto, campo = 'El texto') {
+        if (typeof texto !== 'string' || texto.trim().length < 3) {
+            return [`${campo} es requerido y debe tener al menos 3 caracteres`];
+        }
+        if (texto.trim().length > this.longitudMaxima) {
+            return [`${campo} no puede superar los ${this.longitudMaxima} caracteres`];
+        }
+        return [];
+    }
+
+    /**
+     * Datos del autor de una entrada: solo un empleado puede registrar en la historia
+     * @param {Object} usuario - Usuario completo que registra
+     * @returns {Object|null} { autorId, autor, usuarioId } o null si no es empleado
+     */
+    autorDe(usuario) {
+        const empleado = usuario?.perfil?.empleado;
+        if (!empleado) {
+            return null;
+        }
+        return {
+            autorId: empleado.id,
+            autor: empleado.nombre,
+            usuarioId: usuario.id
+        };
+    }
+
+    /**
+     * Historia clínica de un paciente: entradas de la más reciente a la más antigua,
+     * cada una con sus enmiendas en orden y el texto vigente
+     * @param {number} pacienteId - ID del paciente
+     * @returns {Promise<Array<Object>>} Entradas
+     */
+    async listar(pacienteId) {
+        const registros = [...await this.databaseService.getEntradasHistoriaByPaciente(pacienteId)]
+            .sort((a, b) => new Date(a.fecha) - new Date(b.fecha) || a.id - b.id);
+
+        return registros
+            .filter(entrada => entrada.enmiendaDe === null)
+            .map(entrada => {
+                const enmiendas = registros.filter(e => e.enmiendaDe === entrada.id);
+                const vigente = enmiendas[enmiendas.length - 1] || entrada;
+                return {
+                    ...entrada,
+                    tipoDescripcion: TIPOS_ENTRADA_HISTORIA[entrada.tipo],
+                    textoVigente: vigente.texto,
+                    actualizadaEn: vigente.fecha,
+                    enmiendas
+                };
+            })
+            .sort((a, b) => new Date(b.fecha) - new Date(a.fecha) || b.id - a.id);
+    }
+
+    /**
+     * Fecha del último registro (entrada o enmienda) de la historia de un paciente
+     * @param {number} pacienteId - ID del paciente
+     * @returns {Promise<string|null>} Fecha ISO o null si no tiene registros
+     */
+    async ultimaActualizacion(pacienteId) {
+        const registros = await this.databaseService.getEntradasHistoriaByPaciente(pacienteId);
+        return registros.reduce((ultima, e) => (!ultima || e.fecha > ultima ? e.fecha : ultima), null);
+    }
+
+    /**
+     * Registra una entrada nueva en la historia de un paciente
+     * @param {number} pacienteId - ID del paciente
+     * @param {Object} datos - { tipo, texto }
+     * @param {Object} usuario - Médico que registra la entrada
+     * @returns {Promise<Object>} Resultado con la entrada creada
+     */
+    async registrar(pacienteId, { tipo, texto }, usuario) {
+        const paciente = await this.databaseService.getPacienteById(pacienteId);
+
+        const errores = [];
+        if (!this.tipos.includes(tipo)) {
+            errores.push(`El tipo debe ser uno de: ${this.tipos.join(', ')}`);
+        }
+        errores.push(...this.validarTexto(texto));
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Entrada de historia clínica inválida',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const autor = this.autorDe(usuario);
+        if (!autor) {
+            return {
+                success: false,
+                message: 'Solo un profesional con perfil de empleado puede registrar en la historia clínica',
+                code: 'FORBIDDEN'
+            };
+        }
+
+        const entrada = await this.databaseService.createEntradaHistoria({
+            pacienteId: paciente.id,
+            tipo,
+            texto: texto.trim(),
+            ...autor
+        });
+
+        return {
+            success: true,
+            message: 'Entrada registrada en la historia clínica',
+            data: entrada
+        };
+    }
+
+    /**
+     * Registra una corrección de una entrada sin modificarla
+     * @param {number} pacienteId - ID del paciente
+     * @param {number} entradaId - ID de la entrada original (no de una enmienda)
+     * @param {Object} datos - { texto, motivo }
+     * @param {Object} usuario - Médico que registra la enmienda
+     * @returns {Promise<Object>} Resultado con la enmienda creada
+     */
+    async enmendar(pacienteId, entradaId, { texto, motivo }, usuario) {
+        const paciente = await this.databaseService.getPacienteById(pacienteId);
+        const original = await this.databaseService.getEntradaHistoriaById(entradaId);
+        if (original.pacienteId !== paciente.id) {
+            throw errorConCodigo(`Registro con ID ${entradaId} no encontrado en la tabla 'entradasHistoria'`, 'NOT_FOUND', { tabla: 'entradasHistoria' });
+        }
+
+        const errores = [
+            ...this.validarTexto(texto),
+            ...this.validarTexto(motivo, 'El motivo de la enmienda')
+        ];
+        if (original.enmiendaDe !== null) {
+            errores.push(`La entrada ${original.id} es una enmienda: hay que enmendar la entrada original ${original.enmiendaDe}`);
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Enmienda inválida',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const autor = this.autorDe(usuario);
+        if (!autor) {
+            return {
+                success: false,
+                message: 'Solo un profesional con perfil de empleado puede registrar en la historia clínica',
+                code: 'FORBIDDEN'
+            };
+        }
+
+        const enmienda = await this.databaseService.createEntradaHistoria({
+            pacienteId: paciente.id,
+            tipo: original.tipo,
+            texto: texto.trim(),
+            motivo: motivo.trim(),
+            enmiendaDe: original.id,
+            ...autor
+        });
+
+        return {
+            success: true,
+            message: 'Enmienda registrada',
+            data: enmienda
+        };
+    }
+}
+
+// Exportar instancia singleton
+const historiaService = new HistoriaService();
+export default historiaService;
@@ -0,0 +1,577 @@
+import databaseService, { TIPOS_MOVIMIENTO_INSUMO, NIVELES_STOCK, umbralesInsumo } from './database.service.js';
+import mensajeriaService from './mensajeria.service.js';
+
+/**
+ * Servicio de Insumos
+ * Registra cada cambio de stock como un movimiento inmutable
+ * (entrada, salida, ajuste o merma) y concilia el stock con esos movimientos.
+ * Calcula el estado del stock según los umbrales de cada insumo y avisa
+ * a los suscriptores cuando un movimiento lo empeora.
+ */
+class InsumoService {
+    constructor() {
+        this.databaseService = databaseService;
+        this.mensajeriaService = mensajeriaService;
+        this.tiposMovimiento = Object.keys(TIPOS_MOVIMIENTO_INSUMO);
+
+        // Estados del stock, de menor a mayor gravedad
+        this.nivelesStock = NIVELES_STOCK;
+
+        // Cantidad de alertas recientes que se muestran por defecto
+        this.limiteAlertas = 50;
+
+        // Datos descriptivos que se pueden modificar (el stock solo cambia con movimientos)
+        this.camposEditables = ['nombre', 'unidad', 'categoriaId', 'descripcion'];
+    }
+
+    /**
+     * Valida los datos descriptivos de un insumo
+     * @param {Object} datos - Datos a validar
+     * @param {boolean} parcial - True en modificaciones (los campos ausentes no se validan)
+     * @returns {Promise<Array<string>>} Lista de errores (vacía si son válidos)
+     */
+    async validarDatos(datos, parcial = false) {
+        const errores = [];
+
+        if (!parcial || datos.nombre !== undefined) {
+            if (typeof datos.nombre !== 'string' || datos.nombre.trim().length < 2) {
+                errores.push('El nombre es requerido y debe tener al menos 2 caracteres');
+            } else if (datos.nombre.trim().length > 100) {
+                errores.push('El nombre no puede superar los 100 caracteres');
+            }
+        }
+
+        if (!parcial || datos.unidad !== undefined) {
+            if (typeof datos.unidad !== 'string' || datos.unidad.trim().length === 0) {
+                errores.push('La unidad es requerida');
+            } else if (datos.unidad.trim().length > 30) {
+                errores.push('La unidad no puede superar los 30 caracteres');
+            }
+        }
+
+        if (datos.descripcion !== undefined && datos.descripcion !== null) {
+            if (typeof datos.descripcion !== 'string') {
+                errores.push('La descripción debe ser texto');
+            } else if (datos.descripcion.trim().length > 500) {
+                errores.push('La descripción no puede superar los 500 caracteres');
+            }
+        }
+
+        if (datos.categoriaId !== undefined && datos.categoriaId !== null) {
+            const categorias = await this.databaseService.getAllCategorias();
+            if (!categorias.some(c => c.id === datos.categoriaId)) {
+                errores.push(`La categoría ${datos.categoriaId} no existe`);
+            }
+        }
+
+        return errores;
+    }
+
+    /**
+     * Toma solo los campos editables y los normaliza
+     * @param {Object} datos - Datos recibidos
+     * @returns {Object} Datos listos para guardar
+     */
+    limpiarDatos(datos) {
+        const limpios = {};
+        for (const campo of this.camposEditables) {
+            if (datos[campo] !== undefined) {
+                limpios[campo] = typeof datos[campo] === 'string' ? datos[campo].trim() : datos[campo];
+            }
+        }
+        if (limpios.descripcion === null) {
+            limpios.descripcion = '';
+        }
+        return limpios;
+    }
+
+    /**
+     * Da de alta un insumo; el stock inicial se registra como movimiento de entrada
+     * @param {Object} datos - { nombre, unidad, categoriaId, descripcion, stock, stockMinimo, puntoReposicion }
+     * @param {Object} usuario - Usuario que da de alta el insumo
+     * @returns {Promise<Object>} Resultado de la creación
+     */
+    async crear(datos, usuario) {
+        const errores = await this.validarDatos(datos);
+        const stock = datos.stock ?? 0;
+        if (typeof stock !== 'number' || !Number.isFinite(stock) || stock < 0) {
+            errores.push('El stock inicial debe ser un número mayor o igual a cero');
+        }
+        if (datos.stockMinimo !== undefined) {
+            errores.push(...this.validarUmbrales(datos));
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de insumo inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const insumo = await this.databaseService.createInsumo({
+            ...this.limpiarDatos(datos),
+            stock,
+            stockMinimo: datos.stockMinimo,
+            puntoReposicion: datos.puntoReposicion
+        }, {
+            usuarioId: usuario?.id,
+            usuario: usuario?.usuario
+        });
+
+        return {
+            success: true,
+            message: 'Insumo creado',
+            data: this.conEstado(insumo)
+        };
+    }
+
+    /**
+     * Modifica los datos descriptivos de un insumo
+     * @param {number} id - ID del insumo
+     * @param {Object} datos - Campos a modificar
+     * @returns {Promise<Object>} Resultado de la modificación
+     */
+    async actualizar(id, datos) {
+        await this.databaseService.getInsumoById(id);
+
+        const errores = await this.validarDatos(datos, true);
+        const limpios = this.limpiarDatos(datos);
+        if (datos.stock !== undefined) {
+            errores.push('El stock no se modifica directamente: registrá un movimiento');
+        }
+        if (errores.length === 0 && Object.keys(limpios).length === 0) {
+            errores.push(`Debe indicar al menos un campo: ${this.camposEditables.join(', ')}`);
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de insumo inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const insumo = await this.databaseService.updateInsumo(id, limpios);
+        return {
+            success: true,
+            message: 'Insumo actualizado',
+            data: this.conEstado(insumo)
+        };
+    }
+
+    /**
+     * Calcula el estado del stock de un insumo según sus umbrales
+     * @param {Object} insumo - Insumo (se puede pasar otro stock para evaluar)
+     * @param {number} stock - Stock a evaluar (por defecto el actual)
+     * @returns {string} 'agotado', 'bajo' (hasta el mínimo), 'reponer' (hasta el punto de reposición) o 'normal'
+     */
+    estadoStock(insumo, stock = insumo.stock || 0) {
+        const { stockMinimo, puntoReposicion } = umbralesInsumo(insumo);
+        if (stock <= 0) {
+            return 'agotado';
+        }
+        if (stock <= stockMinimo) {
+            return 'bajo';
+        }
+        if (stock <= puntoReposicion) {
+            return 'reponer';
+        }
+        return 'normal';
+    }
+
+    /**
+     * Agrega al insumo sus umbrales efectivos y el estado del stock
+     * @param {Object} insumo - Insumo
+     * @returns {Object} Insumo con stockMinimo, puntoReposicion y estado
+     */
+    conEstado(insumo) {
+        return {
+            ...insumo,
+            ...umbralesInsumo(insumo),
+            estado: this.estadoStock(insumo)
+        };
+    }
+
+    /**
+     * Valida los umbrales de stock de un insumo
+     * @param {Object} datos - { stockMinimo, puntoReposicion }
+     * @returns {Array<string>} Lista de errores (vacía si son válidos)
+     */
+    validarUmbrales({ stockMinimo, puntoReposicion }) {
+        const errores = [];
+        const esCantidad = valor => typeof valor === 'number' && Number.isFinite(valor) && valor >= 0;
+        if (!esCantidad(stockMinimo)) {
+            errores.push('El stock mínimo debe ser un número mayor o igual a cero');
+        }
+        if (puntoReposicion !== undefined && !esCantidad(puntoReposicion)) {
+            errores.push('El punto de reposición debe ser un número mayor o igual a cero');
+        }
+        if (errores.length === 0 && puntoReposicion !== undefined && puntoReposicion < stockMinimo) {
+            errores.push('El punto de reposición no puede ser menor al stock mínimo');
+        }
+        return errores;
+    }
+
+    /**
+     * Configura el stock mínimo y el punto de reposición de un insumo
+     * @param {number} insumoId - ID del insumo
+     * @param {Object} datos - { stockMinimo, puntoReposicion } (sin punto de reposición se usa el mínimo)
+     * @returns {Promise<Object>} Resultado con el insumo actualizado
+     */
+    async actualizarUmbrales(insumoId, datos) {
+        await this.databaseService.getInsumoById(insumoId);
+
+        const errores = this.validarUmbrales(datos);
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Umbrales de stock inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const insumo = await this.databaseService.updateInsumo(insumoId, {
+            stockMinimo: datos.stockMinimo,
+            puntoReposicion: datos.puntoReposicion ?? datos.stockMinimo
+        });
+
+        return {
+            success: true,
+            message: 'Umbrales de stock actualizados',
+            data: this.conEstado(insumo)
+        };
+    }
+
+    /**
+     * Lista los insumos que llegaron a su punto de reposición, del más grave al menos grave
+     * @returns {Promise<Array<Object>>} Insumos con estado y cantidad faltante para el punto de reposición
+     */
+    async listarStockBajo() {
+        const insumos = await this.databaseService.getAllInsumos();
+        return insumos
+            .map(insumo => this.conEstado(insumo))
+            .filter(insumo => insumo.estado !== 'normal')
+            .map(insumo => ({
+                ...insumo,
+                faltante: Math.max(insumo.puntoReposicion - (insumo.stock || 0), 0)
+            }))
+            .sort((a, b) => this.nivelesStock.indexOf(b.estado) - this.nivelesStock.indexOf(a.estado) ||
+                a.nombre.localeCompare(b.nombre, 'es'));
+    }
+
+    /**
+     * Interpreta una fecha 'AAAA-MM-DD' como el inicio o el fin de ese día (hora local)
+     * @param {string} valor - Fecha recibida
+     * @param {boolean} finDelDia - True para tomar las 23:59:59.999
+     * @returns {Date|null} Fecha o null si no es válida
+     */
+    parsearFecha(valor, finDelDia = false) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(valor || '')) {
+            return null;
+        }
+        const fecha = new Date(`${valor}T${finDelDia ? '23:59:59.999' : '00:00:00'}`);
+        return isNaN(fecha.getTime()) ? null : fecha;
+    }
+
+    /**
+     * Valida los datos de un movimiento
+     * @param {Object} datos - { tipo, cantidad, motivo }
+     * @returns {Array<string>} Lista de errores (vacía si es válido)
+     */
+    validarMovimiento({ tipo, cantidad, motivo }) {
+        const errores = [];
+        if (!this.tiposMovimiento.includes(tipo)) {
+            errores.push(`El tipo debe ser uno de: ${this.tiposMovimiento.join(', ')}`);
+        }
+        if (typeof cantidad !== 'number' || !Number.isFinite(cantidad) || cantidad === 0) {
+            errores.push('La cantidad debe ser un número distinto de cero');
+        } else if (tipo !== 'ajuste' && cantidad < 0) {
+            errores.push('La cantidad debe ser positiva (solo los ajustes pueden ser negativos)');
+        }
+        if (typeof motivo !== 'string' || motivo.trim().length === 0) {
+            errores.push('El motivo es requerido');
+        }
+        return errores;
+    }
+
+    /**
+     * Registra un movimiento de stock
+     * @param {number} insumoId - ID del insumo
+     * @param {Object} datos - { tipo, cantidad, motivo, areaId } (sin área se usa la del usuario)
+     * @param {Object} usuario - Usuario que registra el movimiento
+     * @returns {Promise<Object>} Resultado con el movimiento registrado
+     */
+    async registrarMovimiento(insumoId, datos, usuario) {
+        const insumo = await this.databaseService.getInsumoById(insumoId);
+
+        const errores = this.validarMovimiento(datos);
+        if (datos.areaId !== undefined && datos.areaId !== null) {
+            if (!Number.isInteger(datos.areaId)) {
+                errores.push('El areaId debe ser un número');
+            } else if (!(await this.databaseService.getAllAreas()).some(a => a.id === datos.areaId)) {
+                errores.push(`El área ${datos.areaId} no existe`);
+            }
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Movimiento inválido',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        // El saldo se verifica dentro de la transacción del movimiento, no acá:
+        // una verificación previa podría partir de un stock que ya cambió
+        let movimiento;
+        try {
+            movimiento = await this.databaseService.registrarMovimientoInsumo(insumo.id, {
+                tipo: datos.tipo,
+                cantidad: datos.cantidad,
+                motivo: datos.motivo.trim(),
+                usuarioId: usuario?.id,
+                usuario: usuario?.usuario,
+                areaId: datos.areaId ?? usuario?.perfil?.empleado?.areaId ?? null
+            });
+        } catch (error) {
+            if (error.code === 'INSUFFICIENT_STOCK') {
+                return {
+                    success: false,
+                    message: error.message,
+                    code: 'INSUFFICIENT_STOCK'
+                };
+            }
+            throw error;
+        }
+        const alerta = await this.evaluarAlerta(await this.databaseService.getInsumoById(insumo.id), movimiento);
+
+        return {
+            success: true,
+            message: 'Movimiento registrado',
+            data: movimiento,
+            alerta
+        };
+    }
+
+    /**
+     * Registra una alerta y avisa a los suscriptores si el movimiento
+     * empeoró el estado del stock (por ejemplo, de normal a reponer o de bajo a agotado)
+     * @param {Object} insumo - Insumo ya actualizado por el movimiento
+     * @param {Object} movimiento - Movimiento registrado
+     * @returns {Promise<Object|null>} Alerta registrada o null si el estado no empeoró
+     */
+    async evaluarAlerta(insumo, movimiento) {
+        const nivelAnterior = this.estadoStock(insumo, movimiento.stockAnterior);
+        const nivel = this.estadoStock(insumo, movimiento.stockResultante);
+        if (this.nivelesStock.indexOf(nivel) <= this.nivelesStock.indexOf(nivelAnterior)) {
+            return null;
+        }
+
+        const suscripciones = await this.databaseService.getAllSuscripcionesAlertas();
+        const destinatarios = [...new Set(suscripciones
+            .filter(s => s.insumoId === null || s.insumoId === insumo.id)
+            .filter(s => this.nivelesStock.indexOf(nivel) >= this.nivelesStock.indexOf(s.nivelMinimo))
+            .map(s => s.destinatario))];
+
+        const { stockMinimo, puntoReposicion } = umbralesInsumo(insumo);
+        const notificados = [];
+        for (const destinatario of destinatarios) {
+            try {
+                await this.mensajeriaService.enviar({
+                    para: destinatario,
+                    asunto: `Alerta de stock (${nivel}): ${insumo.nombre}`,
+                    texto: `El stock de ${insumo.nombre} pasó de ${movimiento.stockAnterior} a ` +
+                        `${movimiento.stockResultante} ${insumo.unidad} (${movimiento.tipo}: ${movimiento.motivo}).\n` +
+                        `Stock mínimo: ${stockMinimo} · Punto de reposición: ${puntoReposicion}`
+                });
+                notificados.push(destinatario);
+            } catch (error) {
+                // Una falla de envío no debe revertir el movimiento ya registrado
+                console.error(`Error enviando alerta de stock a ${destinatario}:`, error.message);
+            }
+        }
+
+        return await this.databaseService.createAlertaStock({
+            insumoId: insumo.id,
+            nivel,
+            stockAnterior: movimiento.stockAnterior,
+            stockResultante: movimiento.stockResultante,
+            movimientoId: movimiento.id,
+            notificados
+        });
+    }
+
+    /**
+     * Lista las alertas de stock, de la más reciente a la más antigua
+     * @param {number} limite - Cantidad máxima de alertas
+     * @returns {Promise<Array<Object>>} Alertas registradas
+     */
+    async listarAlertas(limite = this.limiteAlertas) {
+        const alertas = await this.databaseService.getAllAlertasStock();
+        return [...alertas]
+            .sort((a, b) => new Date(b.fecha) - new Date(a.fecha) || b.id - a.id)
+            .slice(0, limite);
+    }
+
+    /**
+     * Lista quiénes reciben las alertas de stock
+     * @returns {Promise<Array<Object>>} Suscripciones registradas
+     */
+    async listarSuscripciones() {
+        return await this.databaseService.getAllSuscripcionesAlertas();
+    }
+
+    /**
+     * Suscribe un destinatario a las alertas de stock
+     * @param {Object} datos - { destinatario, insumoId (opcional, null = todos), nivelMinimo (por defecto 'reponer') }
+     * @returns {Promise<Object>} Resultado con la suscripción creada
+     */
+    async crearSuscripcion({ destinatario, insumoId, nivelMinimo = 'reponer' }) {
+        const errores = [];
+        const nivelesAlerta = this.nivelesStock.filter(nivel => nivel !== 'normal');
+        if (typeof destinatario !== 'string' || destinatario.trim().length === 0) {
+            errores.push('El destinatario es requerido');
+        } else if (destinatario.trim().length > 200) {
+            errores.push('El destinatario no puede superar los 200 caracteres');
+        }
+        if (!nivelesAlerta.includes(nivelMinimo)) {
+            errores.push(`El nivel mínimo debe ser uno de: ${nivelesAlerta.join(', ')}`);
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Suscripción inválida',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const insumo = insumoId ? await this.databaseService.getInsumoById(insumoId) : null;
+        const suscripciones = await this.databaseService.getAllSuscripcionesAlertas();
+        const duplicada = suscripciones.some(s =>
+            s.destinatario === destinatario.trim() && s.insumoId === (insumo ? insumo.id : null));
+        if (duplicada) {
+            return {
+                success: false,
+                message: 'El destinatario ya está suscripto a las alertas de ese insumo',
+                code: 'DUPLICATE_SUBSCRIPTION'
+            };
+        }
+
+        const suscripcion = await this.databaseService.createSuscripcionAlerta({
+            destinatario: destinatario.trim(),
+            insumoId: insumo ? insumo.id : null,
+            nivelMinimo
+        });
+
+        return {
+            success: true,
+            message: 'Suscripción creada',
+            data: suscripcion
+        };
+    }
+
+    /**
+     * Elimina una suscripción a las alertas de stock
+     * @param {number} id - ID de la suscripción
+     * @returns {Promise<Object>} Resultado de la baja
+     */
+    async eliminarSuscripcion(id) {
+        await this.databaseService.deleteSuscripcionAlerta(id);
+        return {
+            success: true,
+            message: 'Suscripción eliminada'
+        };
+    }
+
+    /**
+     * Lista movimientos, del más reciente al más antiguo
+     * @param {Object} filtros - { insumoId, tipo, areaId, desde, hasta } (fechas 'AAAA-MM-DD', inclusive)
+     * @returns {Promise<Object>} Resultado con los movimientos filtrados
+     */
+    async listarMovimientos({ insumoId, tipo, areaId, desde, hasta } = {}) {
+        const errores = [];
+        const fechaDesde = desde ? this.parsearFecha(desde) : null;
+        const fechaHasta = hasta ? this.parsearFecha(hasta, true) : null;
+        if (desde && !fechaDesde) {
+            errores.push("La fecha 'desde' debe tener el formato AAAA-MM-DD");
+        }
+        if (hasta && !fechaHasta) {
+            errores.push("La fecha 'hasta' debe tener el formato AAAA-MM-DD");
+        }
+        if (fechaDesde && fechaHasta && fechaDesde > fechaHasta) {
+            errores.push("La fecha 'desde' no puede ser posterior a 'hasta'");
+        }
+        if (tipo && !this.tiposMovimiento.includes(tipo)) {
+            errores.push(`El tipo debe ser uno de: ${this.tiposMovimiento.join(', ')}`);
+        }
+        if (areaId && isNaN(parseInt(areaId))) {
+            errores.push('El areaId debe ser un número');
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Filtros inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const movimientos = insumoId
+            ? await this.databaseService.getMovimientosByInsumo(insumoId)
+            : await this.databaseService.getAllMovimientosInsumos();
+
+        const filtrados = movimientos
+            .filter(m => !tipo || m.tipo === tipo)
+            .filter(m => !areaId || m.areaId === parseInt(areaId))
+            .filter(m => !fechaDesde || new Date(m.fecha) >= fechaDesde)
+            .filter(m => !fechaHasta || new Date(m.fecha) <= fechaHasta)
+            .sort((a, b) => new Date(b.fecha) - new Date(a.fecha) || b.id - a.id);
+
+        return {
+            success: true,
+            data: filtrados
+        };
+    }
+
+    /**
+     * Calcula el stock que resulta de sumar todos los movimientos de un insumo
+     * @param {Array<Object>} movimientos - Movimientos del insumo
+     * @returns {number} Saldo de los movimientos
+     */
+    calcularSaldo(movimientos) {
+        return movimientos.reduce((saldo, m) => saldo + TIPOS_MOVIMIENTO_INSUMO[m.tipo] * m.cantidad, 0);
+    }
+
+    /**
+     * Concilia el stock de cada insumo con sus movimientos. Si no coinciden
+     * (stock cargado antes de existir los movimientos o editado a mano),
+     * registra un ajuste por la diferencia.
+     * @returns {Promise<Array<Object>>} Ajustes registrados
+     */
+    async conciliarStock() {
+        const insumos = await this.databaseService.getAllInsumos();
+        const ajustes = [];
+
+        for (const insumo of insumos) {
+            const movimientos = await this.databaseService.getMovimientosByInsumo(insumo.id);
+            const saldo = this.calcularSaldo(movimientos);
+            if (saldo === (insumo.stock || 0)) {
+                continue;
+            }
+
+            const motivo = movimientos.length === 0
+                ? 'Saldo inicial'
+                : 'Conciliación: el stock no coincidía con los movimientos';
+            ajustes.push(await this.databaseService.registrarConciliacionInsumo(insumo.id, saldo, motivo));
+        }
+
+        return ajustes;
+    }
+}
+
+// Exportar instancia singleton
+const insumoService = new InsumoService();
+export default insumoService;
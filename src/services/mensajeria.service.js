@@ -0,0 +1,101 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { esModoDesarrollo } from '../helper.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Transporte de desarrollo: escribe cada mensaje como archivo JSON
+ * en un directorio local (outbox) en lugar de enviarlo
+ */
+class OutboxTransport {
+    constructor(directorio) {
+        this.directorio = directorio;
+    }
+
+    async enviar(mensaje) {
+        await fs.mkdir(this.directorio, { recursive: true });
+        const nombreArchivo = `${Date.now()}-${String(mensaje.para).replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+        const rutaArchivo = path.join(this.directorio, nombreArchivo);
+        await fs.writeFile(rutaArchivo, JSON.stringify({
+            ...mensaje,
+            fecha: new Date().toISOString()
+        }, null, 2), 'utf8');
+        return { transporte: 'outbox', archivo: rutaArchivo };
+    }
+}
+
+/**
+ * Transporte que solo muestra el mensaje por consola
+ */
+class ConsolaTransport {
+    async enviar(mensaje) {
+        console.log(`[mensajeria] Para: ${mensaje.para} | Asunto: ${mensaje.asunto}\n${mensaje.texto}`);
+        return { transporte: 'consola' };
+    }
+}
+
+/**
+ * Servicio de Mensajería
+ * Envía notificaciones a los usuarios a través de un transporte intercambiable.
+ * Un transporte es cualquier objeto con un método async enviar(mensaje).
+ */
+class MensajeriaService {
+    constructor() {
+        this.transportes = new Map();
+        this.registrarTransporte('outbox', new OutboxTransport(
+            process.env.OUTBOX_DIR || path.join(__dirname, '../../outbox')
+        ));
+        this.registrarTransporte('consola', new ConsolaTransport());
+
+        // Transporte activo (configurable por variable de entorno). El outbox deja en disco,
+        // en texto plano, los enlaces de recuperación: solo se usa por defecto en desarrollo
+        this.transporteActivo = process.env.MENSAJERIA_TRANSPORTE || (esModoDesarrollo() ? 'outbox' : null);
+    }
+
+    /**
+     * Verifica que haya un transporte configurado; el servidor no arranca sin uno
+     */
+    verificarConfiguracion() {
+        if (!this.transporteActivo) {
+            throw new Error('Falta configurar MENSAJERIA_TRANSPORTE: fuera de desarrollo no se usa el outbox por defecto');
+        }
+    }
+
+    /**
+     * Registra (o reemplaza) un transporte de mensajes
+     * @param {string} nombre - Nombre del transporte
+     * @param {Object} transporte - Objeto con método async enviar(mensaje)
+     */
+    registrarTransporte(nombre, transporte) {
+        if (typeof transporte?.enviar !== 'function') {
+            throw new Error(`El transporte '${nombre}' debe implementar enviar(mensaje)`);
+        }
+        this.transportes.set(nombre, transporte);
+    }
+
+    /**
+     * Envía un mensaje usando el transporte activo
+     * @param {Object} mensaje - { para, asunto, texto }
+     * @returns {Promise<Object>} Información del envío
+     */
+    async enviar(mensaje) {
+        const { para, asunto, texto } = mensaje;
+        if (!para || !asunto || !texto) {
+            throw new Error('Destinatario, asunto y texto son requeridos para enviar un mensaje');
+        }
+
+        this.verificarConfiguracion();
+        const transporte = this.transportes.get(this.transporteActivo);
+        if (!transporte) {
+            throw new Error(`El transporte de mensajería '${this.transporteActivo}' no está registrado`);
+        }
+        return await transporte.enviar({ para, asunto, texto });
+    }
+}
+
+// Exportar instancia singleton
+const mensajeriaService = new MensajeriaService();
+export default mensajeriaService;
@@ -0,0 +1,379 @@
+import databaseService from './database.service.js';
+import crypto from 'crypto';
+
+// Alfabeto base32 (RFC 4648) usado por las aplicaciones autenticadoras
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Servicio de Autenticación de Dos Factores
+ * Implementa TOTP (RFC 6238): enrolamiento con URI de aprovisionamiento,
+ * verificación de códigos y códigos de recuperación de un solo uso
+ */
+class MfaService {
+    constructor() {
+        this.databaseService = databaseService;
+
+        // Configuración TOTP
+        this.emisor = process.env.MFA_EMISOR || 'Backend IFTS';
+        this.digitos = 6;
+        this.periodoSegundos = 30;
+        this.ventana = 1; // Pasos de tolerancia hacia atrás y adelante (desfase de reloj)
+        this.cantidadCodigosRecuperacion = 10;
+
+        // Permisos que vuelven obligatorio el segundo factor. Se decide por permisos y no
+        // por nombre de rol: renombrar un rol o crear uno nuevo con estos permisos no lo evita
+        this.permisosObligatorios = (process.env.MFA_PERMISOS_OBLIGATORIOS ?? 'gestionar_usuarios,gestionar_pacientes')
+            .split(',')
+            .map(permiso => permiso.trim())
+            .filter(Boolean);
+
+        // Clave para cifrar los secretos TOTP guardados en la base de datos
+        this.claveCifrado = crypto.createHash('sha256')
+            .update(process.env.MFA_CLAVE_CIFRADO || 'clave-mfa-cambiala-en-produccion')
+            .digest();
+    }
+
+    // ==================== TOTP ====================
+
+    /**
+     * Codifica bytes en base32 sin relleno
+     * @param {Buffer} buffer - Bytes a codificar
+     * @returns {string} Texto base32
+     */
+    codificarBase32(buffer) {
+        let bits = '';
+        for (const byte of buffer) {
+            bits += byte.toString(2).padStart(8, '0');
+        }
+        let resultado = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            resultado += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+        }
+        return resultado;
+    }
+
+    /**
+     * Decodifica un texto base32 (ignora espacios y relleno)
+     * @param {string} texto - Texto base32
+     * @returns {Buffer} Bytes decodificados
+     */
+    decodificarBase32(texto) {
+        const limpio = texto.toUpperCase().replace(/[\s=]/g, '');
+        let bits = '';
+        for (const caracter of limpio) {
+            const valor = BASE32.indexOf(caracter);
+            if (valor === -1) {
+                throw new Error('Secreto base32 inválido');
+            }
+            bits += valor.toString(2).padStart(5, '0');
+        }
+        const bytes = [];
+        for (let i = 0; i + 8 <= bits.length; i += 8) {
+            bytes.push(parseInt(bits.slice(i, i + 8), 2));
+        }
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Genera un secreto TOTP aleatorio de 160 bits
+     * @returns {string} Secreto en base32
+     */
+    generarSecreto() {
+        return this.codificarBase32(crypto.randomBytes(20));
+    }
+
+    /**
+     * Calcula el paso de tiempo actual
+     * @param {number} timestamp - Momento en milisegundos
+     * @returns {number} Paso TOTP
+     */
+    pasoActual(timestamp = Date.now()) {
+        return Math.floor(timestamp / 1000 / this.periodoSegundos);
+    }
+
+    /**
+     * Genera el código TOTP (HOTP sobre el paso de tiempo) de un secreto
+     * @param {string} secreto - Secreto en base32
+     * @param {number} paso - Paso de tiempo
+     * @returns {string} Código numérico
+     */
+    generarCodigo(secreto, paso = this.pasoActual()) {
+        const contador = Buffer.alloc(8);
+        contador.writeBigUInt64BE(BigInt(paso));
+
+        const hmac = crypto.createHmac('sha1', this.decodificarBase32(secreto)).update(contador).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binario = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+        return String(binario % 10 ** this.digitos).padStart(this.digitos, '0');
+    }
+
+    /**
+     * Verifica un código TOTP dentro de la ventana de tolerancia
+     * @param {string} secreto - Secreto en base32
+     * @param {string} codigo - Código ingresado por el usuario
+     * @param {number} ultimoPaso - Último paso aceptado (para impedir reutilizar un código)
+     * @returns {number|null} Paso que coincidió o null
+     */
+    verificarCodigo(secreto, codigo, ultimoPaso = -1) {
+        const codigoLimpio = String(codigo || '').replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${this.digitos}}$`).test(codigoLimpio)) {
+            return null;
+        }
+
+        const paso = this.pasoActual();
+        for (let desfase = -this.ventana; desfase <= this.ventana; desfase++) {
+            const candidato = paso + desfase;
+            if (candidato <= ultimoPaso) {
+                continue;
+            }
+            const esperado = Buffer.from(this.generarCodigo(secreto, candidato));
+            if (crypto.timingSafeEqual(esperado, Buffer.from(codigoLimpio))) {
+                return candidato;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Arma la URI otpauth:// para registrar el secreto en una aplicación autenticadora
+     * @param {string} nombreUsuario - Nombre de usuario
+     * @param {string} secreto - Secreto en base32
+     * @returns {string} URI de aprovisionamiento
+     */
+    generarUriAprovisionamiento(nombreUsuario, secreto) {
+        const etiqueta = `${encodeURIComponent(this.emisor)}:${encodeURIComponent(nombreUsuario)}`;
+        const parametros = {
+            secret: secreto,
+            issuer: this.emisor,
+            algorithm: 'SHA1',
+            digits: this.digitos,
+            period: this.periodoSegundos
+        };
+        const query = Object.entries(parametros)
+            .map(([clave, valor]) => `${clave}=${encodeURIComponent(valor)}`)
+            .join('&');
+        return `otpauth://totp/${etiqueta}?${query}`;
+    }
+
+    // ==================== CIFRADO DE SECRETOS ====================
+
+    /**
+     * Cifra un secreto TOTP con AES-256-GCM
+     * @param {string} secreto - Secreto en claro
+     * @returns {string} Secreto cifrado (iv.tag.datos en base64url)
+     */
+    cifrarSecreto(secreto) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.claveCifrado, iv);
+        const datos = Buffer.concat([cipher.update(secreto, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), datos].map(parte => parte.toString('base64url')).join('.');
+    }
+
+    /**
+     * Descifra un secreto TOTP
+     * @param {string} secretoCifrado - Secreto cifrado
+     * @returns {string} Secreto en claro
+     */
+    descifrarSecreto(secretoCifrado) {
+        const [iv, tag, datos] = secretoCifrado.split('.').map(parte => Buffer.from(parte, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.claveCifrado, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(datos), decipher.final()]).toString('utf8');
+    }
+
+    // ==================== CÓDIGOS DE RECUPERACIÓN ====================
+
+    /**
+     * Calcula el hash con el que se guarda un código de recuperación
+     * @param {string} codigo - Código en claro
+     * @returns {string} Hash SHA-256 en hexadecimal
+     */
+    hashCodigoRecuperacion(codigo) {
+        const normalizado = String(codigo).toLowerCase().replace(/[^a-z0-9]/g, '');
+        return crypto.createHash('sha256').update(normalizado).digest('hex');
+    }
+
+    /**
+     * Genera un juego nuevo de códigos de recuperación
+     * @returns {Object} Códigos en claro (para mostrar una sola vez) y sus hashes
+     */
+    generarCodigosRecuperacion() {
+        const codigos = Array.from({ length: this.cantidadCodigosRecuperacion }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+        return {
+            codigos,
+            hashes: codigos.map(codigo => this.hashCodigoRecuperacion(codigo))
+        };
+    }
+
+    // ==================== ESTADO POR USUARIO ====================
+
+    /**
+     * Indica si el rol del usuario exige segundo factor: basta con que otorgue
+     * alguno de los permisos obligatorios
+     * @param {Object} usuario - Usuario completo (con rol)
+     * @returns {boolean} True si es obligatorio
+     */
+    esObligatorio(usuario) {
+        const permisos = usuario.rol?.permisos || [];
+        return this.permisosObligatorios.some(permiso => permisos.includes(permiso));
+    }
+
+    /**
+     * Indica si el usuario debe presentar un segundo factor al iniciar sesión
+     * @param {Object} usuario - Usuario completo (con rol)
+     * @returns {boolean} True si el login requiere TOTP
+     */
+    requiereMfa(usuario) {
+        return Boolean(usuario.mfa?.activo) || this.esObligatorio(usuario);
+    }
+
+    /**
+     * Inicia (o reinicia) el enrolamiento: genera un secreto pendiente de confirmar
+     * @param {number} usuarioId - ID del usuario
+     * @returns {Promise<Object>} Secreto y URI de aprovisionamiento
+     */
+    async iniciarEnrolamiento(usuarioId) {
+        // Releer y guardar en una transacción: un enrolamiento no puede pisar una activación simultánea
+        return await this.databaseService.transaction(async (tx) => {
+            const usuario = await tx.getUsuarioById(usuarioId);
+            if (usuario.mfa?.activo) {
+                throw new Error('El segundo factor ya está activo para este usuario');
+            }
+
+            const secreto = this.generarSecreto();
+            await tx.updateUsuario(usuario.id, {
+                mfa: {
+                    ...(usuario.mfa || {}),
+                    activo: false,
+                    secretoPendiente: this.cifrarSecreto(secreto)
+                }
+            });
+
+            return {
+                secreto,
+                uri: this.generarUriAprovisionamiento(usuario.usuario, secreto)
+            };
+        });
+    }
+
+    /**
+     * Confirma el enrolamiento con un código válido del secreto pendiente
+     * @param {number} usuarioId - ID del usuario
+     * @param {string} codigo - Código TOTP
+     * @returns {Promise<Array<string>|null>} Códigos de recuperación o null si el código es inválido
+     */
+    async activar(usuarioId, codigo) {
+        // Leer el secreto pendiente y activarlo en una sola transacción: de dos confirmaciones
+        // simultáneas solo una devuelve códigos de recuperación (los que quedan guardados)
+        return await this.databaseService.transaction(async (tx) => {
+            const usuario = await tx.getUsuarioById(usuarioId);
+            if (!usuario.mfa?.secretoPendiente) {
+                return null;
+            }
+
+            const secretoPendiente = this.descifrarSecreto(usuario.mfa.secretoPendiente);
+            const paso = this.verificarCodigo(secretoPendiente, codigo);
+            if (paso === null) {
+                return null;
+            }
+
+            const { codigos, hashes } = this.generarCodigosRecuperacion();
+            await tx.updateUsuario(usuario.id, {
+                mfa: {
+                    activo: true,
+                    secreto: usuario.mfa.secretoPendiente,
+                    ultimoPaso: paso,
+                    codigosRecuperacion: hashes,
+                    activadoEn: new Date().toISOString()
+                }
+            });
+            return codigos;
+        });
+    }
+
+    /**
+     * Verifica el segundo factor de un usuario con MFA activo:
+     * un código TOTP no usado antes o un código de recuperación (que se consume)
+     * @param {number} usuarioId - ID del usuario
+     * @param {string} codigo - Código TOTP o de recuperación
+     * @returns {Promise<string|null>} 'totp', 'recuperacion' o null si es inválido
+     */
+    async verificarSegundoFactor(usuarioId, codigo) {
+        // Leer, verificar y consumir en una sola transacción: dos logins simultáneos
+        // no pueden usar el mismo paso TOTP ni el mismo código de recuperación
+        return await this.databaseService.transaction(async (tx) => {
+            const usuario = await tx.getUsuarioById(usuarioId);
+            if (!usuario.mfa?.activo) {
+                return null;
+            }
+
+            const secreto = this.descifrarSecreto(usuario.mfa.secreto);
+            const paso = this.verificarCodigo(secreto, codigo, usuario.mfa.ultimoPaso ?? -1);
+            if (paso !== null) {
+                await tx.updateUsuario(usuario.id, {
+                    mfa: { ...usuario.mfa, ultimoPaso: paso }
+                });
+                return 'totp';
+            }
+
+            const hash = this.hashCodigoRecuperacion(codigo || '');
+            const codigosRecuperacion = usuario.mfa.codigosRecuperacion || [];
+            if (codigosRecuperacion.includes(hash)) {
+                await tx.updateUsuario(usuario.id, {
+                    mfa: { ...usuario.mfa, codigosRecuperacion: codigosRecuperacion.filter(h => h !== hash) }
+                });
+                return 'recuperacion';
+            }
+
+            return null;
+        });
+    }
+
+    /**
+     * Genera un nuevo juego de códigos de recuperación (invalida los anteriores)
+     * @param {number} usuarioId - ID del usuario
+     * @returns {Promise<Array<string>>} Códigos en claro
+     */
+    async regenerarCodigosRecuperacion(usuarioId) {
+        const usuario = await this.databaseService.getUsuarioById(usuarioId);
+        if (!usuario.mfa?.activo) {
+            throw new Error('El segundo factor no está activo para este usuario');
+        }
+
+        const { codigos, hashes } = this.generarCodigosRecuperacion();
+        await this.databaseService.updateUsuario(usuario.id, {
+            mfa: { ...usuario.mfa, codigosRecuperacion: hashes }
+        });
+        return codigos;
+    }
+
+    /**
+     * Desactiva el segundo factor de un usuario
+     * @param {number} usuarioId - ID del usuario
+     */
+    async desactivar(usuarioId) {
+        await this.databaseService.updateUsuario(usuarioId, { mfa: { activo: false } });
+    }
+
+    /**
+     * Estado del segundo factor para mostrar al usuario (sin secretos)
+     * @param {Object} usuario - Usuario completo (con rol)
+     * @returns {Object} Estado del segundo factor
+     */
+    obtenerEstado(usuario) {
+        return {
+            activo: Boolean(usuario.mfa?.activo),
+            obligatorio: this.esObligatorio(usuario),
+            enrolamientoPendiente: Boolean(usuario.mfa?.secretoPendiente) && !usuario.mfa?.activo,
+            codigosRecuperacionRestantes: usuario.mfa?.codigosRecuperacion?.length || 0
+        };
+    }
+}
+
+// Exportar instancia singleton
+const mfaService = new MfaService();
+export default mfaService;
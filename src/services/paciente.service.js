@@ -0,0 +1,266 @@
+import databaseService from './database.service.js';
+
+/**
+ * Servicio de Pacientes
+ * Validación de datos, búsqueda paginada y alta, modificación y baja de pacientes
+ */
+class PacienteService {
+    constructor() {
+        this.databaseService = databaseService;
+
+        // Límites de paginación
+        this.limitePorDefecto = 20;
+        this.limiteMaximo = 100;
+
+        // Campos que se pueden cargar o modificar desde la API
+        this.camposEditables = ['nombre', 'dni'];
+    }
+
+    /**
+     * Normaliza un DNI quitando puntos y espacios ("30.123.456" → "30123456")
+     * @param {*} dni - DNI ingresado
+     * @returns {string} DNI normalizado
+     */
+    normalizarDni(dni) {
+        return String(dni ?? '').replace(/[.\s]/g, '');
+    }
+
+    /**
+     * Normaliza un texto para búsquedas (minúsculas y sin acentos)
+     * @param {string} texto - Texto original
+     * @returns {string} Texto normalizado
+     */
+    normalizarTexto(texto) {
+        return String(texto ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim();
+    }
+
+    /**
+     * Valida los datos de un paciente
+     * @param {Object} datos - Datos a validar
+     * @param {boolean} parcial - True en modificaciones (los campos ausentes no se validan)
+     * @returns {Array<string>} Lista de errores (vacía si son válidos)
+     */
+    validarDatos(datos, parcial = false) {
+        const errores = [];
+
+        if (!parcial || datos.nombre !== undefined) {
+            if (typeof datos.nombre !== 'string' || datos.nombre.trim().length < 3) {
+                errores.push('El nombre es requerido y debe tener al menos 3 caracteres');
+            } else if (datos.nombre.trim().length > 100) {
+                errores.push('El nombre no puede superar los 100 caracteres');
+            }
+        }
+
+        if (!parcial || datos.dni !== undefined) {
+            if (!/^\d{7,8}$/.test(this.normalizarDni(datos.dni))) {
+                errores.push('El DNI es requerido y debe tener 7 u 8 dígitos');
+            }
+        }
+
+        if (datos.historiaClinica !== undefined) {
+            errores.push('La historia clínica no se edita: se registran entradas en /api/pacientes/:id/historia');
+        }
+
+        return errores;
+    }
+
+    /**
+     * Toma solo los campos editables y los normaliza
+     * @param {Object} datos - Datos recibidos
+     * @returns {Object} Datos listos para guardar
+     */
+    limpiarDatos(datos) {
+        const limpios = {};
+        for (const campo of this.camposEditables) {
+            if (datos[campo] !== undefined) {
+                limpios[campo] = datos[campo];
+            }
+        }
+        if (limpios.nombre !== undefined) {
+            limpios.nombre = limpios.nombre.trim();
+        }
+        if (limpios.dni !== undefined) {
+            limpios.dni = this.normalizarDni(limpios.dni);
+        }
+        return limpios;
+    }
+
+    /**
+     * Lista pacientes con búsqueda por prefijo de nombre (cualquier palabra) o de DNI
+     * @param {Object} opciones - { q, pagina, limite }
+     * @returns {Promise<Object>} Página de pacientes y datos de paginación
+     */
+    async listar({ q, pagina, limite } = {}) {
+        const paginaActual = Math.max(parseInt(pagina) || 1, 1);
+        const limitePagina = Math.min(Math.max(parseInt(limite) || this.limitePorDefecto, 1), this.limiteMaximo);
+
+        let pacientes = await this.databaseService.getAllPacientes();
+
+        const busqueda = this.normalizarTexto(q);
+        if (busqueda) {
+            const dniBuscado = this.normalizarDni(busqueda);
+            pacientes = pacientes.filter(paciente => {
+                const nombre = this.normalizarTexto(paciente.nombre);
+                return nombre.startsWith(busqueda) ||
+                    nombre.split(/\s+/).some(palabra => palabra.startsWith(busqueda)) ||
+                    (/^\d+$/.test(dniBuscado) && paciente.dni.startsWith(dniBuscado));
+            });
+        }
+
+        pacientes = [...pacientes].sort((a, b) => a.nombre.localeCompare(b.nombre, 'es'));
+
+        const total = pacientes.length;
+        const inicio = (paginaActual - 1) * limitePagina;
+
+        return {
+            pacientes: pacientes.slice(inicio, inicio + limitePagina),
+            paginacion: {
+                pagina: paginaActual,
+                limite: limitePagina,
+                total,
+                totalPaginas: Math.ceil(total / limitePagina)
+            }
+        };
+    }
+
+    /**
+     * Resultado fallido para un DNI repetido. La unicidad la verifica el esquema
+     * al guardar, dentro de la misma transacción que la escritura
+     * @param {Error} error - Error de la base de datos
+     * @param {string} dni - DNI normalizado
+     * @returns {Object|null} Resultado fallido o null si el error es otro
+     */
+    resultadoDniDuplicado(error, dni) {
+        if (error.code !== 'DUPLICATE' || !error.campos.includes('dni')) {
+            return null;
+        }
+        return {
+            success: false,
+            message: `Ya existe un paciente con DNI ${dni}`,
+            code: 'DUPLICATE_DNI'
+        };
+    }
+
+    /**
+     * Da de alta un paciente
+     * @param {Object} datos - { nombre, dni }
+     * @returns {Promise<Object>} Resultado de la creación
+     */
+    async crear(datos) {
+        const errores = this.validarDatos(datos);
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de paciente inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const limpios = this.limpiarDatos(datos);
+        let paciente;
+        try {
+            paciente = await this.databaseService.createPaciente(limpios);
+        } catch (error) {
+            const duplicado = this.resultadoDniDuplicado(error, limpios.dni);
+            if (duplicado) {
+                return duplicado;
+            }
+            throw error;
+        }
+        return {
+            success: true,
+            message: 'Paciente creado',
+            data: paciente
+        };
+    }
+
+    /**
+     * Modifica un paciente existente
+     * @param {number} id - ID del paciente
+     * @param {Object} datos - Campos a modificar
+     * @returns {Promise<Object>} Resultado de la modificación
+     */
+    async actualizar(id, datos) {
+        await this.databaseService.getPacienteById(id);
+
+        const errores = this.validarDatos(datos, true);
+        const limpios = this.limpiarDatos(datos);
+        if (errores.length === 0 && Object.keys(limpios).length === 0) {
+            errores.push(`Debe indicar al menos un campo: ${this.camposEditables.join(', ')}`);
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de paciente inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        let paciente;
+        try {
+            paciente = await this.databaseService.updatePaciente(id, limpios);
+        } catch (error) {
+            const duplicado = this.resultadoDniDuplicado(error, limpios.dni);
+            if (duplicado) {
+                return duplicado;
+            }
+            throw error;
+        }
+        return {
+            success: true,
+            message: 'Paciente actualizado',
+            data: paciente
+        };
+    }
+
+    /**
+     * Elimina un paciente que no esté referenciado por usuarios, tareas ni citas
+     * y que no tenga historia clínica registrada
+     * @param {number} id - ID del paciente
+     * @returns {Promise<Object>} Resultado de la baja
+     */
+    async eliminar(id) {
+        const paciente = await this.databaseService.getPacienteById(id);
+
+        const perfiles = await this.databaseService.getAllPerfiles();
+        const tareas = await this.databaseService.getTareasByPaciente(paciente.id);
+        const referencias = [];
+        if (perfiles.some(perfil => perfil.pacienteId === paciente.id)) {
+            referencias.push('tiene un usuario asociado');
+        }
+        if (tareas.length > 0) {
+            referencias.push(`tiene ${tareas.length} tarea(s) asociada(s)`);
+        }
+        const citas = await this.databaseService.getCitasByPaciente(paciente.id);
+        if (citas.length > 0) {
+            referencias.push(`tiene ${citas.length} cita(s) registrada(s)`);
+        }
+        const entradasHistoria = await this.databaseService.getEntradasHistoriaByPaciente(paciente.id);
+        if (entradasHistoria.length > 0) {
+            referencias.push('tiene historia clínica registrada');
+        }
+        if (referencias.length > 0) {
+            return {
+                success: false,
+                message: `No se puede eliminar el paciente: ${referencias.join(', ')}`,
+                code: 'PACIENTE_EN_USO'
+            };
+        }
+
+        await this.databaseService.deletePaciente(paciente.id);
+        return {
+            success: true,
+            message: 'Paciente eliminado'
+        };
+    }
+}
+
+// Exportar instancia singleton
+const pacienteService = new PacienteService();
+export default pacienteService;
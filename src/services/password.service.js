@@ -0,0 +1,254 @@
+import databaseService from './database.service.js';
+import authService from './auth.service.js';
+import mensajeriaService from './mensajeria.service.js';
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import ms from 'ms';
+
+/**
+ * Servicio de Contraseñas
+ * Maneja el ciclo de vida de las contraseñas: política de seguridad,
+ * historial, cambio, cambio forzado y recuperación con tokens de un solo uso
+ */
+class PasswordService {
+    constructor() {
+        this.databaseService = databaseService;
+        this.authService = authService;
+        this.mensajeriaService = mensajeriaService;
+
+        // Política de contraseñas (configurable por variables de entorno)
+        this.politica = {
+            longitudMinima: parseInt(process.env.PASSWORD_LONGITUD_MINIMA) || 8,
+            requiereMayuscula: process.env.PASSWORD_REQUIERE_MAYUSCULA !== 'false',
+            requiereMinuscula: process.env.PASSWORD_REQUIERE_MINUSCULA !== 'false',
+            requiereNumero: process.env.PASSWORD_REQUIERE_NUMERO !== 'false',
+            requiereSimbolo: process.env.PASSWORD_REQUIERE_SIMBOLO === 'true',
+            historial: parseInt(process.env.PASSWORD_HISTORIAL) || 5
+        };
+
+        // Vigencia de los tokens de recuperación
+        this.resetExpiresIn = process.env.RESET_TOKEN_EXPIRES_IN || '30m';
+    }
+
+    /**
+     * Valida una contraseña contra la política configurada
+     * @param {string} password - Contraseña en claro
+     * @returns {Array<string>} Lista de incumplimientos (vacía si es válida)
+     */
+    validarPolitica(password) {
+        const errores = [];
+        if (typeof password !== 'string' || password.length < this.politica.longitudMinima) {
+            errores.push(`Debe tener al menos ${this.politica.longitudMinima} caracteres`);
+            if (typeof password !== 'string') {
+                return errores;
+            }
+        }
+        if (this.politica.requiereMayuscula && !/[A-Z]/.test(password)) {
+            errores.push('Debe contener al menos una letra mayúscula');
+        }
+        if (this.politica.requiereMinuscula && !/[a-z]/.test(password)) {
+            errores.push('Debe contener al menos una letra minúscula');
+        }
+        if (this.politica.requiereNumero && !/[0-9]/.test(password)) {
+            errores.push('Debe contener al menos un número');
+        }
+        if (this.politica.requiereSimbolo && !/[^A-Za-z0-9]/.test(password)) {
+            errores.push('Debe contener al menos un símbolo');
+        }
+        return errores;
+    }
+
+    /**
+     * Verifica si la contraseña coincide con la actual o con alguna de las últimas N
+     * @param {Object} usuario - Registro de usuario
+     * @param {string} password - Contraseña en claro
+     * @returns {Promise<boolean>} True si ya fue usada
+     */
+    async estaEnHistorial(usuario, password) {
+        const hashes = [usuario.password, ...(usuario.historialPasswords || [])]
+            .filter(hash => this.authService.esHashBcrypt(hash))
+            .slice(0, this.politica.historial);
+
+        for (const hash of hashes) {
+            if (await bcrypt.compare(password, hash)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Establece una nueva contraseña aplicando política e historial,
+     * limpia el cambio forzado y revoca todas las sesiones del usuario
+     * @param {number} usuarioId - ID del usuario
+     * @param {string} passwordNueva - Nueva contraseña en claro
+     * @returns {Promise<Object>} Resultado del cambio
+     */
+    async establecerPassword(usuarioId, passwordNueva) {
+        const errores = this.validarPolitica(passwordNueva);
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'La contraseña no cumple la política de seguridad',
+                code: 'WEAK_PASSWORD',
+                errores
+            };
+        }
+
+        const usuario = await this.databaseService.getUsuarioById(usuarioId);
+        if (await this.estaEnHistorial(usuario, passwordNueva)) {
+            return {
+                success: false,
+                message: `La contraseña no puede ser igual a ninguna de las últimas ${this.politica.historial}`,
+                code: 'PASSWORD_REUSED'
+            };
+        }
+
+        // Guardar el hash anterior en el historial (solo si era un hash real)
+        const historialPasswords = [usuario.password, ...(usuario.historialPasswords || [])]
+            .filter(hash => this.authService.esHashBcrypt(hash))
+            .slice(0, this.politica.historial);
+
+        await this.databaseService.updateUsuario(usuario.id, {
+            password: passwordNueva,
+            historialPasswords,
+            debeCambiarPassword: false,
+            passwordActualizadaEn: new Date().toISOString()
+        });
+
+        // Cerrar las sesiones abiertas con la contraseña anterior
+        await this.authService.revocarSesionesUsuario(usuario.id, 'cambio_password');
+
+        return {
+            success: true,
+            message: 'Contraseña actualizada correctamente'
+        };
+    }
+
+    /**
+     * Cambia la contraseña del propio usuario verificando la actual
+     * @param {number} usuarioId - ID del usuario
+     * @param {string} passwordActual - Contraseña actual en claro
+     * @param {string} passwordNueva - Nueva contraseña en claro
+     * @returns {Promise<Object>} Resultado del cambio
+     */
+    async cambiarPassword(usuarioId, passwordActual, passwordNueva) {
+        const usuario = await this.databaseService.getUsuarioById(usuarioId);
+
+        const passwordValida = this.authService.esHashBcrypt(usuario.password) &&
+            await bcrypt.compare(passwordActual, usuario.password);
+        if (!passwordValida) {
+            return {
+                success: false,
+                message: 'La contraseña actual es incorrecta',
+                code: 'INVALID_PASSWORD'
+            };
+        }
+
+        return await this.establecerPassword(usuario.id, passwordNueva);
+    }
+
+    /**
+     * Obliga a un usuario a cambiar su contraseña en el próximo inicio de sesión
+     * @param {number} usuarioId - ID del usuario
+     * @returns {Promise<Object>} Usuario actualizado
+     */
+    async forzarCambioPassword(usuarioId) {
+        const usuario = await this.databaseService.updateUsuario(usuarioId, { debeCambiarPassword: true });
+        await this.authService.revocarSesionesUsuario(usuario.id, 'cambio_password_forzado');
+        return usuario;
+    }
+
+    /**
+     * Calcula el hash con el que se guarda un token de recuperación
+     * @param {string} token - Token en claro
+     * @returns {string} Hash SHA-256 en hexadecimal
+     */
+    hashResetToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Inicia la recuperación de contraseña: emite un token de un solo uso
+     * y lo envía al usuario. No revela si el usuario existe.
+     * @param {string} nombreUsuario - Nombre de usuario
+     * @param {string} urlBase - URL base para armar el enlace de recuperación
+     */
+    async solicitarRecuperacion(nombreUsuario, urlBase) {
+        let usuario;
+        try {
+            usuario = await this.databaseService.getUsuarioByUsername(nombreUsuario);
+        } catch (error) {
+            return;
+        }
+
+        // Un solo token vigente por usuario: el nuevo reemplaza a los anteriores
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiraEn = new Date(Date.now() + ms(this.resetExpiresIn));
+        await this.databaseService.transaction(async (tx) => {
+            await tx.deleteResetTokensByUsuario(usuario.id);
+            await tx.createResetToken({
+                usuarioId: usuario.id,
+                tokenHash: this.hashResetToken(token),
+                expiraEn: expiraEn.toISOString()
+            });
+        });
+
+        await this.mensajeriaService.enviar({
+            para: usuario.email || usuario.usuario,
+            asunto: 'Recuperación de contraseña',
+            texto: `Para restablecer tu contraseña ingresá a ${urlBase}/password/reset?token=${token}\n` +
+                `El enlace vence el ${expiraEn.toLocaleString('es-ES')} y puede usarse una sola vez.`
+        });
+    }
+
+    /**
+     * Restablece la contraseña usando un token de recuperación
+     * @param {string} token - Token de recuperación en claro
+     * @param {string} passwordNueva - Nueva contraseña en claro
+     * @returns {Promise<Object>} Resultado del restablecimiento
+     */
+    async restablecerPassword(token, passwordNueva) {
+        // Marcar el token como usado antes de cambiar la contraseña, en una sola transacción:
+        // de dos pedidos simultáneos con el mismo enlace, solo uno lo obtiene
+        const registro = await this.databaseService.transaction(async (tx) => {
+            let leido;
+            try {
+                leido = await tx.getResetTokenByHash(this.hashResetToken(token));
+            } catch (error) {
+                return null;
+            }
+            if (leido.usadoEn || new Date(leido.expiraEn) <= new Date()) {
+                return null;
+            }
+            return await tx.updateResetToken(leido.id, { usadoEn: new Date().toISOString() });
+        });
+
+        if (!registro) {
+            return {
+                success: false,
+                message: 'El enlace de recuperación es inválido o expiró',
+                code: 'INVALID_RESET_TOKEN'
+            };
+        }
+
+        const resultado = await this.establecerPassword(registro.usuarioId, passwordNueva);
+        if (!resultado.success) {
+            // La contraseña fue rechazada: el enlace sigue sirviendo para otro intento
+            await this.databaseService.updateResetToken(registro.id, { usadoEn: null });
+        }
+        return resultado;
+    }
+
+    /**
+     * Elimina los tokens de recuperación vencidos
+     * @returns {Promise<number>} Cantidad de tokens eliminados
+     */
+    async limpiarResetTokensExpirados() {
+        return await this.databaseService.deleteResetTokensExpirados();
+    }
+}
+
+// Exportar instancia singleton
+const passwordService = new PasswordService();
+export default passwordService;
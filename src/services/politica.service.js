@@ -0,0 +1,133 @@
+import { PERMISOS, POLITICAS } from '../config/politicas.js';
+
+/**
+ * Servicio de Políticas de Autorización
+ * Evalúa si un usuario puede realizar una acción según la política declarada
+ * en config/politicas.js. La política se valida al cargar el módulo: una
+ * acción que referencia un permiso desconocido impide arrancar el servidor.
+ */
+class PoliticaService {
+    constructor(politicas = POLITICAS, permisos = PERMISOS) {
+        this.politicas = politicas;
+        this.permisos = permisos;
+
+        this.validarPoliticas();
+    }
+
+    /**
+     * Verifica que todas las acciones referencien permisos del catálogo
+     * @throws {Error} Si alguna acción usa un permiso desconocido
+     */
+    validarPoliticas() {
+        for (const [accion, politica] of Object.entries(this.politicas)) {
+            const referenciados = [...(politica.permisos || []), ...(politica.propias?.permisos || [])];
+            if (referenciados.length === 0) {
+                throw new Error(`La acción '${accion}' no declara ningún permiso`);
+            }
+            this.verificarPermisos(referenciados, `la acción '${accion}'`);
+
+            if (politica.propias && typeof politica.propias.esPropietario !== 'function') {
+                throw new Error(`La acción '${accion}' declara permisos propios sin regla esPropietario`);
+            }
+        }
+    }
+
+    /**
+     * Verifica que los permisos existan en el catálogo
+     * @param {Array<string>} permisos - Permisos a verificar
+     * @param {string} origen - Quién los referencia (para el mensaje de error)
+     * @throws {Error} Si alguno es desconocido
+     */
+    verificarPermisos(permisos, origen) {
+        const desconocidos = permisos.filter(permiso => !this.existePermiso(permiso));
+        if (desconocidos.length > 0) {
+            throw new Error(`Permisos desconocidos en ${origen}: ${desconocidos.join(', ')}`);
+        }
+    }
+
+    /**
+     * Verifica si un permiso está en el catálogo
+     * @param {string} permiso - Nombre del permiso
+     * @returns {boolean} True si existe
+     */
+    existePermiso(permiso) {
+        return Object.hasOwn(this.permisos, permiso);
+    }
+
+    /**
+     * Obtiene la política de una acción
+     * @param {string} accion - Nombre de la acción (ej: 'tareas:leer')
+     * @returns {Object} Política de la acción
+     * @throws {Error} Si la acción no está definida
+     */
+    obtenerPolitica(accion) {
+        const politica = this.politicas[accion];
+        if (!politica) {
+            throw new Error(`Acción de autorización desconocida: '${accion}'`);
+        }
+        return politica;
+    }
+
+    /**
+     * Evalúa si un usuario puede realizar una acción
+     * @param {Object} usuario - Usuario completo (con rol y perfil)
+     * @param {string} accion - Nombre de la acción
+     * @param {Object} req - Request de Express (para las reglas de propiedad)
+     * @returns {boolean} True si la acción está permitida
+     */
+    puede(usuario, accion, req = { params: {} }) {
+        const politica = this.obtenerPolitica(accion);
+        if (politica.soloPersonas && usuario?.tipo === 'servicio') {
+            return false;
+        }
+
+        const permisosUsuario = usuario?.rol?.permisos || [];
+        const tieneAlguno = permisos => (permisos || []).some(permiso => permisosUsuario.includes(permiso));
+
+        if (tieneAlguno(politica.permisos)) {
+            return true;
+        }
+
+        return Boolean(politica.propias) &&
+            tieneAlguno(politica.propias.permisos) &&
+            politica.propias.esPropietario(usuario, req);
+    }
+
+    /**
+     * Catálogo de permisos con las acciones que habilita cada uno
+     * @returns {Array<Object>} Permisos ({ permiso, descripcion, acciones: [{ accion, descripcion, soloPropias }] })
+     */
+    catalogo() {
+        return Object.entries(this.permisos).map(([permiso, descripcion]) => ({
+            permiso,
+            descripcion,
+            acciones: Object.entries(this.politicas)
+                .filter(([, politica]) =>
+                    (politica.permisos || []).includes(permiso) || (politica.propias?.permisos || []).includes(permiso))
+                .map(([accion, politica]) => ({
+                    accion,
+                    descripcion: politica.descripcion,
+                    soloPropias: !(politica.permisos || []).includes(permiso)
+                }))
+        }));
+    }
+
+    /**
+     * Revisa que los roles guardados solo usen permisos del catálogo
+     * @param {Array<Object>} roles - Roles de la base de datos
+     * @returns {Array<string>} Advertencias (una por rol con permisos desconocidos)
+     */
+    revisarRoles(roles) {
+        return roles
+            .map(rol => ({
+                rol: rol.nombre,
+                desconocidos: (rol.permisos || []).filter(permiso => !this.existePermiso(permiso))
+            }))
+            .filter(({ desconocidos }) => desconocidos.length > 0)
+            .map(({ rol, desconocidos }) => `El rol '${rol}' tiene permisos desconocidos: ${desconocidos.join(', ')}`);
+    }
+}
+
+// Exportar instancia singleton
+const politicaService = new PoliticaService();
+export default politicaService;
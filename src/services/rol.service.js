@@ -0,0 +1,271 @@
+import databaseService from './database.service.js';
+import politicaService from './politica.service.js';
+import authService from './auth.service.js';
+
+/**
+ * Servicio de Roles
+ * Alta, modificación y baja de roles. Un rol solo puede otorgar permisos del
+ * catálogo (config/politicas.js) y no se elimina mientras lo use algún usuario.
+ */
+class RolService {
+    constructor() {
+        this.databaseService = databaseService;
+        this.politicaService = politicaService;
+        this.authService = authService;
+
+        // Campos que se pueden cargar o modificar desde la administración
+        this.camposEditables = ['nombre', 'descripcion', 'permisos'];
+    }
+
+    /**
+     * Valida los datos de un rol
+     * @param {Object} datos - Datos a validar
+     * @param {boolean} parcial - True en modificaciones (los campos ausentes no se validan)
+     * @returns {Array<string>} Lista de errores (vacía si son válidos)
+     */
+    validarDatos(datos, parcial = false) {
+        const errores = [];
+
+        if (!parcial || datos.nombre !== undefined) {
+            if (typeof datos.nombre !== 'string' || !/^[a-z0-9_]{3,30}$/.test(datos.nombre.trim())) {
+                errores.push('El nombre es requerido: de 3 a 30 letras minúsculas, números o guiones bajos');
+            }
+        }
+
+        if (datos.descripcion !== undefined && datos.descripcion !== null) {
+            if (typeof datos.descripcion !== 'string') {
+                errores.push('La descripción debe ser texto');
+            } else if (datos.descripcion.trim().length > 200) {
+                errores.push('La descripción no puede superar los 200 caracteres');
+            }
+        }
+
+        if (!parcial || datos.permisos !== undefined) {
+            if (!Array.isArray(datos.permisos) || datos.permisos.length === 0) {
+                errores.push('Debe indicar al menos un permiso');
+            } else {
+                const desconocidos = datos.permisos.filter(p => !this.politicaService.existePermiso(p));
+                if (desconocidos.length > 0) {
+                    errores.push(`Permisos fuera del catálogo: ${desconocidos.join(', ')}`);
+                }
+            }
+        }
+
+        return errores;
+    }
+
+    /**
+     * Toma solo los campos editables y los normaliza
+     * @param {Object} datos - Datos recibidos
+     * @returns {Object} Datos listos para guardar
+     */
+    limpiarDatos(datos) {
+        const limpios = {};
+        for (const campo of this.camposEditables) {
+            if (datos[campo] === undefined) {
+                continue;
+            }
+            if (campo === 'permisos') {
+                limpios.permisos = [...new Set(datos.permisos)];
+            } else {
+                limpios[campo] = typeof datos[campo] === 'string' ? datos[campo].trim() : '';
+            }
+        }
+        return limpios;
+    }
+
+    /**
+     * Traduce un nombre de rol repetido detectado al guardar. La verificación
+     * corre dentro de la escritura, no antes
+     * @param {Error} error - Error de la base de datos
+     * @param {string} nombre - Nombre enviado
+     * @returns {Object|null} Resultado fallido o null si el error es otro
+     */
+    resultadoDuplicado(error, nombre) {
+        if (error.code !== 'DUPLICATE' || error.tabla !== 'roles' || !error.campos.includes('nombre')) {
+            return null;
+        }
+        return {
+            success: false,
+            message: `Ya existe un rol llamado ${nombre}`,
+            code: 'DUPLICATE_ROL'
+        };
+    }
+
+    /**
+     * Catálogo de permisos con las acciones que habilita cada uno y los roles que lo otorgan
+     * @returns {Promise<Array<Object>>} Permisos del catálogo
+     */
+    async catalogo() {
+        const roles = await this.databaseService.getAllRoles();
+        return this.politicaService.catalogo().map(permiso => ({
+            ...permiso,
+            roles: roles.filter(r => (r.permisos || []).includes(permiso.permiso)).map(r => r.nombre)
+        }));
+    }
+
+    /**
+     * Lista los roles ordenados por nombre, con la cantidad de usuarios de cada uno
+     * y los permisos guardados que ya no están en el catálogo
+     * @returns {Promise<Array<Object>>} Roles
+     */
+    async listar() {
+        const roles = await this.databaseService.getAllRoles();
+        const usuarios = await this.databaseService.getAllUsuarios();
+
+        return [...roles]
+            .sort((a, b) => a.nombre.localeCompare(b.nombre, 'es'))
+            .map(rol => ({
+                ...rol,
+                descripcion: rol.descripcion || '',
+                cantidadUsuarios: usuarios.filter(u => u.rolId === rol.id).length,
+                permisosDesconocidos: (rol.permisos || []).filter(p => !this.politicaService.existePermiso(p))
+            }));
+    }
+
+    /**
+     * Obtiene un rol con sus usuarios
+     * @param {number} id - ID del rol
+     * @returns {Promise<Object>} Rol
+     */
+    async obtener(id) {
+        const rol = await this.databaseService.getRoleById(id);
+        const usuarios = await this.databaseService.getAllUsuarios();
+        return {
+            ...rol,
+            usuarios: usuarios
+                .filter(u => u.rolId === rol.id)
+                .map(u => ({ id: u.id, usuario: u.usuario, activo: this.authService.estaActivo(u) }))
+        };
+    }
+
+    /**
+     * Da de alta un rol
+     * @param {Object} datos - { nombre, descripcion, permisos }
+     * @returns {Promise<Object>} Resultado de la creación
+     */
+    async crear(datos) {
+        const errores = this.validarDatos(datos);
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de rol inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const limpios = this.limpiarDatos(datos);
+        let rol;
+        try {
+            rol = await this.databaseService.createRole(limpios);
+        } catch (error) {
+            const duplicado = this.resultadoDuplicado(error, limpios.nombre);
+            if (duplicado) {
+                return duplicado;
+            }
+            throw error;
+        }
+
+        return {
+            success: true,
+            message: 'Rol creado',
+            data: rol
+        };
+    }
+
+    /**
+     * Modifica un rol. Los cambios de permisos rigen desde el siguiente request
+     * de los usuarios con sesión abierta.
+     * @param {number} id - ID del rol
+     * @param {Object} datos - Campos a modificar
+     * @returns {Promise<Object>} Resultado de la modificación
+     */
+    async actualizar(id, datos) {
+        const rol = await this.databaseService.getRoleById(id);
+
+        const errores = this.validarDatos(datos, true);
+        const limpios = this.limpiarDatos(datos);
+        if (errores.length === 0 && Object.keys(limpios).length === 0) {
+            errores.push(`Debe indicar al menos un campo: ${this.camposEditables.join(', ')}`);
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de rol inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        // Quitar la administración de usuarios no puede dejar al sistema sin administradores
+        if (limpios.permisos && !limpios.permisos.includes('gestionar_usuarios') &&
+            (rol.permisos || []).includes('gestionar_usuarios') &&
+            await this.administradoresSinRol(rol.id) === 0) {
+            return {
+                success: false,
+                message: 'No se puede quitar gestionar_usuarios: el sistema quedaría sin usuarios que administren cuentas',
+                code: 'ULTIMO_ADMINISTRADOR'
+            };
+        }
+
+        let actualizado;
+        try {
+            actualizado = await this.databaseService.updateRole(rol.id, limpios);
+        } catch (error) {
+            const duplicado = this.resultadoDuplicado(error, limpios.nombre);
+            if (duplicado) {
+                return duplicado;
+            }
+            throw error;
+        }
+        return {
+            success: true,
+            message: 'Rol actualizado',
+            data: actualizado
+        };
+    }
+
+    /**
+     * Cantidad de usuarios habilitados que administran cuentas mediante otro rol
+     * @param {number} rolIdExcluido - Rol a no contar
+     * @returns {Promise<number>} Cantidad de administradores
+     */
+    async administradoresSinRol(rolIdExcluido) {
+        const roles = await this.databaseService.getAllRoles();
+        const usuarios = await this.databaseService.getAllUsuarios();
+        const rolesAdmin = new Set(roles
+            .filter(r => r.id !== parseInt(rolIdExcluido) && (r.permisos || []).includes('gestionar_usuarios'))
+            .map(r => r.id));
+
+        return usuarios.filter(u => this.authService.estaActivo(u) && rolesAdmin.has(u.rolId)).length;
+    }
+
+    /**
+     * Elimina un rol que no tenga usuarios asignados
+     * @param {number} id - ID del rol
+     * @returns {Promise<Object>} Resultado de la baja
+     */
+    async eliminar(id) {
+        const rol = await this.databaseService.getRoleById(id);
+
+        const usuarios = (await this.databaseService.getAllUsuarios()).filter(u => u.rolId === rol.id);
+        if (usuarios.length > 0) {
+            return {
+                success: false,
+                message: `No se puede eliminar el rol: lo usan ${usuarios.length} usuario(s)`,
+                code: 'ROL_EN_USO'
+            };
+        }
+
+        await this.databaseService.deleteRole(rol.id);
+        return {
+            success: true,
+            message: 'Rol eliminado'
+        };
+    }
+}
+
+// Exportar instancia singleton
+const rolService = new RolService();
+export default rolService;
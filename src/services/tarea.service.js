@@ -0,0 +1,284 @@
+import databaseService, { TRANSICIONES_TAREA } from './database.service.js';
+import politicaService from './politica.service.js';
+
+/**
+ * Servicio de Tareas
+ * Ciclo de vida de las tareas (pendiente → en_progreso → completada, más
+ * cancelada y reabierta). Cada cambio de estado se autoriza según los permisos
+ * del usuario y su relación con la tarea, y queda registrado como transición.
+ */
+class TareaService {
+    constructor() {
+        this.databaseService = databaseService;
+        this.politicaService = politicaService;
+        this.estados = Object.keys(TRANSICIONES_TAREA);
+
+        // Acción de la política que autoriza llegar a cada estado
+        this.accionPorEstado = {
+            en_progreso: 'tareas:ejecutar',
+            completada: 'tareas:ejecutar',
+            cancelada: 'tareas:supervisar',
+            reabierta: 'tareas:supervisar'
+        };
+
+        // Estados a los que solo se puede pasar explicando el motivo
+        this.estadosConComentario = ['cancelada', 'reabierta'];
+    }
+
+    /**
+     * Verifica que un valor sea una fecha 'AAAA-MM-DD' existente
+     * @param {string} valor - Fecha recibida
+     * @returns {boolean} True si es válida
+     */
+    esFechaValida(valor) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(valor || '')) {
+            return false;
+        }
+        const fecha = new Date(`${valor}T00:00:00Z`);
+        return !isNaN(fecha.getTime()) && fecha.toISOString().startsWith(valor);
+    }
+
+    /**
+     * Valida los datos de una tarea nueva
+     * @param {Object} datos - { descripcion, empleadoId, pacienteId, fecha }
+     * @returns {Promise<Array<string>>} Lista de errores (vacía si son válidos)
+     */
+    async validarDatos({ descripcion, empleadoId, pacienteId, fecha }) {
+        const errores = [];
+
+        if (typeof descripcion !== 'string' || descripcion.trim().length < 3) {
+            errores.push('La descripción es requerida y debe tener al menos 3 caracteres');
+        } else if (descripcion.trim().length > 200) {
+            errores.push('La descripción no puede superar los 200 caracteres');
+        }
+
+        if (!Number.isInteger(empleadoId)) {
+            errores.push('El empleadoId es requerido');
+        } else if (!(await this.databaseService.getAllEmpleados()).some(e => e.id === empleadoId)) {
+            errores.push(`El empleado ${empleadoId} no existe`);
+        }
+
+        if (pacienteId !== undefined && pacienteId !== null) {
+            if (!Number.isInteger(pacienteId)) {
+                errores.push('El pacienteId debe ser un número');
+            } else if (!(await this.databaseService.getAllPacientes()).some(p => p.id === pacienteId)) {
+                errores.push(`El paciente ${pacienteId} no existe`);
+            }
+        }
+
+        if (!this.esFechaValida(fecha)) {
+            errores.push('La fecha es requerida y debe tener el formato AAAA-MM-DD');
+        }
+
+        return errores;
+    }
+
+    /**
+     * Lista tareas con filtros, ordenadas por fecha (la más reciente primero)
+     * @param {Object} filtros - { empleadoId, pacienteId, areaId, estado, desde, hasta } (fechas 'AAAA-MM-DD', inclusive)
+     * @returns {Promise<Object>} Resultado con las tareas filtradas
+     */
+    async listar({ empleadoId, pacienteId, areaId, estado, desde, hasta } = {}) {
+        const errores = [];
+        if (empleadoId && isNaN(parseInt(empleadoId))) {
+            errores.push('El empleadoId debe ser un número');
+        }
+        if (areaId && isNaN(parseInt(areaId))) {
+            errores.push('El areaId debe ser un número');
+        }
+        if (pacienteId && isNaN(parseInt(pacienteId))) {
+            errores.push('El pacienteId debe ser un número');
+        }
+        if (estado && !this.estados.includes(estado)) {
+            errores.push(`El estado debe ser uno de: ${this.estados.join(', ')}`);
+        }
+        if (desde && !this.esFechaValida(desde)) {
+            errores.push("La fecha 'desde' debe tener el formato AAAA-MM-DD");
+        }
+        if (hasta && !this.esFechaValida(hasta)) {
+            errores.push("La fecha 'hasta' debe tener el formato AAAA-MM-DD");
+        }
+        if (errores.length === 0 && desde && hasta && desde > hasta) {
+            errores.push("La fecha 'desde' no puede ser posterior a 'hasta'");
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Filtros inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        // Las tareas pertenecen al área del empleado asignado
+        const where = {};
+        if (areaId) {
+            const empleadosDelArea = (await this.databaseService.getEmpleadosByArea(areaId)).map(e => e.id);
+            where.empleadoId = { in: empleadosDelArea.filter(id => !empleadoId || id === parseInt(empleadoId)) };
+        } else if (empleadoId) {
+            where.empleadoId = parseInt(empleadoId);
+        }
+        if (pacienteId) {
+            where.pacienteId = parseInt(pacienteId);
+        }
+        if (estado) {
+            where.estado = estado;
+        }
+        if (desde || hasta) {
+            where.fecha = { ...(desde && { gte: desde }), ...(hasta && { lte: hasta }) };
+        }
+
+        const { registros: filtradas } = await this.databaseService.query('tareas', {
+            where,
+            orderBy: { fecha: 'desc', id: 'desc' }
+        });
+
+        return {
+            success: true,
+            data: filtradas
+        };
+    }
+
+    /**
+     * Estados a los que el usuario puede llevar la tarea
+     * @param {Object} tarea - Tarea
+     * @param {Object} usuario - Usuario completo
+     * @returns {Array<string>} Estados permitidos
+     */
+    transicionesPermitidas(tarea, usuario) {
+        return (TRANSICIONES_TAREA[tarea.estado] || [])
+            .filter(estado => this.politicaService.puede(usuario, this.accionPorEstado[estado], { params: {}, tarea }));
+    }
+
+    /**
+     * Obtiene una tarea con su historial y los cambios de estado disponibles para el usuario
+     * @param {number} id - ID de la tarea
+     * @param {Object} usuario - Usuario completo
+     * @returns {Promise<Object>} Tarea con historial y transicionesPermitidas
+     */
+    async obtener(id, usuario) {
+        const tarea = await this.databaseService.getTareaById(id);
+        return {
+            ...tarea,
+            historial: await this.historial(tarea.id),
+            transicionesPermitidas: this.transicionesPermitidas(tarea, usuario)
+        };
+    }
+
+    /**
+     * Historial de transiciones de una tarea, de la más antigua a la más reciente
+     * @param {number} id - ID de la tarea
+     * @returns {Promise<Array<Object>>} Transiciones registradas
+     */
+    async historial(id) {
+        const transiciones = await this.databaseService.getTransicionesByTarea(id);
+        return [...transiciones].sort((a, b) => new Date(a.fecha) - new Date(b.fecha) || a.id - b.id);
+    }
+
+    /**
+     * Crea una tarea en estado pendiente
+     * @param {Object} datos - { descripcion, empleadoId, pacienteId, fecha }
+     * @param {Object} usuario - Usuario que crea la tarea
+     * @returns {Promise<Object>} Resultado de la creación
+     */
+    async crear(datos, usuario) {
+        const errores = await this.validarDatos(datos);
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de tarea inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const tarea = await this.databaseService.createTarea({
+            descripcion: datos.descripcion.trim(),
+            empleadoId: datos.empleadoId,
+            pacienteId: datos.pacienteId ?? null,
+            estado: 'pendiente',
+            fecha: datos.fecha,
+            creadaPor: usuario?.id ?? null
+        }, {
+            usuarioId: usuario?.id,
+            usuario: usuario?.usuario
+        });
+
+        return {
+            success: true,
+            message: 'Tarea creada',
+            data: tarea
+        };
+    }
+
+    /**
+     * Cambia el estado de una tarea si la transición existe y el usuario puede realizarla
+     * @param {number} id - ID de la tarea
+     * @param {Object} datos - { estado, comentario }
+     * @param {Object} usuario - Usuario que realiza el cambio
+     * @returns {Promise<Object>} Resultado con la transición registrada
+     */
+    async transicionar(id, { estado, comentario }, usuario) {
+        const tarea = await this.databaseService.getTareaById(id);
+
+        const errores = [];
+        if (!this.estados.includes(estado)) {
+            errores.push(`El estado debe ser uno de: ${this.estados.join(', ')}`);
+        }
+        if (comentario !== undefined && comentario !== null && typeof comentario !== 'string') {
+            errores.push('El comentario debe ser texto');
+        } else if (this.estadosConComentario.includes(estado) && !comentario?.trim()) {
+            errores.push(`Para pasar la tarea a '${estado}' hay que indicar un comentario`);
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Cambio de estado inválido',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const accion = this.accionPorEstado[estado];
+        if (!this.politicaService.puede(usuario, accion, { params: {}, tarea })) {
+            return {
+                success: false,
+                message: `No puede pasar la tarea a ${estado}: se requiere ` +
+                    `${accion === 'tareas:ejecutar' ? 'ser el empleado asignado' : 'haber creado la tarea'} ` +
+                    'o tener permiso para gestionar tareas',
+                code: 'FORBIDDEN'
+            };
+        }
+
+        // La transición se valida dentro de la transacción, contra el estado vigente
+        let transicion;
+        try {
+            transicion = await this.databaseService.registrarTransicionTarea(tarea.id, {
+                estado,
+                comentario: comentario?.trim(),
+                usuarioId: usuario?.id,
+                usuario: usuario?.usuario
+            });
+        } catch (error) {
+            if (error.code !== 'INVALID_TRANSITION') {
+                throw error;
+            }
+            return {
+                success: false,
+                message: `Una tarea ${error.estadoActual} no puede pasar a ${estado}` +
+                    (error.permitidos.length > 0 ? ` (puede pasar a: ${error.permitidos.join(', ')})` : ''),
+                code: 'INVALID_TRANSITION'
+            };
+        }
+
+        return {
+            success: true,
+            message: `Tarea ${estado.replace('_', ' ')}`,
+            data: transicion
+        };
+    }
+}
+
+// Exportar instancia singleton
+const tareaService = new TareaService();
+export default tareaService;
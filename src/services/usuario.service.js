@@ -0,0 +1,483 @@
+import databaseService from './database.service.js';
+import authService from './auth.service.js';
+import passwordService from './password.service.js';
+
+/**
+ * Servicio de Usuarios
+ * Administración de cuentas: alta del empleado o paciente con su perfil y usuario
+ * en una sola operación, modificación, cambio de rol, habilitación y baja
+ */
+class UsuarioService {
+    constructor() {
+        this.databaseService = databaseService;
+        this.authService = authService;
+        this.passwordService = passwordService;
+        this.tipos = ['empleado', 'paciente'];
+
+        // Campos que se pueden modificar desde la administración, según el tipo de perfil
+        this.camposEditables = {
+            empleado: ['usuario', 'nombre', 'puesto'],
+            paciente: ['usuario', 'nombre', 'dni']
+        };
+    }
+
+    /**
+     * Valida los datos de una cuenta
+     * @param {Object} datos - { usuario, tipo, nombre, puesto, dni, rolId, areaId, password }
+     * @param {boolean} parcial - True en modificaciones (los campos ausentes no se validan)
+     * @returns {Promise<Array<string>>} Lista de errores (vacía si son válidos)
+     */
+    async validarDatos(datos, parcial = false) {
+        const errores = [];
+
+        if (!parcial || datos.usuario !== undefined) {
+            if (typeof datos.usuario !== 'string' || !/^[A-Za-z0-9._-]{3,30}$/.test(datos.usuario.trim())) {
+                errores.push('El usuario es requerido: de 3 a 30 letras, números, puntos, guiones o guiones bajos');
+            }
+        }
+
+        if (!parcial || datos.nombre !== undefined) {
+            if (typeof datos.nombre !== 'string' || datos.nombre.trim().length < 3) {
+                errores.push('El nombre es requerido y debe tener al menos 3 caracteres');
+            } else if (datos.nombre.trim().length > 100) {
+                errores.push('El nombre no puede superar los 100 caracteres');
+            }
+        }
+
+        if (!parcial && !this.tipos.includes(datos.tipo)) {
+            errores.push(`El tipo debe ser uno de: ${this.tipos.join(', ')}`);
+        }
+
+        if ((!parcial && datos.tipo === 'empleado') || (parcial && datos.puesto !== undefined)) {
+            if (typeof datos.puesto !== 'string' || datos.puesto.trim().length < 2) {
+                errores.push('El puesto es requerido y debe tener al menos 2 caracteres');
+            }
+        }
+
+        if ((!parcial && datos.tipo === 'paciente') || (parcial && datos.dni !== undefined)) {
+            if (typeof datos.dni !== 'string' || !/^\d{7,8}$/.test(datos.dni)) {
+                errores.push('El DNI es requerido y debe tener 7 u 8 dígitos');
+            }
+        }
+
+        if (!parcial) {
+            if (!Number.isInteger(datos.rolId)) {
+                errores.push('El rolId es requerido');
+            } else if (!(await this.databaseService.getAllRoles()).some(r => r.id === datos.rolId)) {
+                errores.push(`El rol ${datos.rolId} no existe`);
+            }
+
+            if (datos.tipo === 'empleado' && datos.areaId !== undefined && datos.areaId !== null) {
+                if (!Number.isInteger(datos.areaId)) {
+                    errores.push('El areaId debe ser un número');
+                } else if (!(await this.databaseService.getAllAreas()).some(a => a.id === datos.areaId)) {
+                    errores.push(`El área ${datos.areaId} no existe`);
+                }
+            }
+
+            const erroresPassword = this.passwordService.validarPolitica(datos.password);
+            errores.push(...erroresPassword.map(e => `Contraseña: ${e}`));
+        }
+
+        return errores;
+    }
+
+    /**
+     * Traduce un conflicto de unicidad (usuario o DNI) detectado al guardar. Las
+     * verificaciones corren dentro de la transacción de la escritura, no antes
+     * @param {Error} error - Error de la base de datos
+     * @param {Object} datos - { usuario, dni } enviados
+     * @returns {Object|null} Resultado fallido o null si el error es otro
+     */
+    resultadoDuplicado(error, { usuario, dni }) {
+        if (error.code !== 'DUPLICATE') {
+            return null;
+        }
+        if (error.tabla === 'usuarios' && error.campos.includes('usuario')) {
+            return {
+                success: false,
+                message: `Ya existe un usuario '${usuario.trim()}'`,
+                code: 'DUPLICATE_USUARIO'
+            };
+        }
+        if (error.tabla === 'pacientes' && error.campos.includes('dni')) {
+            return {
+                success: false,
+                message: `Ya existe un paciente con DNI '${dni.trim()}'`,
+                code: 'DUPLICATE_DNI'
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Resumen de una cuenta para la administración (sin datos sensibles)
+     * @param {Object} usuario - Usuario completo
+     * @returns {Object} Cuenta con rol, tipo y datos de la persona
+     */
+    resumen(usuario) {
+        const publicos = this.authService.datosPublicos(usuario);
+        const persona = usuario.perfil?.empleado || usuario.perfil?.paciente || null;
+        return {
+            id: publicos.id,
+            usuario: publicos.usuario,
+            activo: this.authService.estaActivo(usuario),
+            rol: usuario.rol ? { id: usuario.rol.id, nombre: usuario.rol.nombre } : null,
+            tipo: usuario.perfil?.tipo || null,
+            persona,
+            debeCambiarPassword: Boolean(publicos.debeCambiarPassword),
+            mfaActivo: publicos.mfaActivo
+        };
+    }
+
+    /**
+     * Lista las cuentas ordenadas por nombre de usuario
+     * @param {Object} filtros - { rolId, tipo, activo ('true' | 'false') }
+     * @returns {Promise<Object>} Resultado con las cuentas filtradas
+     */
+    async listar({ rolId, tipo, activo } = {}) {
+        const errores = [];
+        if (rolId && isNaN(parseInt(rolId))) {
+            errores.push('El rolId debe ser un número');
+        }
+        if (tipo && !this.tipos.includes(tipo)) {
+            errores.push(`El tipo debe ser uno de: ${this.tipos.join(', ')}`);
+        }
+        if (activo && !['true', 'false'].includes(activo)) {
+            errores.push("El filtro 'activo' debe ser true o false");
+        }
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Filtros inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        const cuentas = [];
+        for (const { id } of await this.databaseService.getAllUsuarios()) {
+            cuentas.push(this.resumen(await this.databaseService.getUsuarioCompleto(id)));
+        }
+
+        return {
+            success: true,
+            data: cuentas
+                .filter(c => !rolId || c.rol?.id === parseInt(rolId))
+                .filter(c => !tipo || c.tipo === tipo)
+                .filter(c => !activo || c.activo === (activo === 'true'))
+                .sort((a, b) => a.usuario.localeCompare(b.usuario, 'es'))
+        };
+    }
+
+    /**
+     * Obtiene una cuenta
+     * @param {number} id - ID del usuario
+     * @returns {Promise<Object>} Cuenta
+     */
+    async obtener(id) {
+        return this.resumen(await this.databaseService.getUsuarioCompleto(id));
+    }
+
+    /**
+     * Cantidad de cuentas habilitadas que pueden administrar usuarios, sin contar una
+     * @param {number} usuarioIdExcluido - Cuenta a no contar
+     * @returns {Promise<number>} Cantidad de administradores restantes
+     */
+    async administradoresRestantes(usuarioIdExcluido) {
+        const roles = await this.databaseService.getAllRoles();
+        const usuarios = await this.databaseService.getAllUsuarios();
+        const rolesAdmin = new Set(roles
+            .filter(r => (r.permisos || []).includes('gestionar_usuarios'))
+            .map(r => r.id));
+
+        return usuarios.filter(u =>
+            u.id !== parseInt(usuarioIdExcluido) && this.authService.estaActivo(u) && rolesAdmin.has(u.rolId)
+        ).length;
+    }
+
+    /**
+     * Verifica que una operación no deje al sistema sin administradores
+     * @param {number} usuarioId - Cuenta que pierde la administración
+     * @returns {Promise<Object|null>} Resultado fallido o null si se puede continuar
+     */
+    async verificarAdministradores(usuarioId) {
+        const usuario = await this.databaseService.getUsuarioCompleto(usuarioId);
+        const esAdmin = (usuario.rol?.permisos || []).includes('gestionar_usuarios') &&
+            this.authService.estaActivo(usuario);
+
+        if (esAdmin && await this.administradoresRestantes(usuario.id) === 0) {
+            return {
+                success: false,
+                message: 'No se puede continuar: el sistema quedaría sin usuarios que administren cuentas',
+                code: 'ULTIMO_ADMINISTRADOR'
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Resultado fallido para operaciones que un administrador no puede hacer sobre su propia cuenta
+     * @param {string} operacion - Descripción de la operación
+     * @returns {Object} Resultado fallido
+     */
+    cuentaPropia(operacion) {
+        return {
+            success: false,
+            message: `No puede ${operacion} su propia cuenta`,
+            code: 'CUENTA_PROPIA'
+        };
+    }
+
+    /**
+     * Da de alta una cuenta con su empleado o paciente y su perfil (todo o nada).
+     * El usuario deberá cambiar la contraseña inicial en su primer ingreso.
+     * @param {Object} datos - { usuario, password, rolId, tipo, nombre, puesto, areaId, especialidad, dni }
+     * @returns {Promise<Object>} Resultado de la creación
+     */
+    async crear(datos) {
+        const errores = await this.validarDatos(datos);
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de usuario inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        let usuario;
+        try {
+            ({ usuario } = await this.databaseService.provisionarUsuario({
+                usuario: datos.usuario.trim(),
+                password: datos.password,
+                rolId: datos.rolId,
+                debeCambiarPassword: true,
+                empleado: datos.tipo === 'empleado' ? {
+                    nombre: datos.nombre.trim(),
+                    puesto: datos.puesto.trim(),
+                    areaId: datos.areaId ?? null,
+                    especialidad: typeof datos.especialidad === 'string' ? datos.especialidad.trim() : null
+                } : null,
+                paciente: datos.tipo === 'paciente' ? {
+                    nombre: datos.nombre.trim(),
+                    dni: datos.dni
+                } : null
+            }));
+        } catch (error) {
+            const duplicado = this.resultadoDuplicado(error, datos);
+            if (duplicado) {
+                return duplicado;
+            }
+            throw error;
+        }
+
+        return {
+            success: true,
+            message: 'Usuario creado',
+            data: await this.obtener(usuario.id)
+        };
+    }
+
+    /**
+     * Modifica el nombre de usuario y los datos de la persona de una cuenta
+     * @param {number} id - ID del usuario
+     * @param {Object} datos - Campos a modificar (usuario, nombre y puesto o dni)
+     * @returns {Promise<Object>} Resultado de la modificación
+     */
+    async actualizar(id, datos) {
+        const usuario = await this.databaseService.getUsuarioCompleto(id);
+        const tipo = usuario.perfil?.tipo;
+        const permitidos = this.camposEditables[tipo] || ['usuario'];
+
+        const errores = [];
+        const noPermitidos = Object.keys(datos).filter(campo => !permitidos.includes(campo));
+        if (noPermitidos.length > 0) {
+            errores.push(`No se pueden modificar: ${noPermitidos.join(', ')} (campos permitidos: ${permitidos.join(', ')})`);
+        } else if (Object.keys(datos).length === 0) {
+            errores.push(`Debe indicar al menos un campo: ${permitidos.join(', ')}`);
+        }
+        errores.push(...await this.validarDatos(datos, true));
+        if (errores.length > 0) {
+            return {
+                success: false,
+                message: 'Datos de usuario inválidos',
+                code: 'VALIDATION_ERROR',
+                errores
+            };
+        }
+
+        // Datos de la persona
+        const persona = {};
+        for (const campo of ['nombre', 'puesto', 'dni']) {
+            if (datos[campo] !== undefined) {
+                persona[campo] = datos[campo].trim();
+            }
+        }
+        // La persona y la cuenta se actualizan juntas: si algo falla no queda ningún cambio
+        try {
+            await this.databaseService.transaction(async (tx) => {
+                if (Object.keys(persona).length > 0) {
+                    if (tipo === 'empleado') {
+                        await tx.updateEmpleado(usuario.perfil.empleadoId, persona);
+                    } else {
+                        await tx.updatePaciente(usuario.perfil.pacienteId, persona);
+                    }
+                }
+
+                if (datos.usuario !== undefined) {
+                    await tx.updateUsuario(usuario.id, { usuario: datos.usuario.trim() });
+                }
+            });
+        } catch (error) {
+            const duplicado = this.resultadoDuplicado(error, datos);
+            if (duplicado) {
+                return duplicado;
+            }
+            throw error;
+        }
+
+        return {
+            success: true,
+            message: 'Usuario actualizado',
+            data: await this.obtener(usuario.id)
+        };
+    }
+
+    /**
+     * Cambia el rol de una cuenta
+     * @param {number} id - ID del usuario
+     * @param {number} rolId - Nuevo rol
+     * @param {Object} administrador - Usuario que realiza el cambio
+     * @returns {Promise<Object>} Resultado del cambio
+     */
+    async cambiarRol(id, rolId, administrador) {
+        const usuario = await this.databaseService.getUsuarioById(id);
+
+        const rol = (await this.databaseService.getAllRoles()).find(r => r.id === rolId);
+        if (!rol) {
+            return {
+                success: false,
+                message: 'Datos de usuario inválidos',
+                code: 'VALIDATION_ERROR',
+                errores: [Number.isInteger(rolId) ? `El rol ${rolId} no existe` : 'El rolId es requerido']
+            };
+        }
+
+        if (usuario.id === administrador?.id) {
+            return this.cuentaPropia('cambiar el rol de');
+        }
+        if (!(rol.permisos || []).includes('gestionar_usuarios')) {
+            const sinAdministradores = await this.verificarAdministradores(usuario.id);
+            if (sinAdministradores) {
+                return sinAdministradores;
+            }
+        }
+
+        await this.databaseService.updateUsuario(usuario.id, { rolId: rol.id });
+
+        return {
+            success: true,
+            message: `Rol cambiado a ${rol.nombre}`,
+            data: await this.obtener(usuario.id)
+        };
+    }
+
+    /**
+     * Habilita o deshabilita una cuenta; al deshabilitarla se cierran sus sesiones
+     * @param {number} id - ID del usuario
+     * @param {boolean} activo - Nuevo estado
+     * @param {Object} administrador - Usuario que realiza el cambio
+     * @returns {Promise<Object>} Resultado del cambio
+     */
+    async cambiarEstado(id, activo, administrador) {
+        const usuario = await this.databaseService.getUsuarioById(id);
+
+        if (typeof activo !== 'boolean') {
+            return {
+                success: false,
+                message: 'Datos de usuario inválidos',
+                code: 'VALIDATION_ERROR',
+                errores: ["El campo 'activo' debe ser true o false"]
+            };
+        }
+
+        if (!activo) {
+            if (usuario.id === administrador?.id) {
+                return this.cuentaPropia('deshabilitar');
+            }
+            const sinAdministradores = await this.verificarAdministradores(usuario.id);
+            if (sinAdministradores) {
+                return sinAdministradores;
+            }
+        }
+
+        await this.databaseService.updateUsuario(usuario.id, { activo });
+        if (!activo) {
+            await this.authService.revocarSesionesUsuario(usuario.id, 'usuario_deshabilitado');
+        }
+
+        return {
+            success: true,
+            message: activo ? 'Usuario habilitado' : 'Usuario deshabilitado',
+            data: await this.obtener(usuario.id)
+        };
+    }
+
+    /**
+     * Elimina una cuenta junto con su perfil y su empleado o paciente (todo o nada).
+     * Si la persona tiene tareas, citas, historia clínica o jefaturas asociadas, hay que deshabilitarla.
+     * @param {number} id - ID del usuario
+     * @param {Object} administrador - Usuario que realiza la baja
+     * @returns {Promise<Object>} Resultado de la baja
+     */
+    async eliminar(id, administrador) {
+        const usuario = await this.databaseService.getUsuarioCompleto(id);
+
+        if (usuario.id === administrador?.id) {
+            return this.cuentaPropia('eliminar');
+        }
+        const sinAdministradores = await this.verificarAdministradores(usuario.id);
+        if (sinAdministradores) {
+            return sinAdministradores;
+        }
+
+        const { empleadoId, pacienteId } = usuario.perfil || {};
+        const tareas = (await this.databaseService.getAllTareas())
+            .filter(t => (empleadoId && t.empleadoId === empleadoId) || (pacienteId && t.pacienteId === pacienteId));
+        const citas = (await this.databaseService.getAllCitas())
+            .filter(c => (empleadoId && c.medicoId === empleadoId) || (pacienteId && c.pacienteId === pacienteId));
+        const entradasHistoria = pacienteId
+            ? await this.databaseService.getEntradasHistoriaByPaciente(pacienteId)
+            : [];
+        const jefaturas = empleadoId
+            ? (await this.databaseService.getAllAreas()).filter(a => a.jefeId === empleadoId)
+            : [];
+
+        const asociados = [
+            tareas.length > 0 ? `${tareas.length} tarea(s)` : null,
+            citas.length > 0 ? `${citas.length} cita(s)` : null,
+            entradasHistoria.length > 0 ? 'historia clínica registrada' : null,
+            jefaturas.length > 0 ? `la jefatura de ${jefaturas.map(a => a.nombre).join(', ')}` : null
+        ].filter(Boolean);
+        if (asociados.length > 0) {
+            return {
+                success: false,
+                message: `No se puede eliminar el usuario: tiene ${asociados.join(', ')}. Deshabilítelo en su lugar`,
+                code: 'USUARIO_CON_REGISTROS'
+            };
+        }
+
+        await this.authService.revocarSesionesUsuario(usuario.id, 'usuario_eliminado');
+        await this.databaseService.deleteUsuarioCompleto(usuario.id);
+
+        return {
+            success: true,
+            message: 'Usuario eliminado'
+        };
+    }
+}
+
+// Exportar instancia singleton
+const usuarioService = new UsuarioService();
+export default usuarioService;
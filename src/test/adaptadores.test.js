@@ -0,0 +1,100 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { prepararDatosTemporales, usarAdaptador, cerrarAdaptador } from './datos-temporales.js';
+
+const datos = await prepararDatosTemporales();
+const { default: databaseService } = await import('../services/database.service.js');
+const { migrarAlmacenamiento } = await import('../helper.js');
+
+const original = JSON.parse(await fs.readFile(datos.rutaJson, 'utf8'));
+
+before(async () => {
+    await migrarAlmacenamiento('json', 'sqlite');
+});
+
+after(async () => {
+    await cerrarAdaptador(databaseService);
+    await datos.limpiar();
+});
+
+describe('Migración de JSON a SQLite', () => {
+    test('copia todas las tablas conservando los IDs', async () => {
+        await usarAdaptador(databaseService, 'sqlite');
+        for (const [tabla, registros] of Object.entries(original)) {
+            assert.deepEqual(await databaseService.getAll(tabla), registros, `tabla ${tabla}`);
+        }
+    });
+
+    test('no copia sobre un destino que ya tiene datos', async () => {
+        await cerrarAdaptador(databaseService);
+        await assert.rejects(migrarAlmacenamiento('json', 'sqlite'), /ya tiene datos/);
+    });
+});
+
+// Las mismas operaciones del servicio deben comportarse igual con los dos adaptadores
+for (const nombre of ['json', 'sqlite']) {
+    describe(`Operaciones genéricas con el adaptador ${nombre}`, () => {
+        before(async () => {
+            await usarAdaptador(databaseService, nombre);
+        });
+
+        test('crea, lee, modifica y elimina registros', async () => {
+            const maximo = Math.max(...original.categorias.map(c => c.id));
+            const creada = await databaseService.create('categorias', { nombre: `Prueba ${nombre}` });
+            assert.equal(creada.id, maximo + 1);
+            assert.deepEqual(await databaseService.getById('categorias', creada.id), creada);
+
+            const modificada = await databaseService.update('categorias', creada.id, { descripcion: 'Editada' });
+            assert.deepEqual(modificada, { ...creada, descripcion: 'Editada' });
+
+            assert.deepEqual(await databaseService.delete('categorias', creada.id), modificada);
+            await assert.rejects(databaseService.getById('categorias', creada.id), { code: 'NOT_FOUND', tabla: 'categorias' });
+        });
+
+        test('conserva tipos y valores nulos de los registros', async () => {
+            const creado = await databaseService.create('insumos', {
+                nombre: `Tipos ${nombre}`,
+                stock: 2.5,
+                unidad: 'litros',
+                categoriaId: null
+            });
+            const leido = await databaseService.getById('insumos', creado.id);
+            assert.equal(leido.stock, 2.5);
+            assert.equal(leido.categoriaId, null);
+            await databaseService.delete('insumos', creado.id);
+        });
+
+        test('los registros devueltos son copias de lo guardado', async () => {
+            const adaptador = await databaseService.adaptador();
+            const creado = await adaptador.insertar('roles', { nombre: `Copia ${nombre}`, permisos: ['ver_tareas'] });
+
+            creado.permisos.push('gestionar_usuarios');
+            (await adaptador.obtener('roles', creado.id)).nombre = 'Modificado';
+            (await adaptador.listar('roles')).find(rol => rol.id === creado.id).permisos.length = 0;
+            (await adaptador.buscar('roles', 'nombre', [`Copia ${nombre}`]))[0].permisos.push('ver_pacientes');
+
+            assert.deepEqual(await adaptador.obtener('roles', creado.id),
+                { id: creado.id, nombre: `Copia ${nombre}`, permisos: ['ver_tareas'] });
+            await adaptador.eliminar('roles', creado.id);
+        });
+    });
+}
+
+describe('Registro de adaptadores', () => {
+    test('rechaza un adaptador al que le faltan métodos', () => {
+        assert.throws(
+            () => databaseService.registrarAdaptador('incompleto', { abrir() {}, cerrar() {} }),
+            /debe implementar: tablas/
+        );
+    });
+
+    test('un adaptador desconocido no se puede usar', async () => {
+        await usarAdaptador(databaseService, 'inexistente');
+        try {
+            await assert.rejects(databaseService.getAll('roles'), /no está registrado/);
+        } finally {
+            await usarAdaptador(databaseService, 'json');
+        }
+    });
+});
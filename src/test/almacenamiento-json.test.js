@@ -0,0 +1,105 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { prepararDatosTemporales, cerrarAdaptador } from './datos-temporales.js';
+
+const datos = await prepararDatosTemporales();
+const { default: databaseService } = await import('../services/database.service.js');
+const { JsonAdaptador } = await import('../services/almacenamiento.js');
+
+// Contenido guardado en disco (no el que el adaptador tiene en memoria)
+async function leerDisco(ruta = datos.rutaJson) {
+    return JSON.parse(await fs.readFile(ruta, 'utf8'));
+}
+
+after(async () => {
+    await cerrarAdaptador(databaseService);
+    await datos.limpiar();
+});
+
+describe('Escrituras serializadas', () => {
+    test('las altas simultáneas reciben IDs distintos y quedan todas en disco', async () => {
+        const creadas = await Promise.all(Array.from({ length: 20 }, (_, i) =>
+            databaseService.create('categorias', { nombre: `Concurrente ${i}` })));
+
+        const ids = creadas.map(c => c.id);
+        assert.equal(new Set(ids).size, ids.length);
+
+        const enDisco = (await leerDisco()).categorias.map(c => c.id);
+        for (const id of ids) {
+            assert.ok(enDisco.includes(id), `falta la categoría ${id} en disco`);
+        }
+    });
+
+    test('dos modificaciones simultáneas del mismo registro no se pisan', async () => {
+        await Promise.all([
+            databaseService.update('insumos', 1, { descripcion: 'Modificada en paralelo' }),
+            databaseService.update('insumos', 1, { stockMinimo: 75 })
+        ]);
+
+        const [insumo] = (await leerDisco()).insumos.filter(i => i.id === 1);
+        assert.equal(insumo.descripcion, 'Modificada en paralelo');
+        assert.equal(insumo.stockMinimo, 75);
+    });
+
+    test('al terminar no queda el archivo temporal y sí la copia anterior', async () => {
+        await databaseService.create('categorias', { nombre: 'Después de guardar' });
+
+        await assert.rejects(fs.access(`${datos.rutaJson}.tmp`));
+        assert.ok(Array.isArray((await leerDisco(`${datos.rutaJson}.bak`)).categorias));
+    });
+});
+
+describe('Recuperación de un archivo dañado', () => {
+    // Cada prueba usa su propio archivo, abierto con un adaptador independiente del servicio
+    async function prepararArchivo(nombre) {
+        const ruta = path.join(datos.directorio, nombre);
+        await fs.copyFile(datos.rutaJson, ruta);
+        const adaptador = new JsonAdaptador(ruta);
+        await adaptador.abrir();
+        const area = await adaptador.insertar('areas', { nombre: `Guardada en ${nombre}` });
+        await adaptador.insertar('areas', { nombre: `Última de ${nombre}` });
+        await adaptador.cerrar();
+        return { ruta, area };
+    }
+
+    test('si el archivo está dañado se abre la última copia buena y se conserva el dañado', async () => {
+        const { ruta, area } = await prepararArchivo('danado.json');
+        await fs.writeFile(ruta, '{"roles": [', 'utf8');
+
+        const adaptador = new JsonAdaptador(ruta);
+        await adaptador.abrir();
+        try {
+            assert.deepEqual(await adaptador.obtener('areas', area.id), area);
+        } finally {
+            await adaptador.cerrar();
+        }
+
+        // El archivo principal vuelve a ser válido y el dañado queda para revisarlo
+        assert.ok((await leerDisco(ruta)).areas.some(a => a.id === area.id));
+        const archivos = await fs.readdir(datos.directorio);
+        assert.ok(archivos.some(archivo => archivo.startsWith('danado.json.corrupto-')));
+    });
+
+    test('si falta el archivo se recupera la copia', async () => {
+        const { ruta, area } = await prepararArchivo('borrado.json');
+        await fs.rm(ruta);
+
+        const adaptador = new JsonAdaptador(ruta);
+        await adaptador.abrir();
+        try {
+            assert.deepEqual(await adaptador.obtener('areas', area.id), area);
+        } finally {
+            await adaptador.cerrar();
+        }
+        await fs.access(ruta);
+    });
+
+    test('sin archivo ni copia buena no se abre', async () => {
+        const ruta = path.join(datos.directorio, 'inexistente.json');
+        await fs.writeFile(ruta, 'no es json', 'utf8');
+
+        await assert.rejects(new JsonAdaptador(ruta).abrir(), /Error al cargar la base de datos/);
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { prepararDatosTemporales, usarAdaptador, cerrarAdaptador } from './datos-temporales.js';
+
+const datos = await prepararDatosTemporales();
+const { default: databaseService } = await import('../services/database.service.js');
+const { migrarAlmacenamiento } = await import('../helper.js');
+
+before(async () => {
+    await migrarAlmacenamiento('json', 'sqlite');
+});
+
+after(async () => {
+    await cerrarAdaptador(databaseService);
+    await datos.limpiar();
+});
+
+// IDs de una lista de registros, para comparar resultados sin depender del resto de los campos
+const ids = registros => registros.map(registro => registro.id);
+
+for (const nombre of ['json', 'sqlite']) {
+    describe(`query() con el adaptador ${nombre}`, () => {
+        let categoriaId;
+        let insumos;
+
+        before(async () => {
+            await usarAdaptador(databaseService, nombre);
+            categoriaId = (await databaseService.create('categorias', { nombre: 'Consultas' })).id;
+            insumos = [];
+            for (const [nombreInsumo, stock, stockMinimo] of [
+                ['Alcohol en gel', 30, 5],
+                ['Barbijo', 10, null],
+                ['Alcohol etílico', 50, 20],
+                ['Gasa estéril', 20, 5],
+                ['Jeringa', 40, null]
+            ]) {
+                insumos.push(await databaseService.create('insumos', {
+                    nombre: nombreInsumo, stock, unidad: 'u', stockMinimo, categoriaId
+                }));
+            }
+        });
+
+        const consultar = (opciones = {}) => databaseService.query('insumos', {
+            ...opciones,
+            where: { categoriaId, ...opciones.where }
+        });
+
+        test('filtra con eq, in, rangos y contains', async () => {
+            const [gel, barbijo, etilico, gasa, jeringa] = insumos;
+
+            assert.deepEqual(ids((await consultar({ where: { stock: 10 } })).registros), [barbijo.id]);
+            assert.deepEqual(ids((await consultar({ where: { stock: { in: [20, 40] } } })).registros), [gasa.id, jeringa.id]);
+            assert.deepEqual(ids((await consultar({ where: { stock: { gt: 20, lte: 40 } } })).registros), [gel.id, jeringa.id]);
+            assert.deepEqual(ids((await consultar({ where: { stock: { gte: 50 } } })).registros), [etilico.id]);
+            assert.deepEqual(ids((await consultar({ where: { stock: { lt: 20 } } })).registros), [barbijo.id]);
+            assert.deepEqual(ids((await consultar({ where: { nombre: { contains: 'ALCOHOL' } } })).registros), [gel.id, etilico.id]);
+            assert.deepEqual(ids((await consultar({ where: { stockMinimo: null } })).registros), [barbijo.id, jeringa.id]);
+        });
+
+        test('ordena por varios campos con los nulos al final', async () => {
+            const [gel, barbijo, etilico, gasa, jeringa] = insumos;
+            const { registros } = await consultar({ orderBy: { stockMinimo: 'desc', nombre: 'asc' } });
+            assert.deepEqual(ids(registros), [etilico.id, gel.id, gasa.id, barbijo.id, jeringa.id]);
+        });
+
+        test('pagina y devuelve el total de los que cumplen el filtro', async () => {
+            const [gel, , , gasa, jeringa] = insumos;
+            const { registros, total } = await consultar({ orderBy: { stock: 'asc' }, limit: 3, offset: 1 });
+            assert.equal(total, 5);
+            assert.deepEqual(ids(registros), [gasa.id, gel.id, jeringa.id]);
+        });
+
+        test('devuelve solo los campos pedidos', async () => {
+            const { registros } = await consultar({ where: { stock: 10 }, fields: ['id', 'nombre'] });
+            assert.deepEqual(registros, [{ id: insumos[1].id, nombre: 'Barbijo' }]);
+        });
+
+        test('rechaza campos y operadores desconocidos', async () => {
+            await assert.rejects(consultar({ where: { color: 'rojo' } }), /Campo\(s\) desconocido\(s\)/);
+            await assert.rejects(consultar({ where: { stock: { distinto: 3 } } }), /Operador de consulta desconocido/);
+            await assert.rejects(consultar({ limit: -1 }), /limit debe ser un entero/);
+        });
+    });
+
+    describe(`Índices con el adaptador ${nombre}`, () => {
+        before(async () => {
+            await usarAdaptador(databaseService, nombre);
+        });
+
+        // La búsqueda por índice debe coincidir con recorrer la tabla entera
+        async function verificarIndice(tabla, campo, valor) {
+            const adaptador = await databaseService.adaptador();
+            const porIndice = await adaptador.buscar(tabla, campo, [valor]);
+            const recorrido = (await adaptador.listar(tabla)).filter(registro => (registro[campo] ?? null) === valor);
+            assert.deepEqual(ids(porIndice), ids(recorrido), `${tabla}.${campo} = ${valor}`);
+            return porIndice;
+        }
+
+        test('las búsquedas por un campo indexado siguen las escrituras', async () => {
+            const tarea = await databaseService.create('tareas', {
+                descripcion: 'Indexada', empleadoId: 2, estado: 'pendiente', fecha: '2025-01-01'
+            });
+            assert.ok(ids(await verificarIndice('tareas', 'estado', 'pendiente')).includes(tarea.id));
+
+            await databaseService.update('tareas', tarea.id, { estado: 'en_progreso' });
+            assert.ok(!ids(await verificarIndice('tareas', 'estado', 'pendiente')).includes(tarea.id));
+            assert.ok(ids(await verificarIndice('tareas', 'estado', 'en_progreso')).includes(tarea.id));
+
+            await databaseService.delete('tareas', tarea.id);
+            assert.ok(!ids(await verificarIndice('tareas', 'estado', 'en_progreso')).includes(tarea.id));
+        });
+
+        test('los índices vuelven al estado anterior cuando se deshace una transacción', async () => {
+            const pendientes = ids(await verificarIndice('tareas', 'estado', 'pendiente'));
+            const [existente] = await databaseService.getWhere('tareas', { estado: 'pendiente' });
+
+            await assert.rejects(databaseService.transaction(async (tx) => {
+                await tx.create('tareas', { descripcion: 'Deshecha', empleadoId: 2, estado: 'pendiente', fecha: '2025-01-01' });
+                await tx.update('tareas', existente.id, { estado: 'cancelada' });
+                await tx.delete('pacientes', (await tx.create('pacientes', { nombre: 'Temporal', dni: '99888777' })).id);
+                throw new Error('abortar');
+            }), /abortar/);
+
+            assert.deepEqual(ids(await verificarIndice('tareas', 'estado', 'pendiente')), pendientes);
+            assert.ok(!ids(await verificarIndice('tareas', 'estado', 'cancelada')).includes(existente.id));
+            assert.deepEqual(await databaseService.getWhere('pacientes', { dni: '99888777' }), []);
+            assert.equal((await databaseService.getPacienteByDni((await databaseService.getById('pacientes', 1)).dni)).id, 1);
+        });
+    });
+}
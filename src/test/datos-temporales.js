@@ -0,0 +1,56 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Base de ejemplo del repositorio: las pruebas trabajan siempre sobre una copia
+const BASE_DE_EJEMPLO = path.join(__dirname, '../data/db.json');
+
+/**
+ * Crea un directorio temporal con una copia de la base de ejemplo y apunta los
+ * adaptadores a él. Debe llamarse antes de importar database.service.js, que lee
+ * las rutas al crear el servicio.
+ * @returns {Promise<Object>} { directorio, rutaJson, rutaSqlite, limpiar }
+ */
+export async function prepararDatosTemporales() {
+    const directorio = await fs.mkdtemp(path.join(os.tmpdir(), 'backend-ifts-'));
+    const rutaJson = path.join(directorio, 'db.json');
+    const rutaSqlite = path.join(directorio, 'db.sqlite');
+    await fs.copyFile(BASE_DE_EJEMPLO, rutaJson);
+
+    process.env.DB_JSON_RUTA = rutaJson;
+    process.env.DB_SQLITE_RUTA = rutaSqlite;
+    process.env.DB_ADAPTADOR = 'json';
+
+    return {
+        directorio,
+        rutaJson,
+        rutaSqlite,
+        limpiar: () => fs.rm(directorio, { recursive: true, force: true })
+    };
+}
+
+/**
+ * Cambia el adaptador activo del servicio, cerrando el que estaba abierto
+ * @param {Object} databaseService - Servicio de base de datos
+ * @param {string} nombre - 'json' o 'sqlite'
+ */
+export async function usarAdaptador(databaseService, nombre) {
+    await cerrarAdaptador(databaseService);
+    databaseService.adaptadorActivo = nombre;
+}
+
+/**
+ * Cierra el adaptador activo (si se abrió) para que la próxima operación lo vuelva a abrir
+ * @param {Object} databaseService - Servicio de base de datos
+ */
+export async function cerrarAdaptador(databaseService) {
+    if (databaseService.apertura) {
+        const adaptador = await databaseService.apertura;
+        databaseService.apertura = null;
+        await adaptador.cerrar();
+    }
+}
@@ -0,0 +1,97 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { prepararDatosTemporales, usarAdaptador, cerrarAdaptador } from './datos-temporales.js';
+
+const datos = await prepararDatosTemporales();
+const { default: databaseService } = await import('../services/database.service.js');
+const { migrarAlmacenamiento } = await import('../helper.js');
+
+before(async () => {
+    await migrarAlmacenamiento('json', 'sqlite');
+});
+
+after(async () => {
+    await cerrarAdaptador(databaseService);
+    await datos.limpiar();
+});
+
+for (const nombre of ['json', 'sqlite']) {
+    describe(`Validación de esquemas con el adaptador ${nombre}`, () => {
+        before(async () => {
+            await usarAdaptador(databaseService, nombre);
+        });
+
+        test('rechaza tipos incorrectos, requeridos faltantes, valores fuera de la lista y campos desconocidos', async () => {
+            await assert.rejects(databaseService.create('insumos', { nombre: 'Gasas', stock: '10', unidad: 'u' }),
+                /stock debe ser de tipo numero/);
+            await assert.rejects(databaseService.create('empleados', { nombre: 'Sin puesto' }),
+                /puesto es requerido/);
+            await assert.rejects(databaseService.create('tareas', {
+                descripcion: 'Estado inválido', empleadoId: 1, estado: 'archivada', fecha: '2025-01-01'
+            }), /estado debe ser uno de/);
+            await assert.rejects(databaseService.update('pacientes', 1, { apodo: 'x' }),
+                /campo desconocido 'apodo'/);
+        });
+
+        test('un valor único repetido se informa con el código DUPLICATE', async () => {
+            const [paciente] = await databaseService.getAll('pacientes');
+            await assert.rejects(databaseService.create('pacientes', { nombre: 'Repetido', dni: paciente.dni }),
+                { code: 'DUPLICATE', tabla: 'pacientes', campos: ['dni'] });
+
+            // Un registro puede volver a guardar su propio valor
+            await databaseService.update('pacientes', paciente.id, { dni: paciente.dni });
+        });
+
+        test('rechaza referencias a registros inexistentes', async () => {
+            await assert.rejects(databaseService.create('empleados', { nombre: 'Sin área', puesto: 'Prueba', areaId: 999 }),
+                /areaId apunta al registro 999 de 'areas', que no existe/);
+        });
+    });
+
+    describe(`Políticas de borrado con el adaptador ${nombre}`, () => {
+        before(async () => {
+            await usarAdaptador(databaseService, nombre);
+        });
+
+        test('restringir: no se elimina un registro en uso', async () => {
+            const empleados = await databaseService.getWhere('empleados', { areaId: 1 });
+            assert.ok(empleados.length > 0);
+
+            await assert.rejects(databaseService.delete('areas', 1), { code: 'IN_USE', tabla: 'empleados', campo: 'areaId' });
+            await databaseService.getById('areas', 1);
+        });
+
+        test('cascada: se eliminan los registros que dependen del borrado', async () => {
+            const insumo = await databaseService.create('insumos', { nombre: `Cascada ${nombre}`, stock: 0, unidad: 'u' });
+            const movimiento = await databaseService.registrarMovimientoInsumo(insumo.id, { tipo: 'entrada', cantidad: 5 });
+            await databaseService.createAlertaStock({ insumoId: insumo.id, nivel: 'bajo', movimientoId: movimiento.id });
+
+            await databaseService.delete('insumos', insumo.id);
+
+            assert.deepEqual(await databaseService.getWhere('movimientosInsumos', { insumoId: insumo.id }), []);
+            assert.deepEqual(await databaseService.getWhere('alertasStock', { insumoId: insumo.id }), []);
+        });
+
+        test('anular: las referencias al registro borrado quedan en null', async () => {
+            const empleado = await databaseService.create('empleados', { nombre: `Jefe ${nombre}`, puesto: 'Jefe' });
+            const area = await databaseService.create('areas', { nombre: `Área ${nombre}`, jefeId: empleado.id });
+
+            await databaseService.delete('empleados', empleado.id);
+
+            assert.equal((await databaseService.getById('areas', area.id)).jefeId, null);
+        });
+
+        test('si una restricción impide el borrado no queda ninguna referencia anulada', async () => {
+            const empleado = await databaseService.create('empleados', { nombre: `Ocupado ${nombre}`, puesto: 'Jefe' });
+            const area = await databaseService.create('areas', { nombre: `Área ocupada ${nombre}`, jefeId: empleado.id });
+            await databaseService.create('tareas', {
+                descripcion: 'Tarea que impide el borrado', empleadoId: empleado.id, estado: 'pendiente', fecha: '2025-01-01'
+            });
+
+            await assert.rejects(databaseService.delete('empleados', empleado.id), { code: 'IN_USE', tabla: 'tareas', campo: 'empleadoId' });
+
+            await databaseService.getById('empleados', empleado.id);
+            assert.equal((await databaseService.getById('areas', area.id)).jefeId, empleado.id);
+        });
+    });
+}
@@ -0,0 +1,145 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { prepararDatosTemporales, usarAdaptador, cerrarAdaptador } from './datos-temporales.js';
+
+const datos = await prepararDatosTemporales();
+const { default: databaseService } = await import('../services/database.service.js');
+const { migrarAlmacenamiento } = await import('../helper.js');
+
+before(async () => {
+    await migrarAlmacenamiento('json', 'sqlite');
+});
+
+after(async () => {
+    await cerrarAdaptador(databaseService);
+    await datos.limpiar();
+});
+
+// Cantidad de registros de cada tabla, para comparar antes y después de una operación
+async function contar(...tablas) {
+    const cantidades = {};
+    for (const tabla of tablas) {
+        cantidades[tabla] = (await databaseService.getAll(tabla)).length;
+    }
+    return cantidades;
+}
+
+for (const nombre of ['json', 'sqlite']) {
+    describe(`transaction() con el adaptador ${nombre}`, () => {
+        before(async () => {
+            await usarAdaptador(databaseService, nombre);
+        });
+
+        test('si la operación lanza no queda ningún cambio', async () => {
+            const antes = await contar('empleados', 'perfiles', 'usuarios');
+
+            await assert.rejects(databaseService.transaction(async (tx) => {
+                const empleado = await tx.createEmpleado({ nombre: 'Parcial', puesto: 'Prueba' });
+                const perfil = await tx.createPerfil({ tipo: 'empleado', empleadoId: empleado.id });
+                await tx.create('usuarios', { usuario: 'parcial', password: 'x', rolId: 999, perfilId: perfil.id });
+            }), /rolId apunta al registro 999/);
+
+            assert.deepEqual(await contar('empleados', 'perfiles', 'usuarios'), antes);
+            if (nombre === 'json') {
+                const enDisco = JSON.parse(await fs.readFile(datos.rutaJson, 'utf8'));
+                assert.equal(enDisco.empleados.length, antes.empleados);
+            }
+        });
+
+        test('confirma todos los cambios juntos y devuelve el resultado de la operación', async () => {
+            const id = await databaseService.transaction(async (tx) => {
+                const empleado = await tx.createEmpleado({ nombre: 'Confirmado', puesto: 'Prueba' });
+                await tx.updateEmpleado(empleado.id, { especialidad: 'Clínica' });
+                return empleado.id;
+            });
+
+            assert.equal((await databaseService.getEmpleadoById(id)).especialidad, 'Clínica');
+            if (nombre === 'json') {
+                const enDisco = JSON.parse(await fs.readFile(datos.rutaJson, 'utf8'));
+                assert.ok(enDisco.empleados.some(e => e.id === id));
+            }
+        });
+
+        test('una transacción anidada se suma a la exterior y se deshace con ella', async () => {
+            const antes = await contar('empleados');
+
+            await assert.rejects(databaseService.transaction(async (tx) => {
+                await tx.transaction(async (interna) => interna.createEmpleado({ nombre: 'Anidado', puesto: 'Prueba' }));
+                throw new Error('falla la exterior');
+            }), /falla la exterior/);
+
+            assert.deepEqual(await contar('empleados'), antes);
+        });
+
+        test('las operaciones de afuera esperan a que la transacción termine', async () => {
+            const empleado = await databaseService.createEmpleado({ nombre: 'Esperando', puesto: 'Original' });
+            let soltar;
+            const barrera = new Promise(resolve => {
+                soltar = resolve;
+            });
+
+            const transaccion = databaseService.transaction(async (tx) => {
+                await tx.updateEmpleado(empleado.id, { puesto: 'Sin confirmar' });
+                await barrera;
+                throw new Error('abortar');
+            });
+            await new Promise(resolve => setImmediate(resolve));
+
+            // La lectura de afuera no ve el cambio sin confirmar; la escritura se aplica después
+            const lectura = databaseService.getEmpleadoById(empleado.id);
+            const escritura = databaseService.updateEmpleado(empleado.id, { especialidad: 'Afuera' });
+            soltar();
+
+            await assert.rejects(transaccion, /abortar/);
+            assert.equal((await lectura).puesto, 'Original');
+            await escritura;
+            const final = await databaseService.getEmpleadoById(empleado.id);
+            assert.equal(final.puesto, 'Original');
+            assert.equal(final.especialidad, 'Afuera');
+        });
+
+        test('dos altas simultáneas del mismo usuario: solo una se confirma', async () => {
+            const alta = () => databaseService.provisionarUsuario({
+                usuario: `simultaneo_${nombre}`,
+                password: 'Segura123',
+                rolId: 2,
+                empleado: { nombre: 'Simultáneo', puesto: 'Prueba' }
+            });
+            const antes = await contar('empleados', 'perfiles', 'usuarios');
+
+            const resultados = await Promise.allSettled([alta(), alta(), alta()]);
+
+            assert.equal(resultados.filter(r => r.status === 'fulfilled').length, 1);
+            for (const { reason } of resultados.filter(r => r.status === 'rejected')) {
+                assert.equal(reason.code, 'DUPLICATE');
+            }
+            const despues = await contar('empleados', 'perfiles', 'usuarios');
+            assert.deepEqual(despues, {
+                empleados: antes.empleados + 1,
+                perfiles: antes.perfiles + 1,
+                usuarios: antes.usuarios + 1
+            });
+        });
+
+        test('un alta de usuario que falla al final no deja persona ni perfil', async () => {
+            const [paciente] = await databaseService.getAll('pacientes');
+            const antes = await contar('pacientes', 'perfiles', 'usuarios');
+
+            await assert.rejects(databaseService.provisionarUsuario({
+                usuario: `sin_rol_${nombre}`,
+                password: 'Segura123',
+                rolId: 999,
+                paciente: { nombre: 'Sin rol', dni: '41222333' }
+            }));
+            await assert.rejects(databaseService.provisionarUsuario({
+                usuario: `dni_repetido_${nombre}`,
+                password: 'Segura123',
+                rolId: 4,
+                paciente: { nombre: 'DNI repetido', dni: paciente.dni }
+            }), { code: 'DUPLICATE', campos: ['dni'] });
+
+            assert.deepEqual(await contar('pacientes', 'perfiles', 'usuarios'), antes);
+        });
+    });
+}